@@ -4,6 +4,8 @@ const User = require('../models/User');
 const Project = require('../models/Project');
 const Assignment = require('../models/Assignment');
 const { getCapacityInfo } = require('../services/capacityService');
+const { getSkillLevel, toRequirement } = require('../services/skillMatchingService');
+const { loadSkillLookup, canonicalSkillName } = require('../services/skillTaxonomyService');
 
 /**
  * Get team utilization analytics
@@ -86,7 +88,9 @@ const getUtilization = async (req, res) => {
 /**
  * Get skill gap analysis for a specific project
  * Query param: projectId (required)
- * Returns missing skills based on assigned engineers vs required skills
+ * Returns missing skills based on assigned engineers vs required skills.
+ * A skill is covered once its headcount of engineers meets its minimum level;
+ * coverage is weighted so must-haves count double.
  */
 const getSkillGap = async (req, res) => {
   try {
@@ -112,12 +116,14 @@ const getSkillGap = async (req, res) => {
         assignedEngineers: [],
         availableSkills: [],
         missingSkills: [],
-        skillCoverage: 100
+        skillBreakdown: [],
+        skillCoverage: 100,
+        mustHaveCoverage: 100
       });
     }
 
-    // Get assignments for this project
-    const assignments = await Assignment.find({ projectId })
+    // Get assignments for this project that are still in place
+    const assignments = await Assignment.find({ projectId, status: { $nin: Assignment.RELEASED_STATUSES } })
       .populate('engineerId', 'name email skills');
 
     // Extract skills from assigned engineers
@@ -134,21 +140,52 @@ const getSkillGap = async (req, res) => {
     const availableSkills = new Set();
     assignedEngineers.forEach(engineer => {
       engineer.skills.forEach(skill => {
-        availableSkills.add(skill.toLowerCase());
+        availableSkills.add(skill.name.toLowerCase());
       });
     });
 
-    // Find missing skills (case-insensitive comparison)
-    const missingSkills = requiredSkills.filter(requiredSkill => 
-      !Array.from(availableSkills).some(availableSkill => 
-        availableSkill === requiredSkill.toLowerCase()
-      )
-    );
+    // Compare qualified engineers per skill against its headcount,
+    // counting engineers with several assignments once
+    const teamMembers = [...new Map(assignedEngineers.map(engineer =>
+      [engineer.engineerId.toString(), engineer]
+    )).values()];
+    const skillBreakdown = requiredSkills.map(toRequirement).map(requirement => {
+      const qualified = [];
+      const underqualified = [];
+      teamMembers.forEach(engineer => {
+        const level = getSkillLevel(engineer.skills, requirement.name);
+        if (level >= requirement.minLevel) {
+          qualified.push(engineer.name);
+        } else if (level > 0) {
+          underqualified.push({ name: engineer.name, level });
+        }
+      });
 
-    // Calculate skill coverage percentage
-    const skillCoverage = requiredSkills.length > 0 
-      ? Math.round(((requiredSkills.length - missingSkills.length) / requiredSkills.length) * 100)
-      : 100;
+      return {
+        skill: requirement.name,
+        priority: requirement.priority,
+        minLevel: requirement.minLevel,
+        headcount: requirement.headcount,
+        weight: requirement.weight,
+        qualifiedCount: qualified.length,
+        qualifiedEngineers: qualified,
+        underqualifiedEngineers: underqualified,
+        shortfall: Math.max(0, requirement.headcount - qualified.length)
+      };
+    });
+
+    const missingSkills = skillBreakdown
+      .filter(item => item.shortfall > 0)
+      .map(item => item.skill);
+
+    // Weighted share of needed headcount that is filled
+    const coverageOf = (items) => {
+      const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+      if (totalWeight === 0) return 100;
+      const filled = items.reduce((sum, item) =>
+        sum + item.weight * Math.min(item.qualifiedCount, item.headcount) / item.headcount, 0);
+      return Math.round((filled / totalWeight) * 100);
+    };
 
     res.json({
       projectId,
@@ -157,7 +194,9 @@ const getSkillGap = async (req, res) => {
       assignedEngineers,
       availableSkills: Array.from(availableSkills),
       missingSkills,
-      skillCoverage
+      skillBreakdown: skillBreakdown.map(({ weight, ...item }) => item),
+      skillCoverage: coverageOf(skillBreakdown),
+      mustHaveCoverage: coverageOf(skillBreakdown.filter(item => item.priority === 'must'))
     });
   } catch (error) {
     console.error('Get skill gap error:', error);
@@ -196,21 +235,29 @@ const getProjectStatusDistribution = async (req, res) => {
 const getSkillDistribution = async (req, res) => {
   try {
     const engineers = await User.find({ role: 'engineer' }).select('skills');
+    const lookup = await loadSkillLookup();
     
-    // Count skill occurrences
+    // Count skill occurrences and total proficiency under canonical names
     const skillCounts = {};
     engineers.forEach(engineer => {
       if (engineer.skills) {
         engineer.skills.forEach(skill => {
-          const normalizedSkill = skill.trim();
-          skillCounts[normalizedSkill] = (skillCounts[normalizedSkill] || 0) + 1;
+          const normalizedSkill = canonicalSkillName(skill.name, lookup);
+          const entry = skillCounts[normalizedSkill] || { count: 0, totalLevel: 0 };
+          entry.count += 1;
+          entry.totalLevel += skill.level || 0;
+          skillCounts[normalizedSkill] = entry;
         });
       }
     });
 
     // Convert to array and sort by count
     const skillDistribution = Object.entries(skillCounts)
-      .map(([skill, count]) => ({ skill, count }))
+      .map(([skill, { count, totalLevel }]) => ({
+        skill,
+        count,
+        averageLevel: Math.round((totalLevel / count) * 10) / 10
+      }))
       .sort((a, b) => b.count - a.count);
 
     res.json(skillDistribution);
@@ -3,44 +3,40 @@
 const Assignment = require('../models/Assignment');
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { getAvailableCapacity } = require('../services/capacityService');
+const { getCapacityConflicts } = require('../services/capacityService');
+const {
+  MAX_BULK_ASSIGNMENTS,
+  buildAssignmentFilter,
+  validateAssignment,
+  validateAssignmentBatch,
+  insertAssignmentBatch,
+  checkStatusChange,
+  describeAssignmentImpact
+} = require('../services/assignmentService');
+const { recordAuditEvent } = require('../services/auditService');
 
 /**
  * Get assignments with optional filtering
- * Query params: engineerId, projectId
+ * Query params: engineerId, projectId, status (single or comma-separated),
+ * archived (true for archived assignments only)
  * Returns assignments populated with engineer and project info
  */
 // In src/controllers/assignmentController.js
 
 const getAssignments = async (req, res) => {
   try {
-    const { engineerId: qEngineerId, projectId } = req.query;
-    const filter = {};
-
-    if (projectId) {
-      filter.projectId = projectId;
-    }
-    if (req.user.role === 'manager') {
-      // Manager: can filter by engineerId or see all
-      if (qEngineerId) {
-        filter.engineerId = qEngineerId;
-      }
-    } else if (req.user.role === 'engineer') {
-      // Engineer: must only see their own assignments
-      // If query param engineerId exists but is not their own, forbid
-      if (qEngineerId && qEngineerId !== req.user.userId) {
-        return res.status(403).json({ message: 'Forbidden: Cannot view other engineers\' assignments' });
-      }
-      filter.engineerId = req.user.userId;
+    const { ok, filter, status, message } = buildAssignmentFilter(req.query, req.user);
+    if (!ok) {
+      return res.status(status).json({ message });
     }
-    // else: if other roles, adjust accordingly
 
    const assignments = await Assignment.find(filter)
   .populate('engineerId', 'name email skills seniority')
   .populate({
   path: 'projectId',
-  select: 'name description status startDate endDate managerId priority', // Added priority
-  populate: { path: 'managerId', select: 'name email' }
+  select: 'name description status startDate endDate managerId priority deletedAt', // Added priority
+  populate: { path: 'managerId', select: 'name email' },
+  options: { withDeleted: true }
 })
   .sort({ startDate: -1 });
 
@@ -52,67 +48,62 @@ const getAssignments = async (req, res) => {
   }
 };
 
-
 /**
- * Create new assignment (manager only)
- * Validates capacity, date conflicts, and project status
+ * Get a single assignment with capacity impact and project skill coverage
+ * Engineers can only view their own assignments; managers can also view archived ones
  */
-const createAssignment = async (req, res) => {
+const getAssignmentById = async (req, res) => {
   try {
-    const { engineerId, projectId, allocationPercentage, startDate, endDate, role } = req.body;
+    const { id } = req.params;
 
-    // Validate required fields
-    if (!engineerId || !projectId || !allocationPercentage || !startDate || !endDate) {
-      return res.status(400).json({ 
-        message: 'Engineer, project, allocation percentage, start date, and end date are required' 
-      });
+    const assignment = await Assignment.findById(id)
+      .setOptions({ withDeleted: User.isManagerRole(req.user.role) })
+      .populate('engineerId', 'name email skills seniority department maxCapacity')
+      .populate({
+        path: 'projectId',
+        select: 'name description status startDate endDate managerId priority requiredSkills teamSize deletedAt',
+        populate: { path: 'managerId', select: 'name email' },
+        options: { withDeleted: true }
+      })
+      .populate('deletedBy', 'name')
+      .populate('statusHistory.changedBy', 'name');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    // Validate dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return res.status(400).json({ message: 'Invalid date format' });
-    }
-    
-    if (end <= start) {
-      return res.status(400).json({ message: 'End date must be after start date' });
+    if (req.user.role === 'engineer' && assignment.engineerId?._id.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Forbidden: Not your assignment' });
     }
 
-    // Validate allocation percentage
-    if (allocationPercentage < 1 || allocationPercentage > 100) {
-      return res.status(400).json({ message: 'Allocation percentage must be between 1 and 100' });
-    }
+    const impact = await describeAssignmentImpact(assignment);
 
-    // Verify engineer exists
-    const engineer = await User.findById(engineerId);
-    if (!engineer || engineer.role !== 'engineer') {
-      return res.status(400).json({ message: 'Engineer not found' });
-    }
-
-    // Verify project exists and is active
-    const project = await Project.findById(projectId);
-    if (!project) {
-      return res.status(400).json({ message: 'Project not found' });
-    }
+    res.json({ ...assignment.toObject(), ...impact });
+  } catch (error) {
+    console.error('Get assignment by ID error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
 
-    if (!['planning', 'active'].includes(project.status)) {
-      return res.status(400).json({ message: 'Cannot assign to completed or cancelled projects' });
-    }
+/**
+ * Create new assignment (manager only)
+ * Validates capacity, date conflicts, and project status
+ * New assignments are proposed for the engineer to accept unless
+ * status 'confirmed' is given
+ */
+const createAssignment = async (req, res) => {
+  try {
+    const { engineerId, projectId, allocationPercentage, role, status } = req.body;
 
-    // Check if assignment dates fall within project dates
-    if (start < project.startDate || end > project.endDate) {
-      return res.status(400).json({ 
-        message: 'Assignment dates must fall within project dates' 
-      });
+    if (status !== undefined && !['proposed', 'confirmed'].includes(status)) {
+      return res.status(400).json({ message: 'New assignments must be proposed or confirmed' });
     }
 
-    // Check available capacity for the engineer
-    const availableCapacity = await getAvailableCapacity(engineerId, start, end);
-    if (availableCapacity < allocationPercentage) {
-      return res.status(400).json({
-        message: `Insufficient capacity. Available: ${availableCapacity}%, Requested: ${allocationPercentage}%`
+    // Validate fields, project bounds and engineer capacity
+    const validation = await validateAssignment(req.body);
+    if (!validation.ok) {
+      return res.status(validation.status).json({
+        message: validation.message,
+        ...(validation.conflicts && { conflicts: validation.conflicts })
       });
     }
 
@@ -121,12 +112,15 @@ const createAssignment = async (req, res) => {
       engineerId,
       projectId,
       allocationPercentage,
-      startDate: start,
-      endDate: end,
-      role: role || 'Developer'
+      startDate: validation.start,
+      endDate: validation.end,
+      role: role || 'Developer',
+      status: status || 'proposed',
+      statusHistory: [{ status: status || 'proposed', changedBy: req.user.userId }]
     });
 
     await assignment.save();
+    await recordAuditEvent({ entity: 'assignment', action: 'create', actor: req.user, after: assignment });
 
     // Populate for response
     await assignment.populate([
@@ -144,9 +138,59 @@ const createAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Create several assignments at once (manager only)
+ * Body: assignments - rows with engineerId or engineerEmail, projectId or
+ * projectName, allocationPercentage, startDate, endDate, role and status
+ * All-or-nothing: if any row fails, including capacity checked across the
+ * rows themselves and again against assignments created at the same time,
+ * nothing is created and every failing row is reported
+ */
+const createAssignmentsBulk = async (req, res) => {
+  try {
+    const { assignments: rows } = req.body || {};
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ message: 'assignments must be a non-empty array' });
+    }
+    if (rows.length > MAX_BULK_ASSIGNMENTS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_ASSIGNMENTS} assignments can be created at once` });
+    }
+
+    const validation = await validateAssignmentBatch(rows);
+    if (!validation.ok) {
+      return res.status(400).json({
+        message: `${validation.errors.length} of ${rows.length} rows have errors; no assignments were created`,
+        errors: validation.errors
+      });
+    }
+
+    for (const assignment of validation.assignments) {
+      assignment.statusHistory[0].changedBy = req.user.userId;
+    }
+    const insert = await insertAssignmentBatch(validation.assignments);
+    if (!insert.ok) {
+      return res.status(insert.status).json({ message: insert.message, errors: insert.errors });
+    }
+    const { assignments } = insert;
+    for (const assignment of assignments) {
+      await recordAuditEvent({ entity: 'assignment', action: 'create', actor: req.user, after: assignment });
+    }
+
+    res.status(201).json({
+      message: `Created ${assignments.length} assignments`,
+      assignments
+    });
+  } catch (error) {
+    console.error('Bulk create assignments error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 /**
  * Update assignment (manager only)
  * Validates capacity and date conflicts
+ * Status changes go through updateAssignmentStatus
  */
 const updateAssignment = async (req, res) => {
   try {
@@ -159,6 +203,13 @@ const updateAssignment = async (req, res) => {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
+    if (updates.status !== undefined) {
+      return res.status(400).json({ message: 'Use PATCH /api/assignments/:id/status to change status' });
+    }
+    if (['completed', ...Assignment.RELEASED_STATUSES].includes(assignment.status)) {
+      return res.status(400).json({ message: `Cannot edit a ${assignment.status} assignment` });
+    }
+
     // Validate dates if provided
     if (updates.startDate || updates.endDate) {
       const newStartDate = updates.startDate ? new Date(updates.startDate) : assignment.startDate;
@@ -190,12 +241,15 @@ const updateAssignment = async (req, res) => {
       const endDate = updates.endDate || assignment.endDate;
       const allocationPercentage = updates.allocationPercentage || assignment.allocationPercentage;
 
-      // Get available capacity excluding current assignment
-      const availableCapacity = await getAvailableCapacity(engineerId, startDate, endDate, id);
-      
-      if (availableCapacity < allocationPercentage) {
+      // Check capacity day by day, excluding the current assignment
+      const { availableCapacity, conflicts } = await getCapacityConflicts(
+        engineerId, startDate, endDate, allocationPercentage, id
+      );
+
+      if (conflicts.length > 0) {
         return res.status(400).json({
-          message: `Insufficient capacity. Available: ${availableCapacity}%, Requested: ${allocationPercentage}%`
+          message: `Insufficient capacity. Available: ${availableCapacity}%, Requested: ${allocationPercentage}%`,
+          conflicts
         });
       }
     }
@@ -209,6 +263,7 @@ const updateAssignment = async (req, res) => {
       { path: 'engineerId', select: 'name email skills seniority' },
       { path: 'projectId', select: 'name description status' }
     ]);
+    await recordAuditEvent({ entity: 'assignment', action: 'update', actor: req.user, before: assignment, after: updatedAssignment });
 
     res.json({
       message: 'Assignment updated successfully',
@@ -220,8 +275,63 @@ const updateAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Move an assignment through its lifecycle
+ * Body: status, reason (optional; kept as declineReason when declining)
+ * Engineers accept or decline their own proposals; managers confirm,
+ * start, complete or cancel
+ */
+const updateAssignmentStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
+
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const check = await checkStatusChange(assignment, status, req.user);
+    if (!check.ok) {
+      return res.status(check.status).json({
+        message: check.message,
+        ...(check.conflicts && { conflicts: check.conflicts })
+      });
+    }
+
+    const before = assignment.toObject();
+    assignment.status = status;
+    assignment.statusChangedAt = new Date();
+    if (status === 'declined' && reason) {
+      assignment.declineReason = String(reason).trim();
+    }
+    assignment.statusHistory.push({
+      status,
+      changedAt: assignment.statusChangedAt,
+      changedBy: req.user.userId,
+      ...(reason && { reason: String(reason).trim() })
+    });
+    await assignment.save();
+    await recordAuditEvent({ entity: 'assignment', action: 'status-change', actor: req.user, before, after: assignment });
+
+    await assignment.populate([
+      { path: 'engineerId', select: 'name email skills seniority' },
+      { path: 'projectId', select: 'name description status' }
+    ]);
+
+    res.json({
+      message: `Assignment ${status}`,
+      assignment
+    });
+  } catch (error) {
+    console.error('Update assignment status error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 /**
  * Delete assignment (manager only)
+ * Archives it: it stops counting towards capacity but stays on record
  */
 const deleteAssignment = async (req, res) => {
   try {
@@ -232,10 +342,11 @@ const deleteAssignment = async (req, res) => {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    await Assignment.findByIdAndDelete(id);
+    await assignment.softDelete(req.user.userId);
+    await recordAuditEvent({ entity: 'assignment', action: 'delete', actor: req.user, before: assignment });
 
     res.json({
-      message: 'Assignment deleted successfully',
+      message: 'Assignment archived successfully',
       assignmentId: id
     });
   } catch (error) {
@@ -244,9 +355,61 @@ const deleteAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Restore an archived assignment (manager only)
+ * Its project must not be archived, and committed work must still fit
+ * in the engineer's capacity
+ */
+const restoreAssignment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const assignment = await Assignment.findById(id).setOptions({ withDeleted: true });
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (!assignment.deletedAt) {
+      return res.status(400).json({ message: 'Assignment is not archived' });
+    }
+
+    const project = await Project.findById(assignment.projectId);
+    if (!project) {
+      return res.status(400).json({ message: 'Restore the project before its assignments' });
+    }
+
+    if (Assignment.holdsCapacity(assignment.status)) {
+      const { availableCapacity, conflicts } = await getCapacityConflicts(
+        assignment.engineerId, assignment.startDate, assignment.endDate,
+        assignment.allocationPercentage, assignment._id
+      );
+      if (conflicts.length > 0) {
+        return res.status(400).json({
+          message: `Insufficient capacity. Available: ${availableCapacity}%, Requested: ${assignment.allocationPercentage}%`,
+          conflicts
+        });
+      }
+    }
+
+    await assignment.restore();
+    await recordAuditEvent({ entity: 'assignment', action: 'restore', actor: req.user, after: assignment });
+
+    res.json({
+      message: 'Assignment restored successfully',
+      assignment
+    });
+  } catch (error) {
+    console.error('Restore assignment error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 module.exports = {
   getAssignments,
+  getAssignmentById,
   createAssignment,
+  createAssignmentsBulk,
   updateAssignment,
-  deleteAssignment
+  updateAssignmentStatus,
+  deleteAssignment,
+  restoreAssignment
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Audit controller: read access to the log of assignment, project and engineer changes
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { findAuditEvents } = require('../services/auditService');
+
+/**
+ * Get audit events (manager only)
+ * Query params: entity, entityId, actor, projectId, engineerId, from, to, limit (default 100)
+ * projectId and engineerId also match events on that project's or engineer's assignments
+ * Returns events newest first with the actor's name
+ */
+const getAuditEvents = async (req, res) => {
+  try {
+    const { entity, entityId, actor, projectId, engineerId, from, to, limit } = req.query;
+    const filter = {};
+
+    if (entity) {
+      if (!AuditEvent.AUDIT_ENTITIES.includes(entity)) {
+        return res.status(400).json({
+          message: `Invalid entity. Must be one of: ${AuditEvent.AUDIT_ENTITIES.join(', ')}`
+        });
+      }
+      filter.entity = entity;
+    }
+
+    const ids = { entityId, actorId: actor, projectId, engineerId };
+    for (const [field, value] of Object.entries(ids)) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${field === 'actorId' ? 'actor' : field}` });
+      }
+      filter[field] = value;
+    }
+
+    if (from || to) {
+      const start = from ? new Date(from) : null;
+      const end = to ? new Date(to) : null;
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+      filter.timestamp = {
+        ...(start && { $gte: start }),
+        ...(end && { $lte: end })
+      };
+    }
+
+    const maxResults = limit !== undefined ? parseInt(limit, 10) : 100;
+    if (isNaN(maxResults) || maxResults < 1) {
+      return res.status(400).json({ message: 'limit must be a positive integer' });
+    }
+
+    const events = await findAuditEvents(filter, maxResults);
+
+    res.json(events);
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getAuditEvents
+};
@@ -1,49 +1,49 @@
-// Authentication controller: handles login and profile operations
+// Authentication controller: handles login, sessions, passwords and profile operations
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { checkPassword, hashPassword, buildUserProfile, toUserResponse } = require('../services/userService');
+const {
+  createSession,
+  refreshSession,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions
+} = require('../services/sessionService');
+const { checkResetRequestAllowed, requestPasswordReset, findUserByResetToken } = require('../services/passwordResetService');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../services/loginThrottleService');
 
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
-      res.status(401).json({ message: 'Invalid credentials' });
-      return;
+    const found = await User.findOne({ email: email.toLowerCase() });
+    // Invited users can't sign in until they accept and set a password
+    const user = found && found.status !== 'invited' ? found : null;
+
+    // Refuse before checking the password while the IP or account is throttled
+    const allowed = await checkLoginAllowed(req.ip, user);
+    if (!allowed.ok) {
+      res.set('Retry-After', String(allowed.retryAfter));
+      return res.status(allowed.status).json({ message: allowed.message });
     }
 
-    const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+    const isPasswordValid = user && await bcrypt.compare(password, user.passwordHash);
     if (!isPasswordValid) {
+      await recordLoginFailure(req.ip, user);
       res.status(401).json({ message: 'Invalid credentials' });
       return;
     }
 
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    const userResponse = {
-      _id: user._id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-      skills: user.skills,
-      seniority: user.seniority,
-      maxCapacity: user.maxCapacity,
-      department: user.department
-    };
+    await recordLoginSuccess(user);
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
-      user: userResponse
+      token: accessToken,
+      refreshToken,
+      user: toUserResponse(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -67,20 +67,31 @@ const getProfile = async (req, res) => {
   }
 };
 
+/**
+ * Create an account and sign it in
+ * Only available when ALLOW_PUBLIC_REGISTRATION is "true", and only for
+ * engineers; managers are added by invitation
+ */
 const register = async (req, res) => {
   try {
-    const { email, password, name, role, skills, seniority, maxCapacity, department } = req.body;
-    
+    if (process.env.ALLOW_PUBLIC_REGISTRATION !== 'true') {
+      return res.status(403).json({ message: 'Public registration is disabled. Ask a manager for an invitation.' });
+    }
+
+    const { email, password, name, role = 'engineer', ...fields } = req.body;
+
     // Validate required fields
-    if (!email || !password || !name || !role) {
-      return res.status(400).json({ message: 'Missing required fields: email, password, name, role' });
+    if (!email || !password || !name) {
+      return res.status(400).json({ message: 'Missing required fields: email, password, name' });
     }
-    // Validate role
-    if (!['engineer', 'manager'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be "engineer" or "manager".' });
+    if (role !== 'engineer') {
+      return res.status(403).json({ message: 'Only engineer accounts can be registered. Managers are added by invitation.' });
+    }
+
+    const passwordCheck = checkPassword(password);
+    if (!passwordCheck.ok) {
+      return res.status(passwordCheck.status).json({ message: passwordCheck.message });
     }
-    // Optionally: restrict manager creation
-    // e.g., if (role === 'manager' && !req.userIsAdmin) return 403...
 
     // Check if email already exists
     const existing = await User.findOne({ email: email.toLowerCase() });
@@ -88,72 +99,29 @@ const register = async (req, res) => {
       return res.status(400).json({ message: 'Email already registered' });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const passwordHash = await bcrypt.hash(password, salt);
+    const profile = await buildUserProfile(role, fields);
+    if (!profile.ok) {
+      return res.status(profile.status).json({ message: profile.message });
+    }
+
+    const passwordHash = await hashPassword(password);
 
-    // Build user object
-    const userData = {
+    const newUser = new User({
       email: email.toLowerCase(),
       name: name.trim(),
       passwordHash,
-      role,
-    };
-    if (role === 'engineer') {
-      // For engineer, allow skills/seniority/maxCapacity/department
-      userData.skills = Array.isArray(skills) ? skills.map(s => s.trim()) : [];
-      userData.seniority = seniority && ['junior','mid','senior'].includes(seniority) 
-        ? seniority 
-        : 'mid';
-      // maxCapacity: default 100, or accept provided if valid 1-100
-      if (maxCapacity !== undefined) {
-        const capNum = Number(maxCapacity);
-        if (isNaN(capNum) || capNum < 1 || capNum > 100) {
-          return res.status(400).json({ message: 'maxCapacity must be a number between 1 and 100' });
-        }
-        userData.maxCapacity = capNum;
-      } else {
-        userData.maxCapacity = 100;
-      }
-      if (department) {
-        userData.department = department.trim();
-      }
-    } else {
-      // role === 'manager'
-      // We may ignore engineer-specific fields
-      userData.skills = [];
-      userData.seniority = undefined;
-      userData.maxCapacity = undefined;
-      userData.department = department ? department.trim() : undefined;
-    }
-
-    const newUser = new User(userData);
+      ...profile.profile
+    });
     await newUser.save();
 
-    // Generate JWT token
-    const tokenPayload = {
-      userId: newUser._id,
-      email: newUser.email,
-      role: newUser.role
-    };
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: '24h' });
-
-    // Prepare user response (omit passwordHash)
-    const userResponse = {
-      _id: newUser._id,
-      email: newUser.email,
-      name: newUser.name,
-      role: newUser.role,
-      skills: newUser.skills,
-      seniority: newUser.seniority,
-      maxCapacity: newUser.maxCapacity,
-      department: newUser.department
-    };
+    // Sign the new user in on this device
+    const { accessToken, refreshToken } = await createSession(newUser, req);
 
     res.status(201).json({
       message: 'Registration successful',
-      token,
-      user: userResponse
+      token: accessToken,
+      refreshToken,
+      user: toUserResponse(newUser)
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -161,6 +129,225 @@ const register = async (req, res) => {
     if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
       return res.status(400).json({ message: 'Email already registered' });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token
+ * Body: { refreshToken }. The refresh token is rotated: the response carries
+ * a new one and the old one stops working
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Missing required field: refreshToken' });
+    }
+
+    const result = await refreshSession(refreshToken, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Sign out: revoke the session the refresh token belongs to
+ * Body: { refreshToken }. Works without a valid access token so an expired
+ * session can still be closed
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * List the signed-in user's active sessions
+ * The session making the request is flagged as current
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.userId);
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.equals(req.user.sessionId)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Revoke one of the signed-in user's sessions (sign out another device)
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSession(req.user.userId, id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Revoke every session of the signed-in user except the current one
+ */
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user.userId, { except: req.user.sessionId });
+
+    res.json({ message: `Signed out of ${count} other session${count === 1 ? '' : 's'}` });
+  } catch (error) {
+    console.error('Delete sessions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Email a password reset link (public)
+ * Body: { email }. Responds the same whether or not the email has an account;
+ * requests are rate limited per IP and per email
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ message: 'Missing required field: email' });
+    }
+
+    const allowed = await checkResetRequestAllowed(req.ip, email);
+    if (!allowed.ok) {
+      res.set('Retry-After', String(allowed.retryAfter));
+      return res.status(allowed.status).json({ message: allowed.message });
+    }
+
+    await requestPasswordReset(email);
+
+    res.json({ message: 'If that email has an account, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Set a new password with a reset token (public)
+ * Body: { token, password }. The token works once, and every session is
+ * signed out
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Missing required fields: token, password' });
+    }
+
+    const passwordCheck = checkPassword(password);
+    if (!passwordCheck.ok) {
+      return res.status(passwordCheck.status).json({ message: passwordCheck.message });
+    }
+
+    const user = await findUserByResetToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.passwordHash = await hashPassword(password);
+    user.resetTokenHash = undefined;
+    user.resetExpiresAt = undefined;
+    // Proving access to the email is enough to lift a sign-in lockout
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await user.save({ validateModifiedOnly: true });
+    await revokeUserSessions(user._id);
+
+    res.json({ message: 'Password reset successfully. Sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Change the signed-in user's password
+ * Body: { currentPassword, newPassword }. Other sessions are signed out;
+ * this one stays signed in. Throttled like sign-in
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Missing required fields: currentPassword, newPassword' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Wrong current passwords count towards the same lockout as sign-ins, so a
+    // stolen session can't be used to guess the password
+    const allowed = await checkLoginAllowed(req.ip, user);
+    if (!allowed.ok) {
+      res.set('Retry-After', String(allowed.retryAfter));
+      return res.status(allowed.status).json({ message: allowed.message });
+    }
+
+    // 400 rather than 401: the session itself is fine
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isPasswordValid) {
+      await recordLoginFailure(req.ip, user);
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    await recordLoginSuccess(user);
+
+    const passwordCheck = checkPassword(newPassword);
+    if (!passwordCheck.ok) {
+      return res.status(passwordCheck.status).json({ message: passwordCheck.message });
+    }
+
+    user.passwordHash = await hashPassword(newPassword);
+    user.resetTokenHash = undefined;
+    user.resetExpiresAt = undefined;
+    await user.save({ validateModifiedOnly: true });
+    await revokeUserSessions(user._id, { except: req.user.sessionId });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 };
@@ -168,5 +355,13 @@ const register = async (req, res) => {
 module.exports = {
   login,
   getProfile,
-  register
+  register,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword
 };
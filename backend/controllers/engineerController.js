@@ -1,8 +1,24 @@
 // Engineers controller: manages engineer profiles, capacity, and availability
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Assignment = require('../models/Assignment');
-const { getCapacityInfo, getAvailabilityWindows } = require('../services/capacityService');
+const Project = require('../models/Project');
+const { addMonths, differenceInCalendarDays } = require('date-fns');
+const {
+  TIMELINE_GRANULARITIES,
+  getCapacityInfo,
+  getCapacityBuckets,
+  getAvailabilityWindows
+} = require('../services/capacityService');
 const { filterEngineersBySkills } = require('../services/skillMatchingService');
+const { recordAuditEvent, findAuditEvents } = require('../services/auditService');
+const { canonicalizeSkills } = require('../services/skillTaxonomyService');
+const { generateCalendarToken, buildAssignmentCalendar } = require('../services/calendarService');
+const { findTimeOff } = require('../services/timeOffService');
+const { hashToken } = require('../services/tokenService');
+
+// Upper bound on the number of buckets in a daily capacity timeline
+const MAX_DAILY_BUCKETS = 366;
 
 const getEngineers = async (req, res) => {
   try {
@@ -52,6 +68,7 @@ const getEngineerById = async (req, res) => {
 
     const currentAssignments = await Assignment.find({
       engineerId: id,
+      status: { $nin: Assignment.RELEASED_STATUSES },
       endDate: { $gte: new Date() }
     }).populate('projectId', 'name description status');
 
@@ -71,28 +88,38 @@ const updateEngineer = async (req, res) => {
     const { id } = req.params;
     const { name, skills, seniority, maxCapacity, department } = req.body;
 
-    const canUpdate = req.user.role === 'manager' || req.user.userId === id;
+    const canUpdate = User.isManagerRole(req.user.role) || req.user.userId === id;
     if (!canUpdate) {
       res.status(403).json({ message: 'Access denied' });
       return;
     }
+    if (maxCapacity !== undefined && !User.isManagerRole(req.user.role)) {
+      return res.status(403).json({ message: 'Only managers can change capacity' });
+    }
+
+    const previous = await User.findOne({ _id: id, role: 'engineer' }).select('-passwordHash');
+    if (!previous) {
+      res.status(404).json({ message: 'Engineer not found' });
+      return;
+    }
 
     const engineer = await User.findOneAndUpdate(
       { _id: id, role: 'engineer' },
       {
         ...(name && { name }),
-        ...(skills && { skills }),
+        ...(skills && { skills: await canonicalizeSkills(User.normalizeSkills(skills)) }),
         ...(seniority && { seniority }),
         ...(maxCapacity !== undefined && { maxCapacity }),
         ...(department && { department })
       },
-      { new: true }
+      { new: true, runValidators: true }
     ).select('-passwordHash');
 
     if (!engineer) {
       res.status(404).json({ message: 'Engineer not found' });
       return;
     }
+    await recordAuditEvent({ entity: 'engineer', action: 'update', actor: req.user, before: previous, after: engineer });
 
     res.json({
       message: 'Engineer updated successfully',
@@ -100,6 +127,58 @@ const updateEngineer = async (req, res) => {
     });
   } catch (error) {
     console.error('Update engineer error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Set an engineer's capacity (manager only)
+ * Body: { maxCapacity, capacityPeriods: [{ startDate, endDate, capacity }] }
+ * maxCapacity applies on days no period covers; periods replace the
+ * existing ones and leave out endDate to run indefinitely
+ */
+const updateEngineerCapacity = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { maxCapacity, capacityPeriods } = req.body || {};
+
+    if (capacityPeriods !== undefined && !Array.isArray(capacityPeriods)) {
+      return res.status(400).json({ message: 'capacityPeriods must be an array' });
+    }
+
+    const engineer = await User.findOne({ _id: id, role: 'engineer' }).select('-passwordHash');
+    if (!engineer) {
+      return res.status(404).json({ message: 'Engineer not found' });
+    }
+
+    const previous = engineer.toObject();
+    if (maxCapacity !== undefined) {
+      engineer.maxCapacity = maxCapacity;
+    }
+    if (capacityPeriods !== undefined) {
+      engineer.capacityPeriods = capacityPeriods
+        .map(period => ({
+          startDate: period.startDate,
+          endDate: period.endDate || null,
+          capacity: period.capacity
+        }))
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    }
+    await engineer.save({ validateModifiedOnly: true });
+    await recordAuditEvent({ entity: 'engineer', action: 'update', actor: req.user, before: previous, after: engineer });
+
+    res.json({
+      message: 'Engineer capacity updated successfully',
+      engineer
+    });
+  } catch (error) {
+    console.error('Update engineer capacity error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Internal server error' });
   }
 };
@@ -109,20 +188,107 @@ const getEngineerCapacity = async (req, res) => {
     const { id } = req.params;
     const { startDate, endDate } = req.query;
 
-    const capacityInfo = await getCapacityInfo(id);
+    const start = startDate ? new Date(startDate) : undefined;
+    const end = endDate ? new Date(endDate) : undefined;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    if (start && end && end < start) {
+      return res.status(400).json({ message: 'End date must be on or after start date' });
+    }
+
+    const capacityInfo = await getCapacityInfo(id, start, end);
 
     res.json(capacityInfo);
   } catch (error) {
     console.error('Get engineer capacity error:', error);
+    if (error.message === 'Engineer not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get an engineer's capacity as a time series
+ * Query params: from, to (default: today to three months out), granularity (day|week|month)
+ */
+const getEngineerCapacityTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, granularity = 'day' } = req.query;
+
+    if (!TIMELINE_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        message: `Invalid granularity. Must be one of: ${TIMELINE_GRANULARITIES.join(', ')}`
+      });
+    }
+
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : addMonths(start, 3);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    if (end < start) {
+      return res.status(400).json({ message: 'End date must be on or after start date' });
+    }
+    if (granularity === 'day' && differenceInCalendarDays(end, start) >= MAX_DAILY_BUCKETS) {
+      return res.status(400).json({
+        message: `Daily timelines are limited to ${MAX_DAILY_BUCKETS} days. Use week or month granularity for longer ranges`
+      });
+    }
+
+    const timeline = await getCapacityBuckets(id, start, end, granularity);
+
+    // Attach project names to the per-assignment breakdown
+    const projectIds = new Set();
+    timeline.buckets.forEach(bucket => {
+      bucket.assignments.forEach(item => projectIds.add(item.projectId.toString()));
+    });
+    const projects = await Project.find({ _id: { $in: Array.from(projectIds) } }).select('name');
+    const projectNames = new Map(projects.map(project => [project._id.toString(), project.name]));
+
+    timeline.buckets.forEach(bucket => {
+      bucket.assignments = bucket.assignments.map(item => ({
+        ...item,
+        projectName: projectNames.get(item.projectId.toString()) || null
+      }));
+    });
+
+    res.json(timeline);
+  } catch (error) {
+    console.error('Get engineer capacity timeline error:', error);
+    if (error.message === 'Engineer not found') {
+      return res.status(404).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Internal server error' });
   }
 };
 
+/**
+ * Get an engineer's future availability windows
+ * Query params: until (last day to consider), minCapacity (minimum free percentage)
+ */
 const getEngineerAvailability = async (req, res) => {
   try {
     const { id } = req.params;
+    const { until, minCapacity } = req.query;
 
-    const availabilityWindows = await getAvailabilityWindows(id);
+    const options = {};
+    if (until) {
+      options.until = new Date(until);
+      if (isNaN(options.until.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+    }
+    if (minCapacity !== undefined) {
+      options.minCapacity = Number(minCapacity);
+      if (isNaN(options.minCapacity) || options.minCapacity < 0 || options.minCapacity > 100) {
+        return res.status(400).json({ message: 'minCapacity must be a number between 0 and 100' });
+      }
+    }
+
+    const availabilityWindows = await getAvailabilityWindows(id, options);
 
     res.json({
       engineerId: id,
@@ -130,6 +296,135 @@ const getEngineerAvailability = async (req, res) => {
     });
   } catch (error) {
     console.error('Get engineer availability error:', error);
+    if (error.message === 'Engineer not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get an engineer's time off (approved leave and company holidays)
+ * Query params: from (defaults to today), to (defaults to a year after from)
+ */
+const getEngineerTimeOff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : addMonths(start, 12);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    if (end < start) {
+      return res.status(400).json({ message: 'End date must be on or after start date' });
+    }
+
+    res.json(await findTimeOff(id, start, end));
+  } catch (error) {
+    console.error('Get engineer time off error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the change history of an engineer's profile and assignments
+ * Query params: limit (default 100)
+ */
+const getEngineerHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({ message: 'limit must be a positive integer' });
+    }
+
+    const events = await findAuditEvents({ engineerId: id }, limit);
+
+    res.json(events);
+  } catch (error) {
+    console.error('Get engineer history error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the iCalendar feed of an engineer's assignments
+ * Calendar apps can't send a bearer token, so the feed is authenticated by
+ * the engineer's calendar token instead: ?token=...
+ * Archived assignments drop out of the feed; cancelled and declined ones stay
+ * as cancelled events so subscribed calendars remove them.
+ */
+const getAssignmentCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.query;
+    if (!token || typeof token !== 'string' || !mongoose.isValidObjectId(id)) {
+      return res.status(401).json({ message: 'Invalid calendar token' });
+    }
+
+    const engineer = await User.findOne({ _id: id, calendarTokenHash: hashToken(token) });
+    if (!engineer) {
+      return res.status(401).json({ message: 'Invalid calendar token' });
+    }
+
+    const assignments = await Assignment.find({ engineerId: id })
+      .populate({ path: 'projectId', select: 'name', options: { withDeleted: true } })
+      .sort({ startDate: 1 });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="assignments.ics"');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(buildAssignmentCalendar(engineer, assignments));
+  } catch (error) {
+    console.error('Get assignment calendar error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get when a user's calendar token was created (createdAt is null if they have none)
+ * Only the token's hash is stored, so the token itself is only returned by
+ * rotateCalendarToken when it's created
+ */
+const getCalendarToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ createdAt: user.calendarTokenCreatedAt || null });
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create a user's calendar token, or replace it; feed URLs with the old token stop working
+ * Returns the new token, which can't be fetched again later
+ */
+const rotateCalendarToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const token = generateCalendarToken();
+    const user = await User.findByIdAndUpdate(
+      id,
+      { calendarTokenHash: hashToken(token), calendarTokenCreatedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ token, createdAt: user.calendarTokenCreatedAt });
+  } catch (error) {
+    console.error('Rotate calendar token error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 };
@@ -138,6 +433,13 @@ module.exports = {
   getEngineers,
   getEngineerById,
   updateEngineer,
+  updateEngineerCapacity,
   getEngineerCapacity,
-  getEngineerAvailability
+  getEngineerCapacityTimeline,
+  getEngineerAvailability,
+  getEngineerHistory,
+  getEngineerTimeOff,
+  getAssignmentCalendar,
+  getCalendarToken,
+  rotateCalendarToken
 };
@@ -0,0 +1,227 @@
+// Export controller: downloads of assignments, projects and utilization as CSV or XLSX
+// Each export accepts the same filters as the matching list route
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Assignment = require('../models/Assignment');
+const { differenceInCalendarDays } = require('date-fns');
+const { EXPORT_FORMATS, buildExportFile } = require('../services/exportService');
+const { buildAssignmentFilter } = require('../services/assignmentService');
+const { buildProjectFilter } = require('../services/projectService');
+const { getCapacityInfo } = require('../services/capacityService');
+const { filterEngineersBySkills, toRequirement } = require('../services/skillMatchingService');
+
+/**
+ * Read and check the requested file format
+ * Returns the format, or null if it isn't supported
+ */
+const parseFormat = (format) => {
+  const value = format ? String(format).toLowerCase() : 'csv';
+  return EXPORT_FORMATS.includes(value) ? value : null;
+};
+
+/**
+ * Send an export file as a download
+ */
+const sendExport = async (res, options) => {
+  const file = await buildExportFile(options);
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.body);
+};
+
+const invalidFormat = (res) => res.status(400).json({
+  message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+});
+
+/**
+ * Export assignments
+ * Query params: format (csv|xlsx, default csv) and the assignment list filters
+ * (engineerId, projectId, status, archived)
+ * Days are calendar days; allocated days weight them by the allocation
+ */
+const exportAssignments = async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    if (!format) return invalidFormat(res);
+
+    const { ok, filter, status, message } = buildAssignmentFilter(req.query, req.user);
+    if (!ok) {
+      return res.status(status).json({ message });
+    }
+
+    const assignments = await Assignment.find(filter)
+      .populate('engineerId', 'name email')
+      .populate({ path: 'projectId', select: 'name', options: { withDeleted: true } })
+      .sort({ startDate: -1 });
+
+    const rows = assignments.map(assignment => {
+      const days = differenceInCalendarDays(assignment.endDate, assignment.startDate) + 1;
+      return {
+        engineer: assignment.engineerId?.name,
+        engineerEmail: assignment.engineerId?.email,
+        project: assignment.projectId?.name,
+        role: assignment.role,
+        status: assignment.status,
+        allocationPercentage: assignment.allocationPercentage,
+        startDate: assignment.startDate,
+        endDate: assignment.endDate,
+        days,
+        allocatedDays: Math.round(days * assignment.allocationPercentage) / 100,
+        archivedAt: assignment.deletedAt
+      };
+    });
+
+    await sendExport(res, {
+      format,
+      name: 'assignments',
+      sheetName: 'Assignments',
+      columns: [
+        { key: 'engineer', header: 'Engineer', width: 24 },
+        { key: 'engineerEmail', header: 'Engineer Email', width: 28 },
+        { key: 'project', header: 'Project', width: 28 },
+        { key: 'role', header: 'Role', width: 18 },
+        { key: 'status', header: 'Status' },
+        { key: 'allocationPercentage', header: 'Allocation %' },
+        { key: 'startDate', header: 'Start Date' },
+        { key: 'endDate', header: 'End Date' },
+        { key: 'days', header: 'Days' },
+        { key: 'allocatedDays', header: 'Allocated Days' },
+        { key: 'archivedAt', header: 'Archived On' }
+      ],
+      rows
+    });
+  } catch (error) {
+    console.error('Export assignments error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Export projects
+ * Query params: format (csv|xlsx, default csv) and the project list filters
+ * (status, startDate, endDate, archived)
+ */
+const exportProjects = async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    if (!format) return invalidFormat(res);
+
+    const filter = await buildProjectFilter(req.query, req.user);
+    const projects = await Project.find(filter)
+      .populate('managerId', 'name email')
+      .sort({ startDate: -1 });
+
+    const rows = projects.map(project => ({
+      name: project.name,
+      status: project.status,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      teamSize: project.teamSize,
+      requiredSkills: (project.requiredSkills || []).map(toRequirement)
+        .map(requirement => `${requirement.name} (${requirement.priority}, level ${requirement.minLevel}+, x${requirement.headcount})`)
+        .join('; '),
+      manager: project.managerId?.name,
+      managerEmail: project.managerId?.email,
+      description: project.description,
+      archivedAt: project.deletedAt
+    }));
+
+    await sendExport(res, {
+      format,
+      name: 'projects',
+      sheetName: 'Projects',
+      columns: [
+        { key: 'name', header: 'Project', width: 28 },
+        { key: 'status', header: 'Status' },
+        { key: 'startDate', header: 'Start Date' },
+        { key: 'endDate', header: 'End Date' },
+        { key: 'teamSize', header: 'Team Size' },
+        { key: 'requiredSkills', header: 'Required Skills', width: 40 },
+        { key: 'manager', header: 'Manager', width: 24 },
+        { key: 'managerEmail', header: 'Manager Email', width: 28 },
+        { key: 'description', header: 'Description', width: 40 },
+        { key: 'archivedAt', header: 'Archived On' }
+      ],
+      rows
+    });
+  } catch (error) {
+    console.error('Export projects error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Export engineer utilization
+ * Query params: format (csv|xlsx, default csv), skills (comma-separated, as
+ * the engineer list), startDate and endDate (defaults to today)
+ * Allocation is the peak over the range; average allocation is time-weighted
+ */
+const exportUtilization = async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    if (!format) return invalidFormat(res);
+
+    const { skills, startDate, endDate } = req.query;
+    const start = startDate ? new Date(startDate) : undefined;
+    const end = endDate ? new Date(endDate) : undefined;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    if (start && end && end < start) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    const engineers = skills && typeof skills === 'string'
+      ? await filterEngineersBySkills(skills.split(',').map(skill => skill.trim()))
+      : await User.find({ role: 'engineer' }).select('-passwordHash');
+
+    const rows = [];
+    for (const engineer of engineers) {
+      const capacity = await getCapacityInfo(engineer._id.toString(), start, end);
+      rows.push({
+        name: engineer.name,
+        email: engineer.email,
+        department: engineer.department,
+        seniority: engineer.seniority,
+        startDate: capacity.startDate,
+        endDate: capacity.endDate,
+        maxCapacity: capacity.maxCapacity,
+        allocatedCapacity: capacity.allocatedCapacity,
+        averageAllocated: capacity.averageAllocated,
+        availableCapacity: capacity.availableCapacity,
+        utilizationPercent: Math.round(capacity.utilizationPercent),
+        timeOffDays: capacity.timeOffDays
+      });
+    }
+
+    await sendExport(res, {
+      format,
+      name: 'utilization',
+      sheetName: 'Utilization',
+      columns: [
+        { key: 'name', header: 'Engineer', width: 24 },
+        { key: 'email', header: 'Email', width: 28 },
+        { key: 'department', header: 'Department', width: 18 },
+        { key: 'seniority', header: 'Seniority' },
+        { key: 'startDate', header: 'From' },
+        { key: 'endDate', header: 'To' },
+        { key: 'maxCapacity', header: 'Max Capacity %' },
+        { key: 'allocatedCapacity', header: 'Peak Allocated %' },
+        { key: 'averageAllocated', header: 'Average Allocated %' },
+        { key: 'availableCapacity', header: 'Available %' },
+        { key: 'utilizationPercent', header: 'Utilization %' },
+        { key: 'timeOffDays', header: 'Days Off' }
+      ],
+      rows
+    });
+  } catch (error) {
+    console.error('Export utilization error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  exportAssignments,
+  exportProjects,
+  exportUtilization
+};
@@ -0,0 +1,87 @@
+// Holiday controller: manages the company holiday calendar
+const Holiday = require('../models/Holiday');
+const { startOfDay } = require('date-fns');
+
+/**
+ * Get company holidays
+ * Query params: from, to
+ */
+const getHolidays = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const filter = {};
+
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const holidays = await Holiday.find(filter).sort({ date: 1 });
+
+    res.json(holidays);
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Add a company holiday (manager only)
+ */
+const createHoliday = async (req, res) => {
+  try {
+    const { name, date } = req.body;
+
+    if (!name || !date) {
+      return res.status(400).json({ message: 'Missing required fields: name, date' });
+    }
+    const day = new Date(date);
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    const existing = await Holiday.findOne({ date: startOfDay(day) });
+    if (existing) {
+      return res.status(400).json({ message: `${existing.name} is already a holiday on that day` });
+    }
+
+    const holiday = await Holiday.create({ name, date: startOfDay(day) });
+
+    res.status(201).json({
+      message: 'Holiday added successfully',
+      holiday
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Remove a company holiday (manager only)
+ */
+const deleteHoliday = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const holiday = await Holiday.findByIdAndDelete(id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    res.json({ message: 'Holiday removed successfully' });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+};
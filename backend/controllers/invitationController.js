@@ -0,0 +1,235 @@
+// Invitation controller: managers invite people, who accept by setting a password
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Assignment = require('../models/Assignment');
+const { checkInvitePermission, issueInviteToken, findInvitation } = require('../services/invitationService');
+const { checkPassword, hashPassword, buildUserProfile, toUserResponse } = require('../services/userService');
+const { createSession } = require('../services/sessionService');
+
+// Invitation fields returned to managers (never the token hash)
+const toInvitationResponse = (user) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  department: user.department,
+  invitedBy: user.invitedBy,
+  inviteExpiresAt: user.inviteExpiresAt,
+  createdAt: user.createdAt
+});
+
+/**
+ * List pending invitations (manager only)
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await User.find({ status: 'invited' })
+      .populate('invitedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations.map(toInvitationResponse));
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Invite someone (manager only; inviting managers or admins needs an admin)
+ * Body: { email, name, role, skills, seniority, maxCapacity, department }.
+ * Creates the user as invited and returns the one-time token for the
+ * invitation link
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const { email, name, role = 'engineer', ...fields } = req.body;
+
+    if (!email || !name) {
+      return res.status(400).json({ message: 'Missing required fields: email, name' });
+    }
+
+    const permission = checkInvitePermission(req.user, role);
+    if (!permission.ok) {
+      return res.status(permission.status).json({ message: permission.message });
+    }
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        message: existing.status === 'invited'
+          ? 'This email already has a pending invitation'
+          : 'Email already registered'
+      });
+    }
+
+    const profile = await buildUserProfile(role, fields);
+    if (!profile.ok) {
+      return res.status(profile.status).json({ message: profile.message });
+    }
+
+    const user = new User({
+      email: email.toLowerCase(),
+      name: name.trim(),
+      status: 'invited',
+      invitedBy: req.user.userId,
+      ...profile.profile
+    });
+    const inviteToken = issueInviteToken(user);
+    await user.save();
+
+    res.status(201).json({
+      message: 'Invitation created successfully',
+      invitation: toInvitationResponse(user),
+      inviteToken
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Issue a new invitation link (manager only); the previous link stops working
+ */
+const resendInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const user = await User.findOne({ _id: id, status: 'invited' });
+    if (!user) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const permission = checkInvitePermission(req.user, user.role);
+    if (!permission.ok) {
+      return res.status(permission.status).json({ message: permission.message });
+    }
+
+    const inviteToken = issueInviteToken(user);
+    await user.save();
+
+    res.json({
+      message: 'Invitation link renewed',
+      invitation: toInvitationResponse(user),
+      inviteToken
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Withdraw a pending invitation (manager only)
+ * Not possible once the invited engineer has been given assignments
+ */
+const deleteInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const user = await User.findOne({ _id: id, status: 'invited' });
+    if (!user) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const permission = checkInvitePermission(req.user, user.role);
+    if (!permission.ok) {
+      return res.status(permission.status).json({ message: permission.message });
+    }
+
+    const assignments = await Assignment.countDocuments({ engineerId: id }).setOptions({ withDeleted: true });
+    if (assignments > 0) {
+      return res.status(400).json({ message: 'Cannot withdraw an invitation for an engineer with assignments' });
+    }
+
+    await user.deleteOne();
+
+    res.json({ message: 'Invitation withdrawn successfully' });
+  } catch (error) {
+    console.error('Delete invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Look up an invitation by its token (public), for the accept page
+ */
+const getInvitationByToken = async (req, res) => {
+  try {
+    const user = await findInvitation(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({ email: user.email, name: user.name, role: user.role });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Accept an invitation (public)
+ * Body: { token, password }. Sets the password, activates the account and
+ * signs the new user in
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Missing required fields: token, password' });
+    }
+
+    const passwordCheck = checkPassword(password);
+    if (!passwordCheck.ok) {
+      return res.status(passwordCheck.status).json({ message: passwordCheck.message });
+    }
+
+    const user = await findInvitation(token);
+    if (!user) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    user.passwordHash = await hashPassword(password);
+    user.status = 'active';
+    user.inviteTokenHash = undefined;
+    user.inviteExpiresAt = undefined;
+    await user.save();
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Invitation accepted',
+      token: accessToken,
+      refreshToken,
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  deleteInvitation,
+  getInvitationByToken,
+  acceptInvitation
+};
@@ -0,0 +1,163 @@
+// Leave controller: engineers request time off and managers approve or reject it
+const mongoose = require('mongoose');
+const Leave = require('../models/Leave');
+const User = require('../models/User');
+const { checkLeaveOverlap, checkLeaveStatusChange } = require('../services/timeOffService');
+const { recordAuditEvent } = require('../services/auditService');
+
+/**
+ * Get leave requests
+ * Query params: engineerId, status, from, to (leave overlapping the range)
+ * Engineers only see their own leave
+ */
+const getLeave = async (req, res) => {
+  try {
+    const { engineerId, status, from, to } = req.query;
+    const filter = {};
+
+    if (req.user.role === 'engineer') {
+      if (engineerId && engineerId !== req.user.userId) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      filter.engineerId = req.user.userId;
+    } else if (engineerId) {
+      if (!mongoose.isValidObjectId(engineerId)) {
+        return res.status(400).json({ message: 'Invalid engineerId' });
+      }
+      filter.engineerId = engineerId;
+    }
+
+    if (status) {
+      filter.status = { $in: String(status).split(',').map(value => value.trim()).filter(Boolean) };
+    }
+    if (from) {
+      filter.endDate = { $gte: new Date(from) };
+    }
+    if (to) {
+      filter.startDate = { $lte: new Date(to) };
+    }
+
+    const leave = await Leave.find(filter)
+      .populate('engineerId', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ startDate: 1 });
+
+    res.json(leave);
+  } catch (error) {
+    console.error('Get leave error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Request leave
+ * Engineers request leave for themselves and it waits for approval; managers
+ * can record leave for an engineer (engineerId), which is approved at once
+ */
+const createLeave = async (req, res) => {
+  try {
+    const { engineerId, type, startDate, endDate, reason } = req.body;
+    const isManager = User.isManagerRole(req.user.role);
+
+    if (!type || !startDate || !endDate || (isManager && !engineerId)) {
+      return res.status(400).json({
+        message: `Missing required fields: ${isManager ? 'engineerId, ' : ''}type, startDate, endDate`
+      });
+    }
+
+    const leave = new Leave({
+      engineerId: isManager ? engineerId : req.user.userId,
+      type,
+      startDate,
+      endDate,
+      reason,
+      ...(isManager && {
+        status: 'approved',
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date()
+      })
+    });
+    await leave.validate();
+
+    const engineer = await User.findOne({ _id: leave.engineerId, role: 'engineer' });
+    if (!engineer) {
+      return res.status(404).json({ message: 'Engineer not found' });
+    }
+
+    const overlap = await checkLeaveOverlap(leave);
+    if (!overlap.ok) {
+      return res.status(overlap.status).json({ message: overlap.message });
+    }
+
+    await leave.save();
+    await recordAuditEvent({ entity: 'leave', action: 'create', actor: req.user, after: leave });
+    await leave.populate('engineerId', 'name email');
+
+    res.status(201).json({
+      message: isManager ? 'Leave recorded successfully' : 'Leave requested successfully',
+      leave
+    });
+  } catch (error) {
+    console.error('Create leave error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Change the status of a leave request
+ * Body: { status, note }. Managers approve or reject pending leave; the
+ * engineer or a manager can cancel pending or approved leave
+ */
+const updateLeaveStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body || {};
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Leave not found' });
+    }
+
+    const leave = await Leave.findById(id);
+    if (!leave) {
+      return res.status(404).json({ message: 'Leave not found' });
+    }
+
+    const check = checkLeaveStatusChange(leave, status, req.user);
+    if (!check.ok) {
+      return res.status(check.status).json({ message: check.message });
+    }
+
+    const before = leave.toObject();
+    leave.status = status;
+    if (status === 'approved' || status === 'rejected') {
+      leave.reviewedBy = req.user.userId;
+      leave.reviewedAt = new Date();
+      if (note) {
+        leave.reviewNote = String(note).trim();
+      }
+    }
+    await leave.save();
+    await recordAuditEvent({ entity: 'leave', action: 'status-change', actor: req.user, before, after: leave });
+
+    await leave.populate([
+      { path: 'engineerId', select: 'name email' },
+      { path: 'reviewedBy', select: 'name' }
+    ]);
+
+    res.json({
+      message: `Leave ${status}`,
+      leave
+    });
+  } catch (error) {
+    console.error('Update leave status error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getLeave,
+  createLeave,
+  updateLeaveStatus
+};
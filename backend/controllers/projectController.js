@@ -2,45 +2,26 @@
 // Manages project lifecycle, validation, and authorization
 const Project = require('../models/Project');
 const Assignment = require('../models/Assignment');
+const User = require('../models/User');
+const { findMatchingEngineers } = require('../services/skillMatchingService');
+const { planProjectStaffing } = require('../services/staffingService');
+const { validateAssignment, insertAssignmentBatch } = require('../services/assignmentService');
+const { canonicalizeSkills } = require('../services/skillTaxonomyService');
+const { recordAuditEvent } = require('../services/auditService');
+const { REFLOW_MODES, planAssignmentReflow, applyAssignmentReflow, revertAssignmentReflow } = require('../services/reflowService');
+const { checkProjectStatusChange, applyProjectStatusChange } = require('../services/projectStatusService');
+const { buildProjectFilter } = require('../services/projectService');
 
 /**
  * Get all projects with optional filtering
- * Query params: status, startDate, endDate
- * Returns projects populated with manager info
+ * Query params: status, startDate, endDate, archived (true for archived projects only)
+ * Returns projects populated with manager info; engineers only get
+ * projects they're assigned to
  */
 // In src/controllers/projectsController.js (or equivalent)
 const getProjects = async (req, res) => {
   try {
-    const { status, startDate, endDate } = req.query;
-    const filter = {};
-
-    // Handle status filter: allow single or multiple statuses
-    if (status) {
-      if (Array.isArray(status)) {
-        // ?status=planning&status=active  => status is array
-        filter.status = { $in: status };
-      } else if (typeof status === 'string' && status.includes(',')) {
-        // ?status=planning,active
-        const arr = status.split(',').map(s => s.trim()).filter(Boolean);
-        if (arr.length > 0) {
-          filter.status = { $in: arr };
-        }
-      } else {
-        // single status
-        filter.status = status;
-      }
-    }
-
-    // Date range filtering remains unchanged
-    if (startDate || endDate) {
-      filter.$and = [];
-      if (startDate) {
-        filter.$and.push({ endDate: { $gte: new Date(startDate) } });
-      }
-      if (endDate) {
-        filter.$and.push({ startDate: { $lte: new Date(endDate) } });
-      }
-    }
+    const filter = await buildProjectFilter(req.query, req.user);
 
     const projects = await Project.find(filter)
       .populate('managerId', 'name email')
@@ -86,18 +67,25 @@ const createProject = async (req, res) => {
       return res.status(400).json({ message: 'Team size must be between 1 and 50' });
     }
 
+    if (status && !Project.INITIAL_PROJECT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `New projects must start as ${Project.INITIAL_PROJECT_STATUSES.join(' or ')}`
+      });
+    }
+
     const project = new Project({
       name: name.trim(),
       description: description.trim(),
       startDate: start,
       endDate: end,
-      requiredSkills: Array.isArray(requiredSkills) ? requiredSkills.map(skill => skill.trim()) : [],
+      requiredSkills: await canonicalizeSkills(Project.normalizeRequiredSkills(requiredSkills)),
       teamSize: teamSize || 1,
       status: status || 'planning',
       managerId: req.user.userId
     });
 
     await project.save();
+    await recordAuditEvent({ entity: 'project', action: 'create', actor: req.user, after: project });
 
     // Populate manager info for response
     await project.populate('managerId', 'name email');
@@ -108,6 +96,9 @@ const createProject = async (req, res) => {
     });
   } catch (error) {
     console.error('Create project error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Internal server error' });
   }
 };
@@ -119,12 +110,20 @@ const createProject = async (req, res) => {
 const getProjectById = async (req, res) => {
   try {
     const { id } = req.params;
-    const project = await Project.findById(id).populate('managerId', 'name email');
+    // Managers can also open archived projects
+    const project = await Project.findById(id)
+      .setOptions({ withDeleted: User.isManagerRole(req.user.role) })
+      .populate('managerId', 'name email')
+      .populate('deletedBy', 'name');
     if (!project) return res.status(404).json({ message: 'Project not found' });
 
     if (req.user.role === 'engineer') {
       // Check if this engineer has an assignment on this project
-      const assignment = await Assignment.findOne({ projectId: id, engineerId: req.user.userId });
+      const assignment = await Assignment.findOne({
+        projectId: id,
+        engineerId: req.user.userId,
+        status: { $nin: Assignment.RELEASED_STATUSES }
+      });
       if (!assignment) {
         return res.status(403).json({ message: 'Forbidden: You are not assigned to this project' });
       }
@@ -140,14 +139,187 @@ const getProjectById = async (req, res) => {
 };
 
 
+/**
+ * Get ranked staffing recommendations for a project (manager only)
+ * Query params: minCapacity (default 1), limit (default 10)
+ * Ranks engineers not yet on the project by skill match, then by capacity
+ * available over the project's dates
+ */
+const getProjectRecommendations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const minCapacity = req.query.minCapacity !== undefined ? Number(req.query.minCapacity) : 1;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 10;
+
+    if (isNaN(minCapacity) || minCapacity < 0 || minCapacity > 100) {
+      return res.status(400).json({ message: 'minCapacity must be a number between 0 and 100' });
+    }
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({ message: 'limit must be a positive integer' });
+    }
+
+    const project = await Project.findById(id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    // Engineers already on the project are not recommended again
+    const assignments = await Assignment.find({
+      projectId: id,
+      status: { $nin: Assignment.RELEASED_STATUSES }
+    }).select('engineerId');
+    const assignedIds = new Set(assignments.map(assignment => assignment.engineerId.toString()));
+    const openSlots = Math.max(0, project.teamSize - assignedIds.size);
+
+    const matches = await findMatchingEngineers(project.requiredSkills || [], minCapacity, {
+      startDate: project.startDate,
+      endDate: project.endDate
+    });
+
+    const candidates = matches
+      .filter(match => !assignedIds.has(match.engineer._id.toString()))
+      .slice(0, limit)
+      .map((match, index) => ({
+        engineer: {
+          _id: match.engineer._id,
+          name: match.engineer.name,
+          email: match.engineer.email,
+          skills: match.engineer.skills,
+          seniority: match.engineer.seniority,
+          department: match.engineer.department
+        },
+        matchScore: Math.round(match.matchScore),
+        matchingSkills: match.matchingSkills,
+        missingMustHaves: match.missingMustHaves,
+        underqualifiedSkills: match.underqualifiedSkills,
+        missingSkills: match.missingSkills,
+        partialMatches: match.partialMatches,
+        availableCapacity: match.availableCapacity,
+        recommended: index < openSlots
+      }));
+
+    res.json({
+      projectId: id,
+      projectName: project.name,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      requiredSkills: project.requiredSkills,
+      teamSize: project.teamSize,
+      assignedCount: assignedIds.size,
+      openSlots,
+      candidates
+    });
+  } catch (error) {
+    console.error('Get project recommendations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Propose (and optionally create) a full team for a project (manager only)
+ * Query/body: commit (default false), allocationPercentage, minAllocation, role
+ * Returns a dry-run plan unless commit=true, in which case every proposed
+ * assignment is re-validated before any is created; created assignments
+ * are proposals for each engineer to accept
+ */
+const autoStaffProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+    const commit = req.query.commit === 'true' || body.commit === true;
+
+    const options = {};
+    for (const field of ['allocationPercentage', 'minAllocation']) {
+      if (body[field] === undefined) continue;
+      const value = Number(body[field]);
+      if (isNaN(value) || value < 1 || value > 100) {
+        return res.status(400).json({ message: `${field} must be a number between 1 and 100` });
+      }
+      options[field] = value;
+    }
+    if (body.role) {
+      options.role = String(body.role).trim();
+    }
+
+    const project = await Project.findById(id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!['planning', 'active'].includes(project.status)) {
+      return res.status(400).json({ message: 'Cannot staff completed or on-hold projects' });
+    }
+
+    const staffingPlan = await planProjectStaffing(project, options);
+
+    if (!commit) {
+      return res.json({ projectId: id, committed: false, ...staffingPlan });
+    }
+
+    // Re-run the assignment checks for every proposal before creating any
+    for (const item of staffingPlan.plan) {
+      const validation = await validateAssignment({ ...item, projectId: id });
+      if (!validation.ok) {
+        return res.status(validation.status).json({
+          message: `Cannot assign ${item.engineerName}: ${validation.message}`,
+          ...(validation.conflicts && { conflicts: validation.conflicts }),
+          plan: staffingPlan.plan
+        });
+      }
+    }
+
+    const insert = await insertAssignmentBatch(staffingPlan.plan.map(item => new Assignment({
+      engineerId: item.engineerId,
+      projectId: id,
+      allocationPercentage: item.allocationPercentage,
+      startDate: item.startDate,
+      endDate: item.endDate,
+      role: item.role,
+      statusHistory: [{ status: 'proposed', changedBy: req.user.userId }]
+    })));
+    if (!insert.ok) {
+      const [firstError] = insert.errors;
+      return res.status(insert.status).json({
+        message: `Cannot assign ${staffingPlan.plan[firstError.row - 1].engineerName}: ${firstError.message}`,
+        conflicts: firstError.conflicts,
+        plan: staffingPlan.plan
+      });
+    }
+    const { assignments } = insert;
+    for (const assignment of assignments) {
+      await recordAuditEvent({ entity: 'assignment', action: 'create', actor: req.user, after: assignment });
+    }
+
+    res.status(201).json({
+      message: `Created ${assignments.length} assignments`,
+      projectId: id,
+      committed: true,
+      ...staffingPlan,
+      assignments
+    });
+  } catch (error) {
+    console.error('Auto-staff project error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 /**
  * Update project (manager only)
  * Validates ownership, dates, and existing assignments
+ * Body may include reflow ('shift', 'clip' or 'scale') to move assignments
+ * along with new project dates; that returns a preview of the moves and any
+ * capacity conflicts unless commit=true (query or body). On commit, assignments
+ * archived or ended since the preview are skipped and listed in skipped
  */
 const updateProject = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { reflow, commit: commitBody, ...updates } = req.body || {};
+    const commit = req.query.commit === 'true' || commitBody === true;
+
+    if (reflow !== undefined && !REFLOW_MODES.includes(reflow)) {
+      return res.status(400).json({ message: `reflow must be one of: ${REFLOW_MODES.join(', ')}` });
+    }
 
     // Find project and check ownership
     const project = await Project.findById(id);
@@ -160,7 +332,14 @@ const updateProject = async (req, res) => {
       return res.status(403).json({ message: 'Access denied. You can only update your own projects' });
     }
 
+    // Status changes have side effects on assignments
+    if (updates.status !== undefined && updates.status !== project.status) {
+      return res.status(400).json({ message: 'Use PATCH /api/projects/:id/status to change status' });
+    }
+    delete updates.status;
+
     // Validate dates if provided
+    let reflowPlan = null;
     if (updates.startDate || updates.endDate) {
       const newStartDate = updates.startDate ? new Date(updates.startDate) : project.startDate;
       const newEndDate = updates.endDate ? new Date(updates.endDate) : project.endDate;
@@ -173,16 +352,39 @@ const updateProject = async (req, res) => {
         return res.status(400).json({ message: 'End date must be after start date' });
       }
 
-      // Check if date changes affect existing assignments
-      const existingAssignments = await Assignment.find({ projectId: id });
-      
-      for (const assignment of existingAssignments) {
-        // Check if assignment dates fall outside new project dates
-        if (assignment.startDate < newStartDate || assignment.endDate > newEndDate) {
+      if (reflow) {
+        // Move assignments with the project; preview unless committing
+        reflowPlan = await planAssignmentReflow(project, newStartDate, newEndDate, reflow);
+        if (!commit) {
+          return res.json({
+            projectId: id,
+            committed: false,
+            startDate: newStartDate,
+            endDate: newEndDate,
+            ...reflowPlan
+          });
+        }
+        if (reflowPlan.conflicts.length > 0) {
           return res.status(400).json({
-            message: `Cannot update project dates. Assignment for engineer ${assignment.engineerId} falls outside new date range`
+            message: 'Cannot update project dates. Resolve the assignment conflicts first',
+            ...reflowPlan
           });
         }
+      } else {
+        // Check if date changes affect existing assignments
+        const existingAssignments = await Assignment.find({
+          projectId: id,
+          status: { $nin: Assignment.RELEASED_STATUSES }
+        });
+
+        for (const assignment of existingAssignments) {
+          // Check if assignment dates fall outside new project dates
+          if (assignment.startDate < newStartDate || assignment.endDate > newEndDate) {
+            return res.status(400).json({
+              message: `Cannot update project dates. Assignment for engineer ${assignment.engineerId} falls outside new date range`
+            });
+          }
+        }
       }
 
       updates.startDate = newStartDate;
@@ -194,37 +396,102 @@ const updateProject = async (req, res) => {
       return res.status(400).json({ message: 'Team size must be between 1 and 50' });
     }
 
-    // Clean and validate required skills
+    // Clean required skills (levels and headcounts are checked by the schema)
     if (updates.requiredSkills) {
-      updates.requiredSkills = Array.isArray(updates.requiredSkills) 
-        ? updates.requiredSkills.map(skill => skill.trim()).filter(skill => skill.length > 0)
-        : [];
+      updates.requiredSkills = await canonicalizeSkills(Project.normalizeRequiredSkills(updates.requiredSkills));
     }
 
     // Clean text fields
     if (updates.name) updates.name = updates.name.trim();
     if (updates.description) updates.description = updates.description.trim();
 
+    // Move the assignments before the project, so a failure leaves both as they were
+    let moves = null;
+    if (reflowPlan) {
+      moves = await applyAssignmentReflow(reflowPlan.changes);
+      if (!moves.ok) {
+        return res.status(moves.status).json({ message: moves.message });
+      }
+    }
+
     // Update project
-    const updatedProject = await Project.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    ).populate('managerId', 'name email');
+    let updatedProject;
+    try {
+      updatedProject = await Project.findByIdAndUpdate(
+        id,
+        updates,
+        { new: true, runValidators: true }
+      ).populate('managerId', 'name email');
+    } catch (error) {
+      if (moves) await revertAssignmentReflow(moves.applied);
+      throw error;
+    }
+    await recordAuditEvent({ entity: 'project', action: 'update', actor: req.user, before: project, after: updatedProject });
+
+    for (const { before, after } of moves?.applied || []) {
+      await recordAuditEvent({ entity: 'assignment', action: 'update', actor: req.user, before, after });
+    }
 
     res.json({
       message: 'Project updated successfully',
-      project: updatedProject
+      project: updatedProject,
+      ...(reflowPlan && { committed: true, ...reflowPlan, skipped: moves.skipped })
     });
   } catch (error) {
     console.error('Update project error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Move a project through its lifecycle (manager only)
+ * Body: status, pauseAssignments (optional, when putting the project on hold)
+ * Completing ends open assignments; going on hold can pause them, and
+ * reactivating resumes paused assignments that still fit
+ */
+const updateProjectStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, pauseAssignments } = req.body || {};
+
+    const project = await Project.findById(id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (project.managerId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Access denied. You can only update your own projects' });
+    }
+
+    const check = checkProjectStatusChange(project, status);
+    if (!check.ok) {
+      return res.status(check.status).json({ message: check.message });
+    }
+
+    const result = await applyProjectStatusChange(project, status, req.user, {
+      pauseAssignments: pauseAssignments === true
+    });
+    await result.project.populate('managerId', 'name email');
+
+    res.json({
+      message: `Project is now ${status}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Update project status error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Internal server error' });
   }
 };
 
 /**
  * Delete project (manager only)
- * Prevents deletion if assignments exist
+ * Archives the project; prevented while it has assignments that aren't archived
  */
 const deleteProject = async (req, res) => {
   try {
@@ -245,16 +512,17 @@ const deleteProject = async (req, res) => {
     const existingAssignments = await Assignment.find({ projectId: id });
     if (existingAssignments.length > 0) {
       return res.status(400).json({
-        message: 'Cannot delete project with existing assignments. Please remove all assignments first.',
+        message: 'Cannot delete project with existing assignments. Please archive all assignments first.',
         assignmentCount: existingAssignments.length
       });
     }
 
-    // Delete project
-    await Project.findByIdAndDelete(id);
+    // Archive project
+    await project.softDelete(req.user.userId);
+    await recordAuditEvent({ entity: 'project', action: 'delete', actor: req.user, before: project });
 
     res.json({
-      message: 'Project deleted successfully',
+      message: 'Project archived successfully',
       projectId: id
     });
   } catch (error) {
@@ -263,10 +531,48 @@ const deleteProject = async (req, res) => {
   }
 };
 
+/**
+ * Restore an archived project (manager only)
+ * Its archived assignments stay archived and can be restored one by one
+ */
+const restoreProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await Project.findById(id).setOptions({ withDeleted: true });
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (project.managerId.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Access denied. You can only restore your own projects' });
+    }
+
+    if (!project.deletedAt) {
+      return res.status(400).json({ message: 'Project is not archived' });
+    }
+
+    await project.restore();
+    await recordAuditEvent({ entity: 'project', action: 'restore', actor: req.user, after: project });
+
+    res.json({
+      message: 'Project restored successfully',
+      project
+    });
+  } catch (error) {
+    console.error('Restore project error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 module.exports = {
   getProjects,
   createProject,
   getProjectById,
+  getProjectRecommendations,
+  autoStaffProject,
   updateProject,
-  deleteProject
+  updateProjectStatus,
+  deleteProject,
+  restoreProject
 };
\ No newline at end of file
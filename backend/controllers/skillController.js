@@ -0,0 +1,412 @@
+// Skills controller: manages the canonical skill taxonomy
+// Canonical names, aliases, categories, parent/child and relatedness relationships
+const mongoose = require('mongoose');
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const SkillRelation = require('../models/SkillRelation');
+const { loadSkillLookup, canonicalSkillName } = require('../services/skillTaxonomyService');
+const { deriveRelationsFromProfiles } = require('../services/skillRelationService');
+
+/**
+ * Clean aliases from request input
+ * Accepts an array or a comma-separated string; drops blanks
+ */
+const cleanAliases = (aliases) => {
+  const list = Array.isArray(aliases) ? aliases : String(aliases || '').split(',');
+  return list
+    .filter(alias => typeof alias === 'string')
+    .map(alias => alias.trim())
+    .filter(alias => alias.length > 0);
+};
+
+/**
+ * Check a proposed parent for a skill
+ * Returns an error message, or null if the parent is valid
+ */
+const checkParent = async (parentId, skillId) => {
+  if (!mongoose.isValidObjectId(parentId)) {
+    return 'Invalid parent skill';
+  }
+
+  // Walk up from the new parent; reaching the skill itself would form a cycle
+  let current = await Skill.findById(parentId).select('parentId');
+  if (!current) {
+    return 'Parent skill not found';
+  }
+  const visited = new Set();
+  while (current) {
+    const currentId = current._id.toString();
+    if ((skillId && currentId === skillId.toString()) || visited.has(currentId)) {
+      return 'A skill cannot be its own ancestor';
+    }
+    visited.add(currentId);
+    current = current.parentId ? await Skill.findById(current.parentId).select('parentId') : null;
+  }
+  return null;
+};
+
+/**
+ * Respond to a save error: duplicate names/aliases and schema errors are 400s
+ */
+const handleSaveError = (error, res, duplicateMessage = 'A skill with this name or alias already exists') => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: duplicateMessage });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Internal server error' });
+};
+
+/**
+ * Get all skills in the taxonomy
+ * Query params: category
+ * Returns skills sorted by name with their parent's name
+ */
+const getSkills = async (req, res) => {
+  try {
+    const { category } = req.query;
+    const filter = category ? { category } : {};
+
+    const skills = await Skill.find(filter)
+      .select('-keys')
+      .populate('parentId', 'name')
+      .sort({ name: 1 });
+
+    res.json(skills);
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a single skill with its direct children
+ */
+const getSkillById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const skill = await Skill.findById(id)
+      .select('-keys')
+      .populate('parentId', 'name');
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+
+    const children = await Skill.find({ parentId: id }).select('name category').sort({ name: 1 });
+
+    res.json({ ...skill.toObject(), children });
+  } catch (error) {
+    console.error('Get skill by ID error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create a skill (manager only)
+ * Body: name (required), aliases, category, parentId
+ */
+const createSkill = async (req, res) => {
+  try {
+    const { name, aliases, category, parentId } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Skill name is required' });
+    }
+
+    if (parentId) {
+      const parentError = await checkParent(parentId);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    const skill = new Skill({
+      name: name.trim(),
+      aliases: cleanAliases(aliases),
+      category: category || 'other',
+      parentId: parentId || null
+    });
+    await skill.save();
+
+    res.status(201).json({
+      message: 'Skill created successfully',
+      skill
+    });
+  } catch (error) {
+    console.error('Create skill error:', error);
+    handleSaveError(error, res);
+  }
+};
+
+/**
+ * Update a skill (manager only)
+ * Renaming a skill also renames it on engineers and project requirements
+ */
+const updateSkill = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, aliases, category, parentId } = req.body || {};
+
+    const skill = await Skill.findById(id);
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+
+    if (parentId) {
+      const parentError = await checkParent(parentId, skill._id);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    const previousName = skill.name;
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Skill name cannot be empty' });
+      }
+      skill.name = name.trim();
+    }
+    if (aliases !== undefined) skill.aliases = cleanAliases(aliases);
+    if (category !== undefined) skill.category = category;
+    if (parentId !== undefined) skill.parentId = parentId || null;
+
+    await skill.save();
+
+    // Keep stored skill names canonical after a rename
+    if (skill.name !== previousName) {
+      await User.updateMany(
+        { 'skills.name': previousName },
+        { $set: { 'skills.$[entry].name': skill.name } },
+        { arrayFilters: [{ 'entry.name': previousName }] }
+      );
+      await Project.updateMany(
+        { 'requiredSkills.name': previousName },
+        { $set: { 'requiredSkills.$[entry].name': skill.name } },
+        { arrayFilters: [{ 'entry.name': previousName }] }
+      );
+
+      const relations = await SkillRelation.find({ $or: [{ skillA: previousName }, { skillB: previousName }] });
+      for (const relation of relations) {
+        if (relation.skillA === previousName) relation.skillA = skill.name;
+        if (relation.skillB === previousName) relation.skillB = skill.name;
+        await relation.save();
+      }
+    }
+
+    res.json({
+      message: 'Skill updated successfully',
+      skill
+    });
+  } catch (error) {
+    console.error('Update skill error:', error);
+    handleSaveError(error, res);
+  }
+};
+
+/**
+ * Delete a skill (manager only)
+ * Child skills move up to the deleted skill's parent; engineers and
+ * projects keep the name as free text
+ */
+const deleteSkill = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const skill = await Skill.findById(id);
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+
+    await Skill.updateMany({ parentId: skill._id }, { parentId: skill.parentId });
+    await Skill.findByIdAndDelete(id);
+
+    res.json({ message: 'Skill deleted successfully' });
+  } catch (error) {
+    console.error('Delete skill error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Parse a relation weight from request input
+ * Returns null unless it's a number in (0, 1]
+ */
+const parseWeight = (weight) => {
+  const value = Number(weight);
+  return weight !== undefined && weight !== null && !isNaN(value) && value > 0 && value <= 1 ? value : null;
+};
+
+/**
+ * Get skill relations
+ * Query params: skill (relations involving this skill), source (manual|derived)
+ */
+const getSkillRelations = async (req, res) => {
+  try {
+    const { skill, source } = req.query;
+    const filter = {};
+
+    if (source) {
+      filter.source = source;
+    }
+    if (skill) {
+      const name = canonicalSkillName(skill, await loadSkillLookup());
+      filter.$or = [{ skillA: name }, { skillB: name }];
+    }
+
+    const relations = await SkillRelation.find(filter)
+      .select('-pairKey')
+      .sort({ weight: -1 });
+
+    res.json(relations);
+  } catch (error) {
+    console.error('Get skill relations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Create or replace a relation between two skills (manager only)
+ * Body: skillA, skillB, weight (0-1]
+ * Names are stored canonically; an existing relation for the pair,
+ * including a derived one, is overwritten and becomes manual
+ */
+const createSkillRelation = async (req, res) => {
+  try {
+    const { skillA, skillB, weight } = req.body || {};
+
+    if (!skillA || !skillB || typeof skillA !== 'string' || typeof skillB !== 'string') {
+      return res.status(400).json({ message: 'Both skills are required' });
+    }
+    const relationWeight = parseWeight(weight);
+    if (relationWeight === null) {
+      return res.status(400).json({ message: 'Weight must be a number greater than 0 and at most 1' });
+    }
+
+    const lookup = await loadSkillLookup();
+    const relation = new SkillRelation({
+      skillA: canonicalSkillName(skillA, lookup),
+      skillB: canonicalSkillName(skillB, lookup),
+      weight: relationWeight,
+      source: 'manual'
+    });
+    await relation.validate();
+
+    const existing = await SkillRelation.findOne({ pairKey: relation.pairKey });
+    if (existing) {
+      existing.set({ skillA: relation.skillA, skillB: relation.skillB, weight: relationWeight, source: 'manual' });
+      await existing.save();
+      return res.json({ message: 'Skill relation updated successfully', relation: existing });
+    }
+
+    await relation.save();
+    res.status(201).json({
+      message: 'Skill relation created successfully',
+      relation
+    });
+  } catch (error) {
+    console.error('Create skill relation error:', error);
+    handleSaveError(error, res, 'This skill relation already exists');
+  }
+};
+
+/**
+ * Update a relation's weight (manager only)
+ * Editing a derived relation makes it manual, so re-deriving keeps it
+ */
+const updateSkillRelation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const relationWeight = parseWeight((req.body || {}).weight);
+    if (relationWeight === null) {
+      return res.status(400).json({ message: 'Weight must be a number greater than 0 and at most 1' });
+    }
+
+    const relation = await SkillRelation.findById(id);
+    if (!relation) {
+      return res.status(404).json({ message: 'Skill relation not found' });
+    }
+
+    relation.weight = relationWeight;
+    relation.source = 'manual';
+    await relation.save();
+
+    res.json({
+      message: 'Skill relation updated successfully',
+      relation
+    });
+  } catch (error) {
+    console.error('Update skill relation error:', error);
+    handleSaveError(error, res, 'This skill relation already exists');
+  }
+};
+
+/**
+ * Delete a skill relation (manager only)
+ */
+const deleteSkillRelation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const relation = await SkillRelation.findByIdAndDelete(id);
+    if (!relation) {
+      return res.status(404).json({ message: 'Skill relation not found' });
+    }
+
+    res.json({ message: 'Skill relation deleted successfully' });
+  } catch (error) {
+    console.error('Delete skill relation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Re-derive relations from skill co-occurrence in engineer profiles (manager only)
+ * Body: minSupport (default 2), minWeight (default 0.3)
+ */
+const deriveSkillRelations = async (req, res) => {
+  try {
+    const { minSupport, minWeight } = req.body || {};
+    const options = {};
+
+    if (minSupport !== undefined) {
+      const value = Number(minSupport);
+      if (!Number.isInteger(value) || value < 1) {
+        return res.status(400).json({ message: 'minSupport must be a positive integer' });
+      }
+      options.minSupport = value;
+    }
+    if (minWeight !== undefined) {
+      const value = parseWeight(minWeight);
+      if (value === null) {
+        return res.status(400).json({ message: 'minWeight must be a number greater than 0 and at most 1' });
+      }
+      options.minWeight = value;
+    }
+
+    const result = await deriveRelationsFromProfiles(options);
+
+    res.json({
+      message: `Derived ${result.created} skill relations`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Derive skill relations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getSkills,
+  getSkillById,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  getSkillRelations,
+  createSkillRelation,
+  updateSkillRelation,
+  deleteSkillRelation,
+  deriveSkillRelations
+};
@@ -0,0 +1,109 @@
+// User controller: admins promote and demote users; managers unlock accounts
+const mongoose = require('mongoose');
+const { startOfDay } = require('date-fns');
+const User = require('../models/User');
+const Assignment = require('../models/Assignment');
+const { recordAuditEvent } = require('../services/auditService');
+const { unlockAccount } = require('../services/loginThrottleService');
+
+/**
+ * List active users with their roles (admin only)
+ */
+const getUsers = async (req, res) => {
+  try {
+    const users = await User.find({ status: 'active' })
+      .select('name email role department lockedUntil')
+      .sort({ name: 1 });
+
+    res.json(users);
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Change a user's role (admin only)
+ * Body: { role }. Admins can't change their own role, and an engineer with
+ * open assignments has to be released from them before being promoted
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+
+    if (!User.USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${User.USER_ROLES.join(', ')}` });
+    }
+    if (id === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findOne({ _id: id, status: 'active' }).select('-passwordHash');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'engineer' && role !== 'engineer') {
+      const openAssignments = await Assignment.countDocuments({
+        engineerId: id,
+        status: { $nin: [...Assignment.RELEASED_STATUSES, 'completed'] },
+        endDate: { $gte: startOfDay(new Date()) }
+      });
+      if (openAssignments > 0) {
+        return res.status(400).json({
+          message: `${user.name} has ${openAssignments} open assignment${openAssignments === 1 ? '' : 's'}; release them before changing the role`
+        });
+      }
+    }
+
+    const before = user.toObject();
+    user.role = role;
+    await user.save({ validateModifiedOnly: true });
+    await recordAuditEvent({ entity: 'engineer', action: 'update', actor: req.user, before, after: user });
+
+    res.json({
+      message: 'Role updated successfully',
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role, department: user.department }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Unlock an account locked by failed sign-ins (manager only)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findOne({ _id: id, status: 'active' }).select('-passwordHash');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.lockedUntil || user.lockedUntil <= new Date()) {
+      return res.status(400).json({ message: 'Account is not locked' });
+    }
+
+    await unlockAccount(user, req.user);
+
+    res.json({ message: `${user.name} can sign in again` });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getUsers,
+  updateUserRole,
+  unlockUser
+};
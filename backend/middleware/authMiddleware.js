@@ -1,6 +1,7 @@
 // src/middlewares/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
 
 const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -10,18 +11,27 @@ const authMiddleware = async (req, res, next) => {
   const token = authHeader.split(' ')[1];
   try {
     const payload = jwt.verify(token, process.env.JWT_SECRET);
+    // Tokens stop working as soon as their session is revoked (logout)
+    if (!(await isSessionActive(payload.sessionId))) {
+      return res.status(401).json({ message: 'Unauthorized: Session expired' });
+    }
     // Optionally verify user exists:
     const user = await User.findById(payload.userId).select('-passwordHash');
     if (!user) {
       return res.status(401).json({ message: 'Unauthorized: User not found' });
     }
+    // Role comes from the database so promotions and demotions apply at once
     req.user = {
       userId: payload.userId,
-      role: payload.role,
+      role: user.role,
+      sessionId: payload.sessionId,
     };
     next();
   } catch (err) {
-    console.error('JWT verification failed:', err);
+    // Expired access tokens are routine; the client refreshes them
+    if (err.name !== 'TokenExpiredError') {
+      console.error('JWT verification failed:', err);
+    }
     return res.status(401).json({ message: 'Unauthorized: Invalid token' });
   }
 };
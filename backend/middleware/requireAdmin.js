@@ -0,0 +1,9 @@
+// src/middlewares/requireAdmin.js
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Forbidden: Admin only' });
+  }
+  next();
+};
+
+module.exports = requireAdmin;
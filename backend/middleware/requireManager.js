@@ -1,6 +1,9 @@
 // src/middlewares/requireManager.js
+// Managers and admins pass
+const User = require('../models/User');
+
 const requireManager = (req, res, next) => {
-  if (!req.user || req.user.role !== 'manager') {
+  if (!req.user || !User.isManagerRole(req.user.role)) {
     return res.status(403).json({ message: 'Forbidden: Manager only' });
   }
   next();
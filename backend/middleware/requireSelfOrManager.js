@@ -1,9 +1,11 @@
 // src/middlewares/requireSelfOrManager.js
 // Use for engineer updates: allow if manager or the user themselves
+const User = require('../models/User');
+
 const requireSelfOrManager = (req, res, next) => {
   const { userId, role } = req.user || {};
   const paramId = req.params.id;
-  if (role === 'manager' || userId === paramId) {
+  if (User.isManagerRole(role) || userId === paramId) {
     return next();
   }
   return res.status(403).json({ message: 'Forbidden: Access denied' });
@@ -0,0 +1,43 @@
+// Migration: replaces plaintext calendar tokens with their hashes. Existing
+// feed URLs keep working; the link can't be shown again, so users who need it
+// generate a new one
+// Run once with: node migrations/hashCalendarTokens.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { hashToken } = require('../services/tokenService');
+
+async function hashCalendarTokens() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const users = await User.collection
+      .find({ calendarToken: { $type: 'string' } })
+      .project({ calendarToken: 1, updatedAt: 1 })
+      .toArray();
+
+    for (const user of users) {
+      await User.collection.updateOne(
+        { _id: user._id },
+        {
+          $set: { calendarTokenHash: hashToken(user.calendarToken), calendarTokenCreatedAt: user.updatedAt || new Date() },
+          $unset: { calendarToken: '' }
+        }
+      );
+    }
+    console.log(`Hashed ${users.length} calendar token${users.length === 1 ? '' : 's'}`);
+
+    await User.syncIndexes();
+
+    console.log('Calendar token migration complete');
+  } catch (error) {
+    console.error('Calendar token migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+hashCalendarTokens();
@@ -0,0 +1,128 @@
+// Migration: builds the skill taxonomy and merges free-text skill variants
+// ("Node.js", "nodejs", "Node") on engineers and projects into canonical names.
+// Adds any missing default skills and relations, turns remaining unknown
+// spellings of the same skill into aliases of one new skill, then rewrites
+// stored skills.
+// Run once with: node migrations/mergeSkillVariants.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Skill = require('../models/Skill');
+const SkillRelation = require('../models/SkillRelation');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { DEFAULT_SKILLS, DEFAULT_RELATIONS } = require('../seed/skillTaxonomy');
+const { loadSkillLookup, canonicalSkillName, canonicalizeSkills } = require('../services/skillTaxonomyService');
+
+// Add default skills that don't exist yet, then link parents by name
+async function ensureDefaultSkills() {
+  let lookup = await loadSkillLookup();
+  for (const { name, aliases = [], category } of DEFAULT_SKILLS) {
+    if (!lookup.has(Skill.toSkillKey(name))) {
+      // Skip aliases someone already uses for a different skill
+      const freeAliases = aliases.filter(alias => !lookup.has(Skill.toSkillKey(alias)));
+      await Skill.create({ name, aliases: freeAliases, category });
+      console.log('Skill created:', name);
+    }
+  }
+
+  lookup = await loadSkillLookup();
+  for (const { name, parent } of DEFAULT_SKILLS) {
+    if (!parent) continue;
+    const skill = await Skill.findOne({ name: lookup.get(Skill.toSkillKey(name)) });
+    const parentSkill = await Skill.findOne({ name: lookup.get(Skill.toSkillKey(parent)) });
+    if (skill && parentSkill && !skill.parentId) {
+      skill.parentId = parentSkill._id;
+      await skill.save();
+    }
+  }
+}
+
+// Add default relations for pairs that have none yet
+async function ensureDefaultRelations() {
+  const lookup = await loadSkillLookup();
+  for (const { skillA, skillB, weight } of DEFAULT_RELATIONS) {
+    const relation = new SkillRelation({
+      skillA: canonicalSkillName(skillA, lookup),
+      skillB: canonicalSkillName(skillB, lookup),
+      weight
+    });
+    await relation.validate();
+    if (!(await SkillRelation.exists({ pairKey: relation.pairKey }))) {
+      await relation.save();
+      console.log(`Skill relation created: ${relation.skillA} - ${relation.skillB}`);
+    }
+  }
+}
+
+// Group unknown skill names by lookup key; each group becomes one skill,
+// named after its most common spelling
+async function createSkillsForVariants(names) {
+  const lookup = await loadSkillLookup();
+  const groups = new Map();
+  for (const name of names) {
+    const key = Skill.toSkillKey(name);
+    if (!key || lookup.has(key)) continue;
+    const counts = groups.get(key) || new Map();
+    counts.set(name, (counts.get(name) || 0) + 1);
+    groups.set(key, counts);
+  }
+
+  for (const counts of groups.values()) {
+    const [name, ...aliases] = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([variant]) => variant);
+    await Skill.create({ name, aliases });
+    console.log(`Skill created: ${name}${aliases.length > 0 ? ` (aliases: ${aliases.join(', ')})` : ''}`);
+  }
+}
+
+// Only write documents whose skills actually change
+const sameSkills = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function mergeSkillVariants() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    await Skill.syncIndexes();
+    await SkillRelation.syncIndexes();
+    await ensureDefaultSkills();
+    await ensureDefaultRelations();
+
+    const users = await User.find({ 'skills.0': { $exists: true } }).select('email skills').lean();
+    const projects = await Project.find({ 'requiredSkills.0': { $exists: true } }).select('name requiredSkills').lean();
+
+    await createSkillsForVariants([
+      ...users.flatMap(user => user.skills.map(skill => skill.name.trim())),
+      ...projects.flatMap(project => project.requiredSkills.map(skill => skill.name.trim()))
+    ]);
+
+    const lookup = await loadSkillLookup();
+
+    for (const user of users) {
+      const skills = await canonicalizeSkills(user.skills, lookup);
+      if (!sameSkills(skills, user.skills)) {
+        await User.updateOne({ _id: user._id }, { $set: { skills } });
+        console.log(`Merged skills for ${user.email}`);
+      }
+    }
+
+    for (const project of projects) {
+      const requiredSkills = await canonicalizeSkills(project.requiredSkills, lookup);
+      if (!sameSkills(requiredSkills, project.requiredSkills)) {
+        await Project.updateOne({ _id: project._id }, { $set: { requiredSkills } });
+        console.log(`Merged required skills for ${project.name}`);
+      }
+    }
+
+    console.log('Skill variant migration complete');
+  } catch (error) {
+    console.error('Skill variant migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+mergeSkillVariants();
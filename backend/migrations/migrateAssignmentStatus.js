@@ -0,0 +1,44 @@
+// Migration: gives assignments created before the lifecycle workflow a status
+// based on their dates: finished ones are completed, started ones active and
+// future ones confirmed (they were agreed before proposals existed)
+// Run once with: node migrations/migrateAssignmentStatus.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { startOfDay } = require('date-fns');
+const Assignment = require('../models/Assignment');
+
+async function migrateAssignmentStatus() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const today = startOfDay(new Date());
+    const missing = { status: { $exists: false } };
+
+    const completed = await Assignment.collection.updateMany(
+      { ...missing, endDate: { $lt: today } },
+      { $set: { status: 'completed', statusChangedAt: new Date() } }
+    );
+    const active = await Assignment.collection.updateMany(
+      { ...missing, startDate: { $lte: today } },
+      { $set: { status: 'active', statusChangedAt: new Date() } }
+    );
+    const confirmed = await Assignment.collection.updateMany(
+      missing,
+      { $set: { status: 'confirmed', statusChangedAt: new Date() } }
+    );
+    console.log(`Completed: ${completed.modifiedCount}, active: ${active.modifiedCount}, confirmed: ${confirmed.modifiedCount}`);
+
+    await Assignment.syncIndexes();
+
+    console.log('Assignment status migration complete');
+  } catch (error) {
+    console.error('Assignment status migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateAssignmentStatus();
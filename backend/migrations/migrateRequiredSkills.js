@@ -0,0 +1,51 @@
+// Migration: converts legacy string requiredSkills on projects to requirement
+// entries { name, priority, minLevel, headcount }, folding in any separate
+// minSkillLevels list, which is then removed
+// Run once with: node migrations/migrateRequiredSkills.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+
+async function migrateRequiredSkills() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read raw documents: legacy string arrays don't fit the current schema
+    const projects = await Project.collection
+      .find({
+        $or: [
+          { 'requiredSkills.0': { $type: 'string' } },
+          { minSkillLevels: { $exists: true } }
+        ]
+      })
+      .toArray();
+    console.log(`Found ${projects.length} projects with legacy required skills`);
+
+    for (const project of projects) {
+      const minLevels = new Map((project.minSkillLevels || []).map(({ name, level }) =>
+        [name.toLowerCase(), level]
+      ));
+      const requiredSkills = Project.normalizeRequiredSkills((project.requiredSkills || []).map(skill => {
+        if (typeof skill !== 'string') return skill;
+        return { name: skill, minLevel: minLevels.get(skill.trim().toLowerCase()) || 1 };
+      }));
+
+      await Project.collection.updateOne(
+        { _id: project._id },
+        { $set: { requiredSkills }, $unset: { minSkillLevels: '' } }
+      );
+      console.log(`Migrated ${requiredSkills.length} required skills for ${project.name}`);
+    }
+
+    console.log('Required skills migration complete');
+  } catch (error) {
+    console.error('Required skills migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateRequiredSkills();
@@ -0,0 +1,54 @@
+// Migration: converts legacy string skills on users to proficiency entries
+// { name, level, yearsOfExperience } with a starting level based on seniority
+// Run once with: node migrations/migrateSkillProficiency.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Starting proficiency for migrated skills, by engineer seniority
+const LEVEL_BY_SENIORITY = {
+  junior: 2,
+  mid: 3,
+  senior: 4
+};
+
+async function migrateSkillProficiency() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read raw documents: legacy string arrays don't fit the current schema
+    const users = await User.collection
+      .find({ 'skills.0': { $type: 'string' } })
+      .toArray();
+    console.log(`Found ${users.length} users with legacy skills`);
+
+    for (const user of users) {
+      const level = LEVEL_BY_SENIORITY[user.seniority] || LEVEL_BY_SENIORITY.mid;
+      const skills = User.normalizeSkills(user.skills.map(skill =>
+        typeof skill === 'string' ? { name: skill, level } : skill
+      ));
+
+      await User.collection.updateOne({ _id: user._id }, { $set: { skills } });
+      console.log(`Migrated ${skills.length} skills for ${user.email}`);
+    }
+
+    // Replace the old index on plain skill strings
+    const indexes = await User.collection.indexes();
+    if (indexes.some(index => index.name === 'skills_1')) {
+      await User.collection.dropIndex('skills_1');
+      console.log('Dropped legacy skills_1 index');
+    }
+    await User.syncIndexes();
+
+    console.log('Skill proficiency migration complete');
+  } catch (error) {
+    console.error('Skill proficiency migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateSkillProficiency();
@@ -0,0 +1,41 @@
+// Migration: makes an existing user an admin, so a database created before
+// the admin role has someone who can promote and demote managers
+// Run once with: node migrations/promoteAdmin.js manager@example.com
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+async function promoteAdmin(email) {
+  if (!email) {
+    console.error('Usage: node migrations/promoteAdmin.js <email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await User.updateOne(
+      { email: email.toLowerCase(), status: { $ne: 'invited' } },
+      { $set: { role: 'admin' } }
+    );
+    if (result.matchedCount === 0) {
+      console.error(`No active user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await User.syncIndexes();
+
+    console.log(`${email} is now an admin`);
+  } catch (error) {
+    console.error('Promote admin error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+promoteAdmin(process.argv[2]);
@@ -1,4 +1,51 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Lifecycle: proposed -> confirmed -> active -> completed; open assignments
+// can be cancelled, engineers can decline a proposal, and committed work
+// can be paused (e.g. while its project is on hold) and resumed
+const ASSIGNMENT_STATUSES = ['proposed', 'confirmed', 'active', 'paused', 'completed', 'cancelled', 'declined'];
+
+// Statuses each status may move to
+const STATUS_TRANSITIONS = {
+  proposed: ['confirmed', 'declined', 'cancelled'],
+  confirmed: ['active', 'paused', 'cancelled'],
+  active: ['completed', 'paused', 'cancelled'],
+  paused: ['confirmed', 'active', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  declined: []
+};
+
+// Proposed work is tentative: shown separately and not counted as allocated
+const TENTATIVE_STATUSES = ['proposed'];
+
+// Statuses whose assignments no longer hold any of the engineer's capacity
+const RELEASED_STATUSES = ['cancelled', 'declined'];
+
+// Paused work stays on the project but doesn't hold capacity until resumed
+const PAUSED_STATUSES = ['paused'];
+
+// One entry per status change, including the initial status
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ASSIGNMENT_STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
 
 const AssignmentSchema = new mongoose.Schema({
   engineerId: {
@@ -35,13 +82,47 @@ const AssignmentSchema = new mongoose.Schema({
     type: String,
     required: true,
     trim: true
-  }
+  },
+  status: {
+    type: String,
+    enum: ASSIGNMENT_STATUSES,
+    default: 'proposed'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Engineer's reason when declining a proposal
+  declineReason: {
+    type: String,
+    trim: true
+  },
+  statusHistory: [statusChangeSchema]
 }, {
   timestamps: true
 });
 
+// Deleting an assignment archives it, so past allocations stay on record
+AssignmentSchema.plugin(softDelete);
+
 AssignmentSchema.index({ engineerId: 1, startDate: 1, endDate: 1 });
 AssignmentSchema.index({ projectId: 1 });
 AssignmentSchema.index({ startDate: 1, endDate: 1 });
+AssignmentSchema.index({ status: 1 });
+
+AssignmentSchema.statics.ASSIGNMENT_STATUSES = ASSIGNMENT_STATUSES;
+AssignmentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+AssignmentSchema.statics.TENTATIVE_STATUSES = TENTATIVE_STATUSES;
+AssignmentSchema.statics.RELEASED_STATUSES = RELEASED_STATUSES;
+AssignmentSchema.statics.PAUSED_STATUSES = PAUSED_STATUSES;
+
+/**
+ * Whether assignments in a status take up the engineer's capacity
+ * @param {string} status - Assignment status
+ * @returns {boolean} True for confirmed, active and completed work
+ */
+AssignmentSchema.statics.holdsCapacity = function(status) {
+  return ![...TENTATIVE_STATUSES, ...RELEASED_STATUSES, ...PAUSED_STATUSES].includes(status);
+};
 
 module.exports = mongoose.model('Assignment', AssignmentSchema);
@@ -0,0 +1,67 @@
+// AuditEvent.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Kinds of records whose changes are audited (ip: sign-ins from one address)
+const AUDIT_ENTITIES = ['assignment', 'project', 'engineer', 'leave', 'ip'];
+
+// lock and unlock record sign-in lockouts (a lock has no actor: the system does it)
+const AUDIT_ACTIONS = ['create', 'update', 'status-change', 'delete', 'restore', 'lock', 'unlock'];
+
+// One changed field; values are stored as plain JSON snapshots
+const auditChangeSchema = new Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: Schema.Types.Mixed,
+  after: Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only record of who changed what. projectId and engineerId link an
+// event to the project and engineer it concerns (for an assignment, both),
+// so a project's or engineer's history includes its assignments' changes.
+const AuditEventSchema = new Schema({
+  entity: {
+    type: String,
+    enum: AUDIT_ENTITIES,
+    required: true
+  },
+  entityId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  actorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [auditChangeSchema],
+  projectId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  engineerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditEventSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+AuditEventSchema.index({ projectId: 1, timestamp: -1 });
+AuditEventSchema.index({ engineerId: 1, timestamp: -1 });
+AuditEventSchema.index({ actorId: 1, timestamp: -1 });
+
+AuditEventSchema.statics.AUDIT_ENTITIES = AUDIT_ENTITIES;
+AuditEventSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,22 @@
+// holiday.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Company holiday: a day off for everyone, one document per day
+const HolidaySchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Holiday', HolidaySchema);
@@ -0,0 +1,86 @@
+// leave.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const LEAVE_TYPES = ['vacation', 'sick', 'training'];
+
+// Lifecycle: engineers request leave (pending) and a manager approves or
+// rejects it; pending or approved leave can be cancelled
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Statuses each status may move to
+const LEAVE_STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['cancelled'],
+  rejected: [],
+  cancelled: []
+};
+
+// Leave that takes the engineer out of capacity
+const APPROVED_LEAVE_STATUSES = ['approved'];
+
+// Leave still being asked for or granted; these can't overlap each other
+const OPEN_LEAVE_STATUSES = ['pending', 'approved'];
+
+// Whole days away from work; both dates are inclusive
+const LeaveSchema = new Schema({
+  engineerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LEAVE_TYPES,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(endDate) {
+        return endDate >= this.startDate;
+      },
+      message: 'Leave end date must not be before start date'
+    }
+  },
+  status: {
+    type: String,
+    enum: LEAVE_STATUSES,
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Manager who approved or rejected the request
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+LeaveSchema.index({ engineerId: 1, startDate: 1, endDate: 1 });
+LeaveSchema.index({ status: 1 });
+
+LeaveSchema.statics.LEAVE_TYPES = LEAVE_TYPES;
+LeaveSchema.statics.LEAVE_STATUSES = LEAVE_STATUSES;
+LeaveSchema.statics.LEAVE_STATUS_TRANSITIONS = LEAVE_STATUS_TRANSITIONS;
+LeaveSchema.statics.APPROVED_LEAVE_STATUSES = APPROVED_LEAVE_STATUSES;
+LeaveSchema.statics.OPEN_LEAVE_STATUSES = OPEN_LEAVE_STATUSES;
+
+module.exports = mongoose.model('Leave', LeaveSchema);
@@ -0,0 +1,34 @@
+// LoginAttempt.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Failed sign-ins from one IP address, whatever accounts they tried.
+// Per-account failures are kept on the user
+const LoginAttemptSchema = new Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: Date,
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Records are removed a day after the last failure
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -1,8 +1,53 @@
 // project.js
 
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const Schema = mongoose.Schema;
 
+// Lifecycle: planning -> active -> completed; planning or active projects
+// can be put on hold, and resume by becoming active again
+const PROJECT_STATUSES = ['planning', 'active', 'completed', 'on-hold'];
+
+// Statuses each status may move to
+const PROJECT_STATUS_TRANSITIONS = {
+  planning: ['active', 'on-hold'],
+  active: ['completed', 'on-hold'],
+  'on-hold': ['active'],
+  completed: []
+};
+
+// Statuses a new project can start in
+const INITIAL_PROJECT_STATUSES = ['planning', 'active'];
+
+// Must-haves are weighted above nice-to-haves in matching and coverage
+const SKILL_PRIORITIES = ['must', 'nice'];
+
+// A required skill: how important it is, the minimum proficiency (1-5)
+// and how many engineers at that level the project needs
+const requiredSkillSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  priority: {
+    type: String,
+    enum: SKILL_PRIORITIES,
+    default: 'must'
+  },
+  minLevel: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: 1
+  },
+  headcount: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+}, { _id: false });
+
 const ProjectSchema = new Schema({
   name: {
     type: String,
@@ -28,10 +73,7 @@ const ProjectSchema = new Schema({
       message: 'End date must be after start date'
     }
   },
-  requiredSkills: [{
-    type: String,
-    trim: true
-  }],
+  requiredSkills: [requiredSkillSchema],
   teamSize: {
     type: Number,
     required: true,
@@ -39,7 +81,7 @@ const ProjectSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['planning', 'active', 'completed', 'on-hold'],
+    enum: PROJECT_STATUSES,
     default: 'planning'
   },
   managerId: {
@@ -51,9 +93,45 @@ const ProjectSchema = new Schema({
   timestamps: true
 });
 
+/**
+ * Normalize required skills input into requirement entries.
+ * Accepts plain skill names (the legacy format) as well as
+ * { name, priority, minLevel, headcount } objects; drops blank names
+ * and case-insensitive duplicates, keeping the first occurrence.
+ * @param {Array<string|Object>} skills - Raw required skills input
+ * @returns {Object[]} Requirement entries
+ */
+ProjectSchema.statics.normalizeRequiredSkills = function(skills) {
+  if (!Array.isArray(skills)) return [];
+
+  const seen = new Set();
+  const normalized = [];
+  for (const skill of skills) {
+    const entry = typeof skill === 'string' ? { name: skill } : { ...skill };
+    entry.name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!entry.name || seen.has(entry.name.toLowerCase())) continue;
+    seen.add(entry.name.toLowerCase());
+
+    normalized.push({
+      name: entry.name,
+      priority: entry.priority || 'must',
+      minLevel: entry.minLevel !== undefined ? Number(entry.minLevel) : 1,
+      headcount: entry.headcount !== undefined ? Number(entry.headcount) : 1
+    });
+  }
+  return normalized;
+};
+
 // Indexes for efficient querying
+// Deleting a project archives it
+ProjectSchema.plugin(softDelete);
+
 ProjectSchema.index({ status: 1 });
 ProjectSchema.index({ startDate: 1, endDate: 1 });
 ProjectSchema.index({ managerId: 1 });
 
+ProjectSchema.statics.PROJECT_STATUSES = PROJECT_STATUSES;
+ProjectSchema.statics.PROJECT_STATUS_TRANSITIONS = PROJECT_STATUS_TRANSITIONS;
+ProjectSchema.statics.INITIAL_PROJECT_STATUSES = INITIAL_PROJECT_STATUSES;
+
 module.exports = mongoose.model('Project', ProjectSchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+// RateLimit.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Requests counted against one key (e.g. an IP for an action) in one fixed
+// time window; the window is part of the key, so each window gets a new record
+const RateLimitSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Records are removed when their window ends
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,59 @@
+// Session.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One signed-in device. The refresh token is stored hashed and replaced on
+// every refresh; the previous hash is kept so a reused token can be spotted.
+const SessionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used
+ * @param {Date} [now] - Point in time to check
+ * @returns {boolean} True if not revoked or expired
+ */
+SessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,65 @@
+// skill.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SKILL_CATEGORIES = ['frontend', 'backend', 'mobile', 'devops', 'data', 'testing', 'design', 'other'];
+
+/**
+ * Lookup key for a skill name or alias: lowercase without spaces, dots,
+ * dashes or underscores, so "Node.js", "nodejs" and "node js" share a key
+ * @param {string} name - Skill name or alias
+ * @returns {string} Lookup key
+ */
+const toSkillKey = (name) => String(name || '').toLowerCase().replace(/[\s._-]+/g, '');
+
+const SkillSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: String,
+    enum: SKILL_CATEGORIES,
+    default: 'other'
+  },
+  parentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Skill',
+    default: null
+  },
+  // Lookup keys of the name and every alias, kept in sync on validate
+  keys: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+SkillSchema.pre('validate', function(next) {
+  // Drop aliases that resolve to the name or to an earlier alias
+  const seen = new Set([toSkillKey(this.name)]);
+  this.aliases = this.aliases.filter(alias => {
+    const key = toSkillKey(alias);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  this.keys = [...seen];
+  next();
+});
+
+SkillSchema.statics.toSkillKey = toSkillKey;
+SkillSchema.statics.SKILL_CATEGORIES = SKILL_CATEGORIES;
+
+// A name or alias can only belong to one skill
+SkillSchema.index({ keys: 1 }, { unique: true });
+SkillSchema.index({ category: 1 });
+SkillSchema.index({ parentId: 1 });
+
+module.exports = mongoose.model('Skill', SkillSchema);
@@ -0,0 +1,51 @@
+// skillRelation.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { toSkillKey } = require('./Skill');
+
+// How related two skills are: weight is the share of credit an engineer with
+// one of them earns towards a requirement for the other
+const SkillRelationSchema = new Schema({
+  skillA: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  skillB: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0.01,
+    max: 1
+  },
+  // 'manual' relations are maintained by managers; 'derived' ones come from
+  // skill co-occurrence in engineer profiles and are replaced on each derivation
+  source: {
+    type: String,
+    enum: ['manual', 'derived'],
+    default: 'manual'
+  },
+  // Order-independent lookup key of the pair, kept in sync on validate
+  pairKey: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+SkillRelationSchema.pre('validate', function(next) {
+  if (toSkillKey(this.skillA) === toSkillKey(this.skillB)) {
+    this.invalidate('skillB', 'A skill cannot be related to itself');
+  }
+  this.pairKey = [toSkillKey(this.skillA), toSkillKey(this.skillB)].sort().join('|');
+  next();
+});
+
+SkillRelationSchema.index({ pairKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('SkillRelation', SkillRelationSchema);
@@ -1,11 +1,77 @@
 // File: models/User.js
 /**
- * User model: defines schema for both engineers and managers,
+ * User model: defines schema for engineers, managers and admins,
  * with authentication and profile fields.
  */
 const mongoose = require('mongoose');
+const { startOfDay, endOfDay } = require('date-fns');
 const Schema = mongoose.Schema;
 
+// Default proficiency for skills given without a level
+const DEFAULT_SKILL_LEVEL = 3;
+
+// Admins can do everything managers can, and also change users' roles
+const USER_ROLES = ['engineer', 'manager', 'admin'];
+const MANAGER_ROLES = ['manager', 'admin'];
+
+// Invited users have no password until they accept their invitation
+const USER_STATUSES = ['active', 'invited'];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Skill entry: a named skill with proficiency (1 = beginner, 5 = expert)
+ */
+const skillSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  level: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: DEFAULT_SKILL_LEVEL
+  },
+  yearsOfExperience: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lastUsed: {
+    type: Date
+  }
+}, { _id: false });
+
+/**
+ * Capacity period: the engineer's capacity between two dates (both
+ * inclusive); without an end date it lasts indefinitely. Days no period
+ * covers fall back to maxCapacity.
+ */
+const capacityPeriodSchema = new Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(endDate) {
+        return !endDate || endDate >= this.startDate;
+      },
+      message: 'Capacity period end date must not be before its start date'
+    }
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100
+  }
+}, { _id: false });
+
 const userSchema = new Schema({
   email: {
     type: String,
@@ -21,19 +87,49 @@ const userSchema = new Schema({
   },
   passwordHash: {
     type: String,
-    required: true
+    required: function() {
+      return this.status !== 'invited';
+    }
   },
   role: {
     type: String,
     required: true,
-    enum: ['engineer', 'manager'],
+    enum: USER_ROLES,
     default: 'engineer'
   },
-  // Engineer-specific fields
-  skills: [{
+  status: {
     type: String,
-    trim: true
-  }],
+    enum: USER_STATUSES,
+    default: 'active'
+  },
+  // One-time invitation token (hashed) and when it stops working
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpiresAt: Date,
+  invitedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // One-time password reset token (hashed) and when it stops working
+  resetTokenHash: {
+    type: String,
+    select: false
+  },
+  resetExpiresAt: Date,
+  // Failed sign-ins in a row; too many lock the account until lockedUntil
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Engineer-specific fields
+  skills: [skillSchema],
   seniority: {
     type: String,
     enum: ['junior', 'mid', 'senior'],
@@ -45,17 +141,95 @@ const userSchema = new Schema({
     min: 1,    // ensure at least 1% capacity if engineer; if you allow 0, change accordingly
     max: 100
   },
+  // Dated changes to capacity, e.g. part-time until a date and full-time after
+  capacityPeriods: {
+    type: [capacityPeriodSchema],
+    validate: {
+      validator: function(periods) {
+        const sorted = [...periods].sort((a, b) => a.startDate - b.startDate);
+        return sorted.every((period, i) => i === 0 ||
+          (sorted[i - 1].endDate && sorted[i - 1].endDate < period.startDate));
+      },
+      message: 'Capacity periods must not overlap'
+    }
+  },
   department: {
     type: String,
     trim: true
-  }
+  },
+  // Hash of the secret in the assignments calendar feed URL; the secret itself
+  // is only shown to the owner when it's created
+  calendarTokenHash: {
+    type: String,
+    select: false
+  },
+  calendarTokenCreatedAt: Date
 }, {
   timestamps: true
 });
 
-// Indexes for efficient querying by role and skills
+// Indexes for efficient querying by role and skill name
 // (Remove the explicit email index because `unique: true` on email adds it already)
 userSchema.index({ role: 1 });
-userSchema.index({ skills: 1 });
+userSchema.index({ 'skills.name': 1 });
+userSchema.index({ calendarTokenHash: 1 }, { unique: true, sparse: true });
+userSchema.index({ inviteTokenHash: 1 }, { unique: true, sparse: true });
+userSchema.index({ resetTokenHash: 1 }, { unique: true, sparse: true });
+
+userSchema.statics.USER_ROLES = USER_ROLES;
+userSchema.statics.MANAGER_ROLES = MANAGER_ROLES;
+userSchema.statics.USER_STATUSES = USER_STATUSES;
+userSchema.statics.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+/**
+ * Whether a role has manager permissions
+ * @param {string} role - User role
+ * @returns {boolean} True for managers and admins
+ */
+userSchema.statics.isManagerRole = function(role) {
+  return MANAGER_ROLES.includes(role);
+};
+
+/**
+ * Normalize skills input into skill entries.
+ * Accepts plain skill names (the legacy format) as well as
+ * { name, level, yearsOfExperience, lastUsed } objects; drops blank names
+ * and case-insensitive duplicates, keeping the first occurrence.
+ * @param {Array<string|Object>} skills - Raw skills input
+ * @returns {Object[]} Skill entries
+ */
+userSchema.statics.normalizeSkills = function(skills) {
+  if (!Array.isArray(skills)) return [];
+
+  const seen = new Set();
+  const normalized = [];
+  for (const skill of skills) {
+    const entry = typeof skill === 'string' ? { name: skill } : { ...skill };
+    entry.name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!entry.name || seen.has(entry.name.toLowerCase())) continue;
+    seen.add(entry.name.toLowerCase());
+
+    normalized.push({
+      name: entry.name,
+      level: entry.level !== undefined ? Number(entry.level) : DEFAULT_SKILL_LEVEL,
+      yearsOfExperience: entry.yearsOfExperience !== undefined ? Number(entry.yearsOfExperience) : 0,
+      ...(entry.lastUsed && { lastUsed: new Date(entry.lastUsed) })
+    });
+  }
+  return normalized;
+};
+
+/**
+ * Get the engineer's capacity on a day: the capacity period covering it,
+ * or maxCapacity when none does
+ * @param {Date} date - Day to look up
+ * @returns {number} Capacity percentage
+ */
+userSchema.methods.getCapacityOn = function(date) {
+  const period = (this.capacityPeriods || []).find(entry =>
+    startOfDay(entry.startDate) <= date && (!entry.endDate || date <= endOfDay(entry.endDate))
+  );
+  return period ? period.capacity : (this.maxCapacity || 100);
+};
 
 module.exports = mongoose.model('User', userSchema);
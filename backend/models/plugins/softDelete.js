@@ -0,0 +1,62 @@
+// softDelete.js
+const mongoose = require('mongoose');
+
+/**
+ * Soft delete plugin: records are archived (deletedAt/deletedBy set) instead
+ * of removed. Reads (find, findOne, countDocuments, distinct, aggregate) leave
+ * archived records out unless the query filters on deletedAt itself or is
+ * run with the withDeleted option, e.g.
+ *   Project.findById(id).setOptions({ withDeleted: true })
+ * Writes such as updateMany are not filtered, so bulk renames still reach
+ * archived records.
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+  schema.index({ deletedAt: 1 });
+
+  // Records without the field (created before soft delete) count as live
+  function excludeDeleted() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  }
+  schema.pre(['find', 'findOne', 'countDocuments', 'distinct'], excludeDeleted);
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const [firstStage] = this.pipeline();
+    if (firstStage?.$match?.deletedAt !== undefined) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  /**
+   * Archive this record
+   * @param {string} userId - User archiving it
+   */
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  /**
+   * Bring an archived record back
+   */
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
+
+module.exports = softDelete;
@@ -12,13 +12,25 @@ router.use(authMiddleware);
 // GET /api/assignments - Get assignments with optional filtering
 router.get('/', assignmentController.getAssignments);
 
+// POST /api/assignments/bulk - Create many assignments, all or nothing (manager only)
+router.post('/bulk', requireManager, assignmentController.createAssignmentsBulk);
+
+// GET /api/assignments/:id - Get one assignment (engineers: own only)
+router.get('/:id', assignmentController.getAssignmentById);
+
 // POST /api/assignments - Create new assignment (manager only)
 router.post('/', requireManager, assignmentController.createAssignment);
 
 // PUT /api/assignments/:id - Update assignment (manager only)
 router.put('/:id', requireManager, assignmentController.updateAssignment);
 
-// DELETE /api/assignments/:id - Delete assignment (manager only)
+// PATCH /api/assignments/:id/status - Accept/decline (engineer) or confirm/start/complete/cancel (manager)
+router.patch('/:id/status', assignmentController.updateAssignmentStatus);
+
+// DELETE /api/assignments/:id - Archive assignment (manager only)
 router.delete('/:id', requireManager, assignmentController.deleteAssignment);
 
+// POST /api/assignments/:id/restore - Restore an archived assignment (manager only)
+router.post('/:id/restore', requireManager, assignmentController.restoreAssignment);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+// src/routes/auditRoutes.js
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireManager = require('../middleware/requireManager');
+
+router.use(authMiddleware);
+
+// GET /api/audit?entity=&entityId=&actor=&projectId=&engineerId=&from=&to=&limit=  (manager only)
+router.get('/', requireManager, auditController.getAuditEvents);
+
+module.exports = router;
@@ -1,14 +1,34 @@
 // src/routes/authRoutes.js
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getProfile,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword
+} = require('../controllers/authController');
 const authMiddleware = require('../middleware/authMiddleware'); // adjust path/folder
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
 // Protected routes
 router.get('/profile', authMiddleware, getProfile);
+router.post('/change-password', authMiddleware, changePassword);
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions', authMiddleware, deleteOtherSessions);
+router.delete('/sessions/:id', authMiddleware, deleteSession);
 
 module.exports = router;
@@ -4,27 +4,35 @@ const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const requireManager = require('../middleware/requireManager');
 const requireSelfOrManager = require('../middleware/requireSelfOrManager');
-const User = require('../models/User');
+const { getAllSkills } = require('../services/skillMatchingService');
 const {
   getEngineers,
   getEngineerById,
   updateEngineer,
+  updateEngineerCapacity,
   getEngineerCapacity,
-  getEngineerAvailability
+  getEngineerCapacityTimeline,
+  getEngineerAvailability,
+  getEngineerHistory,
+  getEngineerTimeOff,
+  getAssignmentCalendar,
+  getCalendarToken,
+  rotateCalendarToken
 } = require('../controllers/engineerController');
 
 
 // In engineerRoutes.js, add before router.use(authMiddleware):
 router.get('/skills', async (req, res) => {
   try {
-    const engineers = await User.find({ role: 'engineer' }).select('skills');
-    const allSkills = [...new Set(engineers.flatMap(e => e.skills || []))];
-    res.json(allSkills);
+    res.json(await getAllSkills());
   } catch (error) {
     res.status(500).json({ message: 'Error fetching skills' });
   }
 });
 
+// GET /api/engineers/:id/assignments.ics?token=...  (authenticated by the calendar token)
+router.get('/:id/assignments.ics', getAssignmentCalendar);
+
 router.use(authMiddleware);
 
 // GET /api/engineers?skills=skill1,skill2  (manager only)
@@ -39,9 +47,27 @@ router.put('/:id', requireSelfOrManager, updateEngineer);
 // GET /api/engineers/:id/capacity  (self or manager)
 router.get('/:id/capacity', requireSelfOrManager, getEngineerCapacity);
 
-// GET /api/engineers/:id/availability  (self or manager)
+// PUT /api/engineers/:id/capacity  (manager only)
+router.put('/:id/capacity', requireManager, updateEngineerCapacity);
+
+// GET /api/engineers/:id/capacity/timeline?from=...&to=...&granularity=day|week|month  (self or manager)
+router.get('/:id/capacity/timeline', requireSelfOrManager, getEngineerCapacityTimeline);
+
+// GET /api/engineers/:id/availability?until=...&minCapacity=...  (self or manager)
 router.get('/:id/availability', requireSelfOrManager, getEngineerAvailability);
 
+// GET /api/engineers/:id/history?limit=...  (self or manager)
+router.get('/:id/history', requireSelfOrManager, getEngineerHistory);
+
+// GET /api/engineers/:id/time-off?from=...&to=...  (self or manager)
+router.get('/:id/time-off', requireSelfOrManager, getEngineerTimeOff);
+
+// GET /api/engineers/:id/calendar-token  (self or manager)
+router.get('/:id/calendar-token', requireSelfOrManager, getCalendarToken);
+
+// POST /api/engineers/:id/calendar-token/rotate  (self or manager)
+router.post('/:id/calendar-token/rotate', requireSelfOrManager, rotateCalendarToken);
+
 
 
 module.exports = router;
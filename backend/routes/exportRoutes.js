@@ -0,0 +1,19 @@
+// src/routes/exportRoutes.js
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/exportController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireManager = require('../middleware/requireManager');
+
+router.use(authMiddleware);
+
+// GET /api/export/assignments?format=csv|xlsx&engineerId=&projectId=&status=&archived=  (engineers: own only)
+router.get('/assignments', exportController.exportAssignments);
+
+// GET /api/export/projects?format=csv|xlsx&status=&startDate=&endDate=&archived=  (engineers: assigned only)
+router.get('/projects', exportController.exportProjects);
+
+// GET /api/export/utilization?format=csv|xlsx&skills=&startDate=&endDate=  (manager only)
+router.get('/utilization', requireManager, exportController.exportUtilization);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// Holiday routes: company holiday calendar
+const express = require('express');
+const router = express.Router();
+const holidayController = require('../controllers/holidayController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireManager = require('../middleware/requireManager');
+
+router.use(authMiddleware);
+
+// GET /api/holidays?from=&to= - List holidays
+router.get('/', holidayController.getHolidays);
+
+// POST /api/holidays - Add a holiday (manager only)
+router.post('/', requireManager, holidayController.createHoliday);
+
+// DELETE /api/holidays/:id - Remove a holiday (manager only)
+router.delete('/:id', requireManager, holidayController.deleteHoliday);
+
+module.exports = router;
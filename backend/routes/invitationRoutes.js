@@ -0,0 +1,28 @@
+// Invitation routes: managers invite people; the invitation link is public
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireManager = require('../middleware/requireManager');
+
+// GET /api/invitations/token/:token - Look up an invitation for the accept page (public)
+router.get('/token/:token', invitationController.getInvitationByToken);
+
+// POST /api/invitations/accept - Set a password and activate the account (public)
+router.post('/accept', invitationController.acceptInvitation);
+
+router.use(authMiddleware, requireManager);
+
+// GET /api/invitations - List pending invitations
+router.get('/', invitationController.getInvitations);
+
+// POST /api/invitations - Invite someone (managers and admins need an admin)
+router.post('/', invitationController.createInvitation);
+
+// POST /api/invitations/:id/resend - Issue a new invitation link
+router.post('/:id/resend', invitationController.resendInvitation);
+
+// DELETE /api/invitations/:id - Withdraw an invitation
+router.delete('/:id', invitationController.deleteInvitation);
+
+module.exports = router;
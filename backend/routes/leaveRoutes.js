@@ -0,0 +1,18 @@
+// Leave routes: engineers request leave, managers approve or reject it
+const express = require('express');
+const router = express.Router();
+const leaveController = require('../controllers/leaveController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// GET /api/leave?engineerId=&status=&from=&to= - List leave (engineers: own only)
+router.get('/', leaveController.getLeave);
+
+// POST /api/leave - Request leave (engineer) or record approved leave for an engineer (manager)
+router.post('/', leaveController.createLeave);
+
+// PATCH /api/leave/:id/status - Approve/reject (manager) or cancel (engineer or manager)
+router.patch('/:id/status', leaveController.updateLeaveStatus);
+
+module.exports = router;
@@ -7,8 +7,12 @@ const {
   getProjects,
   createProject,
   getProjectById,
+  getProjectRecommendations,
+  autoStaffProject,
   updateProject,
-  deleteProject
+  updateProjectStatus,
+  deleteProject,
+  restoreProject
 } = require('../controllers/projectController');
 
 router.use(authMiddleware);
@@ -19,13 +23,25 @@ router.get('/', getProjects);
 // GET /api/projects/:id
 router.get('/:id', getProjectById);
 
+// GET /api/projects/:id/recommendations?minCapacity=...&limit=...  (manager only)
+router.get('/:id/recommendations', requireManager, getProjectRecommendations);
+
 // POST /api/projects  (manager only)
 router.post('/', requireManager, createProject);
 
-// PUT /api/projects/:id  (manager only)
+// POST /api/projects/:id/auto-staff?commit=true  (manager only, dry run unless commit=true)
+router.post('/:id/auto-staff', requireManager, autoStaffProject);
+
+// PUT /api/projects/:id?commit=true  (manager only; date changes with reflow are a preview unless commit=true)
 router.put('/:id', requireManager, updateProject);
 
-// DELETE /api/projects/:id  (manager only)
+// PATCH /api/projects/:id/status  (manager only)
+router.patch('/:id/status', requireManager, updateProjectStatus);
+
+// DELETE /api/projects/:id  (manager only, archives the project)
 router.delete('/:id', requireManager, deleteProject);
 
+// POST /api/projects/:id/restore  (manager only)
+router.post('/:id/restore', requireManager, restoreProject);
+
 module.exports = router;
@@ -0,0 +1,51 @@
+// src/routes/skillRoutes.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const requireManager = require('../middleware/requireManager');
+const {
+  getSkills,
+  getSkillById,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  getSkillRelations,
+  createSkillRelation,
+  updateSkillRelation,
+  deleteSkillRelation,
+  deriveSkillRelations
+} = require('../controllers/skillController');
+
+router.use(authMiddleware);
+
+// GET /api/skills?category=...
+router.get('/', getSkills);
+
+// GET /api/skills/relations?skill=...&source=manual|derived
+router.get('/relations', getSkillRelations);
+
+// POST /api/skills/relations  (manager only)
+router.post('/relations', requireManager, createSkillRelation);
+
+// POST /api/skills/relations/derive  (manager only, replaces derived relations)
+router.post('/relations/derive', requireManager, deriveSkillRelations);
+
+// PUT /api/skills/relations/:id  (manager only)
+router.put('/relations/:id', requireManager, updateSkillRelation);
+
+// DELETE /api/skills/relations/:id  (manager only)
+router.delete('/relations/:id', requireManager, deleteSkillRelation);
+
+// GET /api/skills/:id
+router.get('/:id', getSkillById);
+
+// POST /api/skills  (manager only)
+router.post('/', requireManager, createSkill);
+
+// PUT /api/skills/:id  (manager only)
+router.put('/:id', requireManager, updateSkill);
+
+// DELETE /api/skills/:id  (manager only)
+router.delete('/:id', requireManager, deleteSkill);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// User routes: admins manage who has manager access; managers unlock accounts
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireAdmin = require('../middleware/requireAdmin');
+const requireManager = require('../middleware/requireManager');
+
+router.use(authMiddleware);
+
+// GET /api/users - List active users with their roles (admin only)
+router.get('/', requireAdmin, userController.getUsers);
+
+// PUT /api/users/:id/role - Promote or demote a user (admin only)
+router.put('/:id/role', requireAdmin, userController.updateUserRole);
+
+// POST /api/users/:id/unlock - Lift a sign-in lockout (manager only)
+router.post('/:id/unlock', requireManager, userController.unlockUser);
+
+module.exports = router;
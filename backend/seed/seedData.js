@@ -6,6 +6,9 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Project = require('../models/Project');
 const Assignment = require('../models/Assignment');
+const Skill = require('../models/Skill');
+const SkillRelation = require('../models/SkillRelation');
+const { DEFAULT_SKILLS, DEFAULT_RELATIONS } = require('./skillTaxonomy');
 
 async function seedData() {
   try {
@@ -24,8 +27,20 @@ async function seedData() {
     await User.deleteMany({});
     await Project.deleteMany({});
     await Assignment.deleteMany({});
+    await Skill.deleteMany({});
+    await SkillRelation.deleteMany({});
     console.log('Cleared existing data');
 
+    // Create skill taxonomy
+    const skillIds = {};
+    for (const { parent, ...skillData } of DEFAULT_SKILLS) {
+      const skill = await Skill.create({ ...skillData, parentId: parent ? skillIds[parent] : null });
+      skillIds[skill.name] = skill._id;
+    }
+    console.log(`Created ${DEFAULT_SKILLS.length} skills`);
+    await SkillRelation.create(DEFAULT_RELATIONS);
+    console.log(`Created ${DEFAULT_RELATIONS.length} skill relations`);
+
     // Hash password for all users
     const hashedPassword = await bcrypt.hash('Password123', 10);
 
@@ -40,6 +55,17 @@ async function seedData() {
     await manager.save();
     console.log('Manager created:', manager.email);
 
+    // Create admin (can promote and demote managers)
+    const admin = new User({
+      email: 'admin@example.com',
+      name: 'Ada Admin',
+      passwordHash: hashedPassword,
+      role: 'admin',
+      department: 'Engineering'
+    });
+    await admin.save();
+    console.log('Admin created:', admin.email);
+
     // Create engineers with varied skills and capacities
     const engineers = [
       {
@@ -47,7 +73,12 @@ async function seedData() {
         name: 'Alice Johnson',
         passwordHash: hashedPassword,
         role: 'engineer',
-        skills: ['JavaScript', 'React', 'Node.js', 'MongoDB'],
+        skills: [
+          { name: 'JavaScript', level: 5, yearsOfExperience: 8 },
+          { name: 'React', level: 5, yearsOfExperience: 6 },
+          { name: 'Node.js', level: 4, yearsOfExperience: 5 },
+          { name: 'MongoDB', level: 3, yearsOfExperience: 3 }
+        ],
         seniority: 'senior',
         maxCapacity: 100,
         department: 'Frontend Team'
@@ -57,7 +88,12 @@ async function seedData() {
         name: 'Bob Smith',
         passwordHash: hashedPassword,
         role: 'engineer',
-        skills: ['Python', 'Django', 'PostgreSQL', 'Docker'],
+        skills: [
+          { name: 'Python', level: 4, yearsOfExperience: 5 },
+          { name: 'Django', level: 4, yearsOfExperience: 4 },
+          { name: 'PostgreSQL', level: 3, yearsOfExperience: 4 },
+          { name: 'Docker', level: 3, yearsOfExperience: 2 }
+        ],
         seniority: 'mid',
         maxCapacity: 100,
         department: 'Backend Team'
@@ -67,7 +103,12 @@ async function seedData() {
         name: 'Carol Davis',
         passwordHash: hashedPassword,
         role: 'engineer',
-        skills: ['React', 'TypeScript', 'GraphQL', 'AWS'],
+        skills: [
+          { name: 'React', level: 5, yearsOfExperience: 7 },
+          { name: 'TypeScript', level: 5, yearsOfExperience: 5 },
+          { name: 'GraphQL', level: 4, yearsOfExperience: 3 },
+          { name: 'AWS', level: 3, yearsOfExperience: 3 }
+        ],
         seniority: 'senior',
         maxCapacity: 80, // Part-time
         department: 'Frontend Team'
@@ -77,7 +118,12 @@ async function seedData() {
         name: 'David Wilson',
         passwordHash: hashedPassword,
         role: 'engineer',
-        skills: ['Java', 'Spring Boot', 'MySQL', 'Kubernetes'],
+        skills: [
+          { name: 'Java', level: 3, yearsOfExperience: 2 },
+          { name: 'Spring Boot', level: 2, yearsOfExperience: 1 },
+          { name: 'MySQL', level: 2, yearsOfExperience: 1 },
+          { name: 'Kubernetes', level: 1, yearsOfExperience: 0 }
+        ],
         seniority: 'junior',
         maxCapacity: 100,
         department: 'Backend Team'
@@ -99,7 +145,12 @@ async function seedData() {
         description: 'Complete redesign of the customer-facing e-commerce platform with modern UI/UX and improved performance.',
         startDate: new Date('2024-01-15'),
         endDate: new Date('2024-06-30'),
-        requiredSkills: ['JavaScript', 'React', 'Node.js', 'MongoDB'],
+        requiredSkills: [
+          { name: 'JavaScript', priority: 'must', minLevel: 3, headcount: 2 },
+          { name: 'React', priority: 'must', minLevel: 4, headcount: 1 },
+          { name: 'Node.js', priority: 'must', minLevel: 3, headcount: 1 },
+          { name: 'MongoDB', priority: 'nice', minLevel: 2, headcount: 1 }
+        ],
         teamSize: 3,
         status: 'active',
         managerId: manager._id
@@ -109,7 +160,11 @@ async function seedData() {
         description: 'Native mobile application for iOS and Android platforms with real-time synchronization.',
         startDate: new Date('2024-03-01'),
         endDate: new Date('2024-08-15'),
-        requiredSkills: ['React Native', 'TypeScript', 'GraphQL'],
+        requiredSkills: [
+          { name: 'React Native', priority: 'must', minLevel: 3, headcount: 2 },
+          { name: 'TypeScript', priority: 'must', minLevel: 2, headcount: 1 },
+          { name: 'GraphQL', priority: 'nice', minLevel: 1, headcount: 1 }
+        ],
         teamSize: 2,
         status: 'planning',
         managerId: manager._id
@@ -119,7 +174,12 @@ async function seedData() {
         description: 'Business intelligence dashboard for real-time analytics and reporting.',
         startDate: new Date('2024-02-01'),
         endDate: new Date('2024-05-31'),
-        requiredSkills: ['Python', 'Django', 'PostgreSQL', 'Docker'],
+        requiredSkills: [
+          { name: 'Python', priority: 'must', minLevel: 3, headcount: 1 },
+          { name: 'Django', priority: 'must', minLevel: 2, headcount: 1 },
+          { name: 'PostgreSQL', priority: 'must', minLevel: 2, headcount: 1 },
+          { name: 'Docker', priority: 'nice', minLevel: 1, headcount: 1 }
+        ],
         teamSize: 2,
         status: 'active',
         managerId: manager._id
@@ -129,7 +189,12 @@ async function seedData() {
         description: 'Migration from monolithic architecture to microservices with containerization.',
         startDate: new Date('2024-04-01'),
         endDate: new Date('2024-10-31'),
-        requiredSkills: ['Java', 'Spring Boot', 'Docker', 'Kubernetes'],
+        requiredSkills: [
+          { name: 'Java', priority: 'must', minLevel: 4, headcount: 2 },
+          { name: 'Spring Boot', priority: 'must', minLevel: 3, headcount: 1 },
+          { name: 'Docker', priority: 'must', minLevel: 2, headcount: 1 },
+          { name: 'Kubernetes', priority: 'nice', minLevel: 2, headcount: 1 }
+        ],
         teamSize: 2,
         status: 'planning',
         managerId: manager._id
@@ -217,12 +282,13 @@ async function seedData() {
         allocationPercentage: 20, // Total will be 80% (within her 80% capacity)
         startDate: new Date('2024-05-01'),
         endDate: new Date('2024-06-30'),
-        role: 'UI/UX Consultant'
+        role: 'UI/UX Consultant',
+        status: 'proposed' // Waiting for Carol to accept
       }
     ];
 
     for (const assignmentData of assignments) {
-      const assignment = new Assignment(assignmentData);
+      const assignment = new Assignment({ status: 'active', ...assignmentData });
       await assignment.save();
       console.log(`Assignment created: ${assignment.role} on project ${assignment.projectId}`);
     }
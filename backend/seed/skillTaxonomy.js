@@ -0,0 +1,51 @@
+// Default skill taxonomy: canonical names, aliases, categories and parents,
+// plus curated relatedness between skills
+// Used by the seed script and the skill variant migration; parents are
+// listed before their children
+const DEFAULT_SKILLS = [
+  { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6'], category: 'frontend' },
+  { name: 'TypeScript', aliases: ['TS'], category: 'frontend', parent: 'JavaScript' },
+  { name: 'HTML', aliases: ['HTML5'], category: 'frontend' },
+  { name: 'CSS', aliases: ['CSS3'], category: 'frontend' },
+  { name: 'React', aliases: ['ReactJS', 'React.js'], category: 'frontend', parent: 'JavaScript' },
+  { name: 'Next.js', aliases: ['NextJS', 'Next'], category: 'frontend', parent: 'React' },
+  { name: 'Vue.js', aliases: ['Vue', 'VueJS'], category: 'frontend', parent: 'JavaScript' },
+  { name: 'Angular', aliases: ['AngularJS'], category: 'frontend', parent: 'TypeScript' },
+  { name: 'Node.js', aliases: ['Node', 'NodeJS'], category: 'backend', parent: 'JavaScript' },
+  { name: 'Express', aliases: ['ExpressJS', 'Express.js'], category: 'backend', parent: 'Node.js' },
+  { name: 'Python', aliases: ['Py'], category: 'backend' },
+  { name: 'Django', category: 'backend', parent: 'Python' },
+  { name: 'Java', category: 'backend' },
+  { name: 'Spring Boot', aliases: ['Spring'], category: 'backend', parent: 'Java' },
+  { name: 'GraphQL', aliases: ['GQL'], category: 'backend' },
+  { name: 'React Native', aliases: ['RN'], category: 'mobile', parent: 'React' },
+  { name: 'Flutter', category: 'mobile' },
+  { name: 'Swift', category: 'mobile' },
+  { name: 'Kotlin', category: 'mobile' },
+  { name: 'MongoDB', aliases: ['Mongo'], category: 'data' },
+  { name: 'PostgreSQL', aliases: ['Postgres', 'PSQL'], category: 'data' },
+  { name: 'MySQL', category: 'data' },
+  { name: 'Redis', category: 'data' },
+  { name: 'Docker', category: 'devops' },
+  { name: 'Kubernetes', aliases: ['K8s'], category: 'devops' },
+  { name: 'AWS', aliases: ['Amazon Web Services'], category: 'devops' }
+];
+
+// Share of credit an engineer with one skill earns towards the other
+const DEFAULT_RELATIONS = [
+  { skillA: 'React', skillB: 'Next.js', weight: 0.7 },
+  { skillA: 'React', skillB: 'React Native', weight: 0.6 },
+  { skillA: 'React', skillB: 'Vue.js', weight: 0.5 },
+  { skillA: 'React', skillB: 'Angular', weight: 0.4 },
+  { skillA: 'JavaScript', skillB: 'TypeScript', weight: 0.8 },
+  { skillA: 'PostgreSQL', skillB: 'MySQL', weight: 0.7 },
+  { skillA: 'MongoDB', skillB: 'PostgreSQL', weight: 0.3 },
+  { skillA: 'Node.js', skillB: 'Python', weight: 0.3 },
+  { skillA: 'Java', skillB: 'Kotlin', weight: 0.6 },
+  { skillA: 'Docker', skillB: 'Kubernetes', weight: 0.5 }
+];
+
+module.exports = {
+  DEFAULT_SKILLS,
+  DEFAULT_RELATIONS
+};
@@ -8,6 +8,13 @@ const engineerRoutes = require('./routes/engineerRoutes');
 const projectRoutes = require('./routes/projectRoutes');
 const assignmentRoutes = require('./routes/assignmentRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const skillRoutes = require('./routes/skillRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const leaveRoutes = require('./routes/leaveRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const userRoutes = require('./routes/userRoutes');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -15,6 +22,12 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Behind a reverse proxy, trust that many hops so req.ip is the client's
+// address (sign-in throttling is per IP)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*'
@@ -27,6 +40,13 @@ app.use('/api/engineers', engineerRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/users', userRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,442 @@
+// assignmentService.js
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { getCapacityConflicts, getCapacityTimeline, getPlannedCapacityConflicts } = require('./capacityService');
+const { getSkillLevel, toRequirement, escapeRegExp } = require('./skillMatchingService');
+
+/**
+ * Build the assignment list filter from query params
+ * Managers may filter by any engineer; engineers only ever see their own
+ * assignments.
+ * @param {Object} query - Query params: engineerId, projectId, status (single or
+ *   comma-separated), archived (true for archived assignments only)
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Object} { ok: true, filter } or { ok: false, status, message }
+ */
+const buildAssignmentFilter = (query, user) => {
+  const { engineerId, projectId, status, archived } = query;
+  const filter = {};
+
+  if (archived === 'true') {
+    filter.deletedAt = { $ne: null };
+  }
+  if (projectId) {
+    filter.projectId = projectId;
+  }
+  if (status && typeof status === 'string') {
+    filter.status = { $in: status.split(',').map(s => s.trim()).filter(Boolean) };
+  }
+  if (User.isManagerRole(user.role)) {
+    if (engineerId) {
+      filter.engineerId = engineerId;
+    }
+  } else {
+    if (engineerId && engineerId !== user.userId) {
+      return { ok: false, status: 403, message: 'Forbidden: Cannot view other engineers\' assignments' };
+    }
+    filter.engineerId = user.userId;
+  }
+
+  return { ok: true, filter };
+};
+
+/**
+ * Validate a new assignment against engineer, project and capacity rules
+ * @param {Object} input - Assignment fields
+ * @param {string} input.engineerId - Engineer's user ID
+ * @param {string} input.projectId - Project ID
+ * @param {number} input.allocationPercentage - Requested allocation percentage
+ * @param {Date|string} input.startDate - Assignment start date
+ * @param {Date|string} input.endDate - Assignment end date
+ * @returns {Promise<Object>} { ok: true, engineer, project, start, end } or
+ *   { ok: false, status, message, conflicts? } describing the first failed rule
+ */
+const validateAssignment = async ({ engineerId, projectId, allocationPercentage, startDate, endDate }) => {
+  // Validate required fields
+  if (!engineerId || !projectId || !allocationPercentage || !startDate || !endDate) {
+    return {
+      ok: false,
+      status: 400,
+      message: 'Engineer, project, allocation percentage, start date, and end date are required'
+    };
+  }
+
+  // Validate dates
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { ok: false, status: 400, message: 'Invalid date format' };
+  }
+
+  if (end <= start) {
+    return { ok: false, status: 400, message: 'End date must be after start date' };
+  }
+
+  // Validate allocation percentage
+  if (allocationPercentage < 1 || allocationPercentage > 100) {
+    return { ok: false, status: 400, message: 'Allocation percentage must be between 1 and 100' };
+  }
+
+  // Verify engineer exists
+  const engineer = await User.findById(engineerId);
+  if (!engineer || engineer.role !== 'engineer') {
+    return { ok: false, status: 400, message: 'Engineer not found' };
+  }
+
+  // Verify project exists and is active
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { ok: false, status: 400, message: 'Project not found' };
+  }
+
+  if (!['planning', 'active'].includes(project.status)) {
+    return { ok: false, status: 400, message: 'Cannot assign to completed or cancelled projects' };
+  }
+
+  // Check if assignment dates fall within project dates
+  if (start < project.startDate || end > project.endDate) {
+    return { ok: false, status: 400, message: 'Assignment dates must fall within project dates' };
+  }
+
+  // Check available capacity for the engineer on every day of the assignment
+  const { availableCapacity, conflicts } = await getCapacityConflicts(
+    engineerId, start, end, allocationPercentage
+  );
+  if (conflicts.length > 0) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Insufficient capacity. Available: ${availableCapacity}%, Requested: ${allocationPercentage}%`,
+      conflicts
+    };
+  }
+
+  return { ok: true, engineer, project, start, end };
+};
+
+// Largest number of assignments accepted in one bulk request
+const MAX_BULK_ASSIGNMENTS = 200;
+
+/**
+ * Resolve a bulk row's engineer and project references to IDs
+ * Rows may give engineerId or engineerEmail, and projectId or projectName
+ * (matched case-insensitively; a name shared by several projects is rejected).
+ * @param {Object} row - Raw row
+ * @returns {Promise<Object>} { ok: true, engineerId, projectId } or { ok: false, message }
+ */
+const resolveBulkReferences = async (row) => {
+  let { engineerId, projectId } = row;
+
+  if (!engineerId && row.engineerEmail) {
+    const engineer = await User.findOne({
+      email: String(row.engineerEmail).trim().toLowerCase(),
+      role: 'engineer'
+    }).select('_id');
+    if (!engineer) {
+      return { ok: false, message: `No engineer with email ${row.engineerEmail}` };
+    }
+    engineerId = engineer._id.toString();
+  }
+
+  if (!projectId && row.projectName) {
+    const name = String(row.projectName).trim();
+    const projects = await Project.find({ name: new RegExp(`^${escapeRegExp(name)}$`, 'i') }).select('_id');
+    if (projects.length === 0) {
+      return { ok: false, message: `No project named ${name}` };
+    }
+    if (projects.length > 1) {
+      return { ok: false, message: `Several projects are named ${name}; use projectId instead` };
+    }
+    projectId = projects[0]._id.toString();
+  }
+
+  if (engineerId && !mongoose.isValidObjectId(engineerId)) {
+    return { ok: false, message: 'Invalid engineer ID' };
+  }
+  if (projectId && !mongoose.isValidObjectId(projectId)) {
+    return { ok: false, message: 'Invalid project ID' };
+  }
+
+  return { ok: true, engineerId, projectId };
+};
+
+/**
+ * Check each engineer's rows of a batch together, counted as if confirmed
+ * @param {Object[]} items - [{ row, assignment }]
+ * @param {Object} options
+ * @param {number} options.minRows - Skip engineers with fewer rows (their single
+ *   row was already checked on its own)
+ * @param {string} options.message - Error message for a row that doesn't fit
+ * @returns {Promise<Object[]>} Errors [{ row, message, conflicts }]
+ */
+const findBatchCapacityConflicts = async (items, { minRows = 1, message }) => {
+  const errors = [];
+  const byEngineer = new Map();
+  for (const item of items) {
+    const key = item.assignment.engineerId.toString();
+    byEngineer.set(key, [...(byEngineer.get(key) || []), item]);
+  }
+
+  for (const [engineerId, engineerItems] of byEngineer) {
+    if (engineerItems.length < minRows) continue;
+
+    const { conflicts } = await getPlannedCapacityConflicts(engineerId, engineerItems.map(({ assignment }) => ({
+      _id: assignment._id,
+      projectId: assignment.projectId,
+      role: assignment.role,
+      status: 'confirmed',
+      allocationPercentage: assignment.allocationPercentage,
+      startDate: assignment.startDate,
+      endDate: assignment.endDate
+    })));
+    for (const { row, assignment } of engineerItems) {
+      const overlapping = conflicts.filter(conflict =>
+        conflict.startDate <= assignment.endDate && conflict.endDate >= assignment.startDate
+      );
+      if (overlapping.length > 0) {
+        errors.push({ row, message, conflicts: overlapping });
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * Validate a batch of new assignments as a whole
+ * Each row gets the same checks as a single assignment; then every
+ * engineer's rows are checked together, counted as if confirmed, so the
+ * batch can't overbook someone even when each row fits on its own.
+ * @param {Object[]} rows - Assignment fields per row (see validateAssignment), with
+ *   engineerEmail/projectName accepted in place of IDs, and optional role and status
+ * @returns {Promise<Object>} { ok: true, assignments } with documents ready to insert, or
+ *   { ok: false, errors: [{ row, message, conflicts? }] } with 1-based row numbers
+ */
+const validateAssignmentBatch = async (rows) => {
+  const errors = [];
+  const assignments = [];
+
+  for (const [index, row] of rows.entries()) {
+    const fail = (message, conflicts) => errors.push({ row: index + 1, message, ...(conflicts && { conflicts }) });
+
+    if (!row || typeof row !== 'object') {
+      fail('Row must be an object');
+      continue;
+    }
+    if (row.status !== undefined && !['proposed', 'confirmed'].includes(row.status)) {
+      fail('New assignments must be proposed or confirmed');
+      continue;
+    }
+
+    const references = await resolveBulkReferences(row);
+    if (!references.ok) {
+      fail(references.message);
+      continue;
+    }
+
+    const allocationPercentage = Number(row.allocationPercentage);
+    const validation = await validateAssignment({ ...row, ...references, allocationPercentage });
+    if (!validation.ok) {
+      fail(validation.message, validation.conflicts);
+      continue;
+    }
+
+    const status = row.status || 'proposed';
+    assignments.push({
+      row: index + 1,
+      assignment: new Assignment({
+        engineerId: references.engineerId,
+        projectId: references.projectId,
+        allocationPercentage,
+        startDate: validation.start,
+        endDate: validation.end,
+        role: row.role ? String(row.role).trim() : 'Developer',
+        status,
+        statusHistory: [{ status }]
+      })
+    });
+  }
+
+  // Check each engineer's rows against each other as well as existing work
+  errors.push(...await findBatchCapacityConflicts(assignments, {
+    minRows: 2,
+    message: 'Insufficient capacity once the other rows for this engineer are included'
+  }));
+
+  if (errors.length > 0) {
+    return { ok: false, errors: errors.sort((a, b) => a.row - b.row) };
+  }
+  return { ok: true, assignments: assignments.map(({ assignment }) => assignment) };
+};
+
+/**
+ * Insert a validated batch of assignments, all or nothing. Capacity is checked
+ * again once the rows are stored, so assignments created at the same time by
+ * another request can't overbook anyone; if they would, or the insert fails
+ * partway, every row of the batch is removed again.
+ * @param {Object[]} assignments - Assignment documents, e.g. from validateAssignmentBatch
+ * @returns {Promise<Object>} { ok: true, assignments } or
+ *   { ok: false, status, message, errors: [{ row, message, conflicts }] } with 1-based rows
+ */
+const insertAssignmentBatch = async (assignments) => {
+  const ids = assignments.map(assignment => assignment._id);
+  const removeBatch = () => Assignment.collection.deleteMany({ _id: { $in: ids } });
+
+  let inserted;
+  try {
+    inserted = await Assignment.insertMany(assignments);
+  } catch (error) {
+    await removeBatch();
+    throw error;
+  }
+
+  const errors = await findBatchCapacityConflicts(
+    inserted.map((assignment, index) => ({ row: index + 1, assignment })),
+    { message: 'Insufficient capacity: other assignments were created for this engineer at the same time' }
+  );
+  if (errors.length > 0) {
+    await removeBatch();
+    return {
+      ok: false,
+      status: 400,
+      message: 'Capacity changed while creating the assignments; none were created',
+      errors
+    };
+  }
+
+  return { ok: true, assignments: inserted };
+};
+
+/**
+ * Check whether a user may move an assignment to a new status
+ * Engineers may only accept (confirm) or decline their own proposals;
+ * managers may make any allowed transition except declining on an
+ * engineer's behalf. Confirming or resuming re-checks the engineer's
+ * capacity, since proposals and paused work don't hold capacity.
+ * @param {Object} assignment - Assignment document
+ * @param {string} nextStatus - Requested status
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Promise<Object>} { ok: true } or { ok: false, status, message, conflicts? }
+ */
+const checkStatusChange = async (assignment, nextStatus, user) => {
+  if (!Assignment.ASSIGNMENT_STATUSES.includes(nextStatus)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Status must be one of: ${Assignment.ASSIGNMENT_STATUSES.join(', ')}`
+    };
+  }
+
+  const allowed = Assignment.STATUS_TRANSITIONS[assignment.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Cannot change a ${assignment.status} assignment to ${nextStatus}`
+    };
+  }
+
+  if (user.role === 'engineer') {
+    if (assignment.engineerId.toString() !== user.userId) {
+      return { ok: false, status: 403, message: 'Forbidden: Not your assignment' };
+    }
+    if (assignment.status !== 'proposed' || !['confirmed', 'declined'].includes(nextStatus)) {
+      return { ok: false, status: 403, message: 'Engineers can only accept or decline proposed assignments' };
+    }
+  } else if (nextStatus === 'declined') {
+    return { ok: false, status: 400, message: 'Only the assigned engineer can decline; cancel the assignment instead' };
+  }
+
+  // Proposals and paused work only take up capacity once confirmed or resumed
+  if (!Assignment.holdsCapacity(assignment.status) && Assignment.holdsCapacity(nextStatus)) {
+    const { availableCapacity, conflicts } = await getCapacityConflicts(
+      assignment.engineerId, assignment.startDate, assignment.endDate,
+      assignment.allocationPercentage, assignment._id
+    );
+    if (conflicts.length > 0) {
+      return {
+        ok: false,
+        status: 400,
+        message: `Insufficient capacity. Available: ${availableCapacity}%, Requested: ${assignment.allocationPercentage}%`,
+        conflicts
+      };
+    }
+  }
+
+  return { ok: true };
+};
+
+/**
+ * Describe what an assignment means for its engineer and project
+ * Capacity impact compares the engineer's other work over the assignment's
+ * dates with and without it; skill coverage lists each project requirement
+ * with the engineer's level and how many people on the team meet it.
+ * @param {Object} assignment - Assignment with engineerId and projectId populated
+ * @returns {Promise<Object>} { capacityImpact, skillCoverage }
+ */
+const describeAssignmentImpact = async (assignment) => {
+  const engineer = assignment.engineerId;
+  const project = assignment.projectId;
+
+  let capacityImpact = null;
+  if (engineer) {
+    const timeline = await getCapacityTimeline(
+      engineer._id, assignment.startDate, assignment.endDate, assignment._id
+    );
+    // Only committed assignments take up capacity
+    const holdsCapacity = Assignment.holdsCapacity(assignment.status);
+    const peakWithAssignment = timeline.peakAllocated + assignment.allocationPercentage;
+
+    capacityImpact = {
+      maxCapacity: timeline.maxCapacity,
+      holdsCapacity,
+      otherPeakAllocated: timeline.peakAllocated,
+      otherAverageAllocated: timeline.averageAllocated,
+      peakWithAssignment,
+      averageWithAssignment: timeline.averageAllocated + assignment.allocationPercentage,
+      availableWithAssignment: Math.max(0, timeline.availableCapacity - assignment.allocationPercentage),
+      // Capacity can vary over the dates, so compare against the least headroom
+      overAllocated: timeline.workingDays > 0 && assignment.allocationPercentage > timeline.availableCapacity
+    };
+  }
+
+  let skillCoverage = [];
+  if (project) {
+    const teamAssignments = await Assignment.find({
+      projectId: project._id,
+      status: { $nin: Assignment.RELEASED_STATUSES }
+    }).populate('engineerId', 'skills');
+    const team = teamAssignments.map(teamAssignment => teamAssignment.engineerId).filter(Boolean);
+
+    skillCoverage = (project.requiredSkills || []).map(toRequirement).map(requirement => {
+      const level = engineer ? getSkillLevel(engineer.skills, requirement.name) : 0;
+      const qualifiedCount = team.filter(member =>
+        getSkillLevel(member.skills, requirement.name) >= requirement.minLevel
+      ).length;
+      return {
+        skill: requirement.name,
+        priority: requirement.priority,
+        minLevel: requirement.minLevel,
+        headcount: requirement.headcount,
+        engineerLevel: level,
+        meetsRequirement: level >= requirement.minLevel,
+        qualifiedCount,
+        shortfall: Math.max(0, requirement.headcount - qualifiedCount)
+      };
+    });
+  }
+
+  return { capacityImpact, skillCoverage };
+};
+
+module.exports = {
+  MAX_BULK_ASSIGNMENTS,
+  buildAssignmentFilter,
+  validateAssignment,
+  validateAssignmentBatch,
+  insertAssignmentBatch,
+  checkStatusChange,
+  describeAssignmentImpact
+};
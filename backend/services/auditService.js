@@ -0,0 +1,110 @@
+// auditService.js
+const AuditEvent = require('../models/AuditEvent');
+
+// Fields recorded in before/after diffs, per entity
+const AUDITED_FIELDS = {
+  assignment: ['engineerId', 'projectId', 'allocationPercentage', 'startDate', 'endDate', 'role', 'status', 'declineReason'],
+  project: ['name', 'description', 'startDate', 'endDate', 'requiredSkills', 'teamSize', 'status', 'managerId'],
+  engineer: ['name', 'email', 'role', 'skills', 'seniority', 'maxCapacity', 'capacityPeriods', 'department', 'lockedUntil'],
+  leave: ['engineerId', 'type', 'startDate', 'endDate', 'status', 'reason', 'reviewNote'],
+  ip: ['ip', 'lockedUntil']
+};
+
+/**
+ * Turn a field value into a plain JSON value for storage and comparison
+ * Populated references are reduced to their id
+ * @param {*} value - Field value from a document
+ * @returns {*} JSON value, or null if unset
+ */
+const toSnapshotValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value._id && typeof value === 'object' && !Array.isArray(value)) {
+    return value._id.toString();
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * List the audited fields that differ between two versions of a record
+ * @param {string} entity - 'assignment', 'project', 'engineer', 'leave' or 'ip'
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Object[]} Changes [{ field, before, after }]
+ */
+const diffRecords = (entity, before, after) => {
+  const changes = [];
+  for (const field of AUDITED_FIELDS[entity] || []) {
+    const previous = before ? toSnapshotValue(before[field]) : null;
+    const next = after ? toSnapshotValue(after[field]) : null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Record an audit event for a change that has already been saved.
+ * Updates that leave every audited field unchanged aren't recorded.
+ * A failure to write the event is logged rather than thrown, so it never
+ * undoes or fails the change itself.
+ * @param {Object} event - Event details
+ * @param {string} event.entity - 'assignment', 'project', 'engineer', 'leave' or 'ip'
+ * @param {string} event.action - 'create', 'update', 'status-change', 'delete', 'restore', 'lock' or 'unlock'
+ * @param {Object|null} event.actor - Authenticated user ({ userId }), or null for the system
+ * @param {Object|null} event.before - Record before the change
+ * @param {Object|null} event.after - Record after the change
+ * @returns {Promise<Object|null>} Saved event, or null if nothing was recorded
+ */
+const recordAuditEvent = async ({ entity, action, actor, before = null, after = null }) => {
+  try {
+    const record = after || before;
+    const changes = diffRecords(entity, before, after);
+    if (action === 'update' && changes.length === 0) {
+      return null;
+    }
+
+    // Link the event to the project and engineer it concerns
+    const links = {
+      assignment: { projectId: toSnapshotValue(record.projectId), engineerId: toSnapshotValue(record.engineerId) },
+      project: { projectId: record._id },
+      engineer: { engineerId: record._id },
+      leave: { engineerId: toSnapshotValue(record.engineerId) },
+      ip: {}
+    }[entity];
+
+    return await AuditEvent.create({
+      entity,
+      entityId: record._id,
+      action,
+      actorId: actor?.userId,
+      changes,
+      ...links
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// Most events returned by one query
+const MAX_AUDIT_RESULTS = 500;
+
+/**
+ * Find audit events, newest first, with the actor's name
+ * @param {Object} filter - MongoDB filter on AuditEvent
+ * @param {number} limit - Maximum number of events (capped at MAX_AUDIT_RESULTS)
+ * @returns {Promise<Object[]>} Audit events
+ */
+const findAuditEvents = (filter, limit = 100) => AuditEvent.find(filter)
+  .populate('actorId', 'name email role')
+  .sort({ timestamp: -1 })
+  .limit(Math.min(limit, MAX_AUDIT_RESULTS));
+
+module.exports = {
+  AUDITED_FIELDS,
+  MAX_AUDIT_RESULTS,
+  diffRecords,
+  recordAuditEvent,
+  findAuditEvents
+};
@@ -0,0 +1,119 @@
+// calendarService.js
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar event status for each assignment status; anything else is confirmed
+const EVENT_STATUSES = {
+  proposed: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED'
+};
+
+/**
+ * Generate a secret token for a calendar feed URL
+ * @returns {string} Random hex token
+ */
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets per line, as RFC 5545 requires
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a date as an iCalendar DATE value (YYYYMMDD, UTC calendar day)
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Format a date as an iCalendar UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ */
+const formatDateTime = (date) => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/**
+ * Build the VEVENT lines for an assignment
+ * Assignments are all-day events; the end date is inclusive, so DTEND is the
+ * following (UTC) day. Events keep their UID so calendar apps update them in place.
+ * @param {Object} assignment - Assignment with projectId populated
+ * @returns {string[]} Content lines
+ */
+const buildAssignmentEvent = (assignment) => {
+  const projectName = assignment.projectId?.name || 'Unknown Project';
+  const description = [
+    `Project: ${projectName}`,
+    `Role: ${assignment.role || 'Not specified'}`,
+    `Allocation: ${assignment.allocationPercentage}%`,
+    `Status: ${assignment.status}`
+  ].join('\n');
+  const modifiedAt = assignment.updatedAt || assignment.createdAt || new Date();
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:assignment-${assignment._id}@resource-planner`,
+    `DTSTAMP:${formatDateTime(modifiedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(modifiedAt)}`,
+    `DTSTART;VALUE=DATE:${formatDate(assignment.startDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(new Date(assignment.endDate.getTime() + DAY_MS))}`,
+    `SUMMARY:${escapeText(`${projectName}${assignment.role ? ` (${assignment.role})` : ''}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${EVENT_STATUSES[assignment.status] || 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * Build an iCalendar feed of an engineer's assignments
+ * @param {Object} engineer - Engineer the feed belongs to ({ name })
+ * @param {Object[]} assignments - Assignments with projectId populated
+ * @returns {string} iCalendar text
+ */
+const buildAssignmentCalendar = (engineer, assignments) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Resource Planner//Assignments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Assignments - ${engineer.name}`)}`,
+    ...assignments.flatMap(buildAssignmentEvent),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  generateCalendarToken,
+  buildAssignmentCalendar
+};
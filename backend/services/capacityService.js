@@ -1,157 +1,525 @@
 // capacityService.js
 const Assignment = require('../models/Assignment');
 const User = require('../models/User');
-const { startOfDay, endOfDay, isAfter, isBefore } = require('date-fns');
+const { findTimeOff } = require('./timeOffService');
+const {
+  startOfDay,
+  endOfDay,
+  addDays,
+  subDays,
+  differenceInCalendarDays,
+  eachDayOfInterval,
+  eachWeekOfInterval,
+  eachMonthOfInterval,
+  addMonths,
+  max,
+  min,
+  isAfter
+} = require('date-fns');
+
+// How far ahead capacity is calculated when no end date is given
+const HORIZON_MONTHS = Number(process.env.CAPACITY_HORIZON_MONTHS) || 12;
+
+// Supported bucket sizes for capacity time series
+const TIMELINE_GRANULARITIES = ['day', 'week', 'month'];
 
 /**
- * Calculate available capacity for an engineer within a date range
- * @param {string} engineerId - Engineer's user ID
- * @param {Date} startDate - Optional start date for calculation (defaults to today)
- * @param {Date} endDate - Optional end date for calculation (defaults to far future)
- * @returns {Promise<number>} Available capacity percentage
+ * Get the default end of a capacity calculation
+ * @returns {Date} End of the day HORIZON_MONTHS from today
  */
-const getAvailableCapacity =  async (engineerId, startDate, endDate, excludeAssignmentId = null) => {
-  // Step 1: Fetch engineer to get max capacity
-  const engineer = await User.findById(engineerId);
-  if (!engineer || engineer.role !== 'engineer') {
-    throw new Error('Engineer not found');
+const getDefaultHorizon = () => endOfDay(addMonths(new Date(), HORIZON_MONTHS));
+
+/**
+ * Build a piecewise-constant allocation profile for a set of assignments.
+ * Uses an interval sweep over whole days: every assignment start and
+ * (exclusive) end becomes a boundary, and each segment between two
+ * boundaries carries the summed allocation of the assignments covering it.
+ * Tentative (proposed) assignments are summed separately from allocated work.
+ * Time off (leave and holidays) adds boundaries too, and each segment lists
+ * the time off covering it. Breakpoints are extra days a segment must start
+ * on, e.g. where the engineer's capacity changes.
+ * @param {Object[]} assignments - Assignments with startDate, endDate, allocationPercentage, status
+ * @param {Date} rangeStart - First day of the profile
+ * @param {Date} rangeEnd - Last day of the profile (inclusive)
+ * @param {Object[]} timeOff - Optional time off from findTimeOff
+ * @param {Date[]} breakpoints - Optional days to split segments on
+ * @returns {Object[]} Ordered segments { startDate, endDate, days, allocated, tentative, assignments, timeOff }
+ */
+const buildAllocationProfile = (assignments, rangeStart, rangeEnd, timeOff = [], breakpoints = []) => {
+  const windowStart = startOfDay(rangeStart);
+  const windowEnd = addDays(startOfDay(rangeEnd), 1);
+  if (!isAfter(windowEnd, windowStart)) {
+    return [];
   }
 
-  const maxCapacity = engineer.maxCapacity || 100;
-  
-  // Step 2: Set default date range if not provided
-  const rangeStart = startDate ? startOfDay(startDate) : startOfDay(new Date());
-  const rangeEnd = endDate ? endOfDay(endDate) : new Date('2030-12-31');
+  // Clip each assignment to the window, as [start, end) in whole days
+  const boundaries = new Set([windowStart.getTime(), windowEnd.getTime()]);
+  const clipped = [];
+  for (const assignment of assignments) {
+    const start = max([startOfDay(assignment.startDate), windowStart]);
+    const end = min([addDays(startOfDay(assignment.endDate), 1), windowEnd]);
+    if (!isAfter(end, start)) continue;
+
+    clipped.push({ assignment, start, end });
+    boundaries.add(start.getTime());
+    boundaries.add(end.getTime());
+  }
+  const clippedTimeOff = [];
+  for (const entry of timeOff) {
+    const start = max([startOfDay(entry.startDate), windowStart]);
+    const end = min([addDays(startOfDay(entry.endDate), 1), windowEnd]);
+    if (!isAfter(end, start)) continue;
+
+    clippedTimeOff.push({ entry, start, end });
+    boundaries.add(start.getTime());
+    boundaries.add(end.getTime());
+  }
+  for (const breakpoint of breakpoints) {
+    const point = startOfDay(breakpoint);
+    if (isAfter(point, windowStart) && isAfter(windowEnd, point)) {
+      boundaries.add(point.getTime());
+    }
+  }
+
+  const points = Array.from(boundaries).sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const segmentStart = new Date(points[i]);
+    const segmentEnd = new Date(points[i + 1]);
+    const active = clipped.filter(({ start, end }) => start <= segmentStart && end >= segmentEnd);
+    const sumAllocation = (tentative) => active
+      .filter(({ assignment }) => Assignment.TENTATIVE_STATUSES.includes(assignment.status) === tentative)
+      .reduce((sum, { assignment }) => sum + assignment.allocationPercentage, 0);
+
+    segments.push({
+      startDate: segmentStart,
+      endDate: endOfDay(subDays(segmentEnd, 1)),
+      days: differenceInCalendarDays(segmentEnd, segmentStart),
+      allocated: sumAllocation(false),
+      tentative: sumAllocation(true),
+      assignments: active.map(({ assignment }) => ({
+        assignmentId: assignment._id,
+        projectId: assignment.projectId,
+        role: assignment.role,
+        status: assignment.status,
+        allocationPercentage: assignment.allocationPercentage
+      })),
+      timeOff: clippedTimeOff
+        .filter(({ start, end }) => start <= segmentStart && end >= segmentEnd)
+        .map(({ entry }) => ({ kind: entry.kind, type: entry.type, name: entry.name }))
+    });
+  }
+
+  return segments;
+};
+
+/**
+ * Whether a segment is a day off (leave or holiday) with no capacity
+ * @param {Object} segment - Segment with an optional capacity
+ * @returns {boolean}
+ */
+const isDayOff = (segment) => segment.capacity === 0;
+
+/**
+ * Summarize an allocation profile into peak and time-weighted average allocation
+ * Days off are left out: assignments don't take up time the engineer is away.
+ * @param {Object[]} segments - Segments from buildAllocationProfile
+ * @returns {{ peakAllocated: number, averageAllocated: number, workingDays: number }}
+ */
+const summarizeProfile = (segments) => {
+  const working = segments.filter(segment => !isDayOff(segment));
+  const workingDays = working.reduce((sum, segment) => sum + segment.days, 0);
+  const peakAllocated = working.reduce((peak, segment) => Math.max(peak, segment.allocated), 0);
+  const weighted = working.reduce((sum, segment) => sum + segment.allocated * segment.days, 0);
+
+  return {
+    peakAllocated,
+    averageAllocated: workingDays > 0 ? Math.round((weighted / workingDays) * 100) / 100 : 0,
+    workingDays
+  };
+};
 
-    const query = {
+/**
+ * Find an engineer's assignments that overlap a date range and hold or
+ * request capacity (cancelled, declined and paused ones are left out)
+ * @param {string} engineerId - Engineer's user ID
+ * @param {Date} rangeStart - First day of the range
+ * @param {Date} rangeEnd - Last day of the range
+ * @param {string|string[]} excludeAssignmentIds - Optional assignment(s) to leave out
+ * @returns {Promise<Object[]>} Assignment documents
+ */
+const findOverlappingAssignments = (engineerId, rangeStart, rangeEnd, excludeAssignmentIds = null) => {
+  const query = {
     engineerId,
+    status: { $nin: [...Assignment.RELEASED_STATUSES, ...Assignment.PAUSED_STATUSES] },
     startDate: { $lte: rangeEnd },
     endDate: { $gte: rangeStart }
   };
-  if (excludeAssignmentId) {
-    query._id = { $ne: excludeAssignmentId };
+  const excluded = [].concat(excludeAssignmentIds || []);
+  if (excluded.length > 0) {
+    query._id = { $nin: excluded };
   }
+  return Assignment.find(query);
+};
+
+/**
+ * Merge over-capacity segments into conflict ranges
+ * Adjacent segments that are both over the same capacity become a single
+ * range. Days off never conflict: work simply pauses over leave and holidays.
+ * @param {Object[]} segments - Segments from buildCapacityProfile
+ * @param {number} maxCapacity - Capacity for segments that don't carry their own
+ * @param {number} requested - Allocation to add on top of each segment (default 0)
+ * @returns {Object[]} Conflicts [{ startDate, endDate, capacity, allocated, available }]
+ */
+const mergeConflictRanges = (segments, maxCapacity, requested = 0) => {
+  const conflicts = [];
+  for (const segment of segments) {
+    const capacity = segment.capacity ?? maxCapacity;
+    if (isDayOff(segment) || segment.allocated + requested <= capacity) continue;
 
-  // Step 3: Fetch assignments that overlap with the date range
-  const overlappingAssignments = await Assignment.find(query);
-
-  // Step 4: Sum allocation percentages from overlapping assignments
-  let totalAllocated = 0;
-  for (const assignment of overlappingAssignments) {
-    // Calculate the overlap duration to determine weighted allocation
-    const overlapStart = isAfter(assignment.startDate, rangeStart) 
-      ? assignment.startDate 
-      : rangeStart;
-    const overlapEnd = isBefore(assignment.endDate, rangeEnd) 
-      ? assignment.endDate 
-      : rangeEnd;
-    
-    // For simplicity, we'll use the full allocation percentage
-    // In a more sophisticated system, we'd weight by overlap duration
-    totalAllocated += assignment.allocationPercentage;
+    const previous = conflicts[conflicts.length - 1];
+    if (previous && previous.capacity === capacity &&
+      differenceInCalendarDays(segment.startDate, previous.endDate) <= 1) {
+      previous.endDate = segment.endDate;
+      previous.allocated = Math.max(previous.allocated, segment.allocated);
+      previous.available = Math.max(0, capacity - previous.allocated);
+    } else {
+      conflicts.push({
+        startDate: segment.startDate,
+        endDate: segment.endDate,
+        capacity,
+        allocated: segment.allocated,
+        available: Math.max(0, capacity - segment.allocated)
+      });
+    }
   }
+  return conflicts;
+};
+
+/**
+ * Get the days an engineer's capacity can change: the first day of each
+ * capacity period and the day after it ends
+ * @param {Object} engineer - Engineer document
+ * @returns {Date[]} Breakpoints for buildAllocationProfile
+ */
+const getCapacityBreakpoints = (engineer) => (engineer.capacityPeriods || []).flatMap(period => [
+  startOfDay(period.startDate),
+  ...(period.endDate ? [addDays(startOfDay(period.endDate), 1)] : [])
+]);
 
-  // Step 5: Calculate available capacity
-  const availableCapacity = Math.max(0, maxCapacity - totalAllocated);
-  
-  return availableCapacity;
+/**
+ * Build an engineer's allocation profile with the capacity of each segment
+ * scheduledCapacity is the capacity in effect (see User#getCapacityOn);
+ * capacity is the same but zero on days off.
+ * @param {Object} engineer - Engineer document
+ * @param {Object[]} assignments - Assignments to profile
+ * @param {Date} rangeStart - First day of the profile
+ * @param {Date} rangeEnd - Last day of the profile (inclusive)
+ * @returns {Promise<Object>} { timeOff, segments }
+ */
+const buildCapacityProfile = async (engineer, assignments, rangeStart, rangeEnd) => {
+  const timeOff = await findTimeOff(engineer._id, rangeStart, rangeEnd);
+  const segments = buildAllocationProfile(
+    assignments, rangeStart, rangeEnd, timeOff, getCapacityBreakpoints(engineer)
+  ).map(segment => {
+    const scheduledCapacity = engineer.getCapacityOn(segment.startDate);
+    const capacity = segment.timeOff.length > 0 ? 0 : scheduledCapacity;
+    return {
+      ...segment,
+      scheduledCapacity,
+      capacity,
+      available: Math.max(0, capacity - segment.allocated)
+    };
+  });
+
+  return { timeOff, segments };
 };
 
 /**
- * Get detailed capacity information for an engineer
+ * Get the allocation timeline for an engineer within a date range
+ * Cancelled, declined and paused assignments are left out; proposed ones are
+ * reported as tentative and don't reduce available capacity. Each segment has
+ * the engineer's capacity for its days; approved leave and company holidays
+ * bring it down to zero.
  * @param {string} engineerId - Engineer's user ID
- * @returns {Promise<Object>} Capacity information object
+ * @param {Date} startDate - Optional start date (defaults to today)
+ * @param {Date} endDate - Optional end date (defaults to far future)
+ * @param {string} excludeAssignmentId - Optional assignment to leave out (e.g. the one being updated)
+ * @returns {Promise<Object>} Timeline with maxCapacity (highest capacity in the range),
+ *   peak/average allocation, availableCapacity (the least headroom on any working
+ *   day, 0 if every day is off), timeOff and segments
  */
-const getCapacityInfo = async (engineerId) => {
+const getCapacityTimeline = async (engineerId, startDate, endDate, excludeAssignmentId = null) => {
   const engineer = await User.findById(engineerId);
   if (!engineer || engineer.role !== 'engineer') {
     throw new Error('Engineer not found');
   }
 
-  const maxCapacity = engineer.maxCapacity || 100;
-  const availableCapacity = await getAvailableCapacity(engineerId);
-  const allocatedCapacity = maxCapacity - availableCapacity;
-  const utilizationPercent = (allocatedCapacity / maxCapacity) * 100;
+  const rangeStart = startDate ? startOfDay(startDate) : startOfDay(new Date());
+  const rangeEnd = endDate ? endOfDay(endDate) : getDefaultHorizon();
+
+  const overlappingAssignments = await findOverlappingAssignments(
+    engineerId, rangeStart, rangeEnd, excludeAssignmentId
+  );
+  const { timeOff, segments } = await buildCapacityProfile(engineer, overlappingAssignments, rangeStart, rangeEnd);
+  const working = segments.filter(segment => !isDayOff(segment));
 
   return {
     engineerId,
-    maxCapacity,
-    allocatedCapacity,
-    availableCapacity,
-    utilizationPercent
+    maxCapacity: working.length > 0
+      ? Math.max(...working.map(segment => segment.capacity))
+      : engineer.getCapacityOn(rangeStart),
+    startDate: rangeStart,
+    endDate: rangeEnd,
+    ...summarizeProfile(segments),
+    availableCapacity: working.length > 0 ? Math.min(...working.map(segment => segment.available)) : 0,
+    timeOff,
+    segments
   };
 };
 
 /**
- * Calculate future availability windows for an engineer
+ * Calculate available capacity for an engineer within a date range.
+ * This is the headroom at the busiest point of the range, so an assignment
+ * needing this much or less fits on every day.
  * @param {string} engineerId - Engineer's user ID
- * @returns {Promise<Object[]>} Array of availability windows
+ * @param {Date} startDate - Optional start date for calculation (defaults to today)
+ * @param {Date} endDate - Optional end date for calculation (defaults to far future)
+ * @returns {Promise<number>} Available capacity percentage
  */
-const getAvailabilityWindows = async (engineerId) => {
+const getAvailableCapacity = async (engineerId, startDate, endDate, excludeAssignmentId = null) => {
+  const timeline = await getCapacityTimeline(engineerId, startDate, endDate, excludeAssignmentId);
+  return timeline.availableCapacity;
+};
+
+/**
+ * Find the sub-ranges where adding an allocation would exceed an engineer's capacity
+ * Only allocated (confirmed, active or completed) work counts; proposals
+ * don't block each other and are checked again when confirmed.
+ * @param {string} engineerId - Engineer's user ID
+ * @param {Date} startDate - Start of the requested allocation
+ * @param {Date} endDate - End of the requested allocation
+ * @param {number} requested - Requested allocation percentage
+ * @param {string} excludeAssignmentId - Optional assignment to leave out
+ * @returns {Promise<Object>} { availableCapacity, conflicts: [{ startDate, endDate, allocated, available }] }
+ */
+const getCapacityConflicts = async (engineerId, startDate, endDate, requested, excludeAssignmentId = null) => {
+  const timeline = await getCapacityTimeline(engineerId, startDate, endDate, excludeAssignmentId);
+  const conflicts = mergeConflictRanges(timeline.segments, timeline.maxCapacity, Number(requested));
+
+  return {
+    availableCapacity: timeline.availableCapacity,
+    conflicts
+  };
+};
+
+/**
+ * Find where an engineer would be over capacity with planned assignments,
+ * either new ones or existing ones moved to new dates
+ * A planned assignment replaces any stored assignment with the same _id.
+ * Only ranges the planned assignments take part in are reported, so
+ * over-allocation that already existed elsewhere isn't blamed on the plan.
+ * @param {string} engineerId - Engineer's user ID
+ * @param {Object[]} planned - Assignments ({ _id, startDate, endDate, allocationPercentage, status })
+ * @returns {Promise<Object>} { conflicts: [{ startDate, endDate, capacity, allocated, available }] }
+ */
+const getPlannedCapacityConflicts = async (engineerId, planned) => {
   const engineer = await User.findById(engineerId);
   if (!engineer || engineer.role !== 'engineer') {
     throw new Error('Engineer not found');
   }
 
-  const maxCapacity = engineer.maxCapacity || 100;
-  const today = startOfDay(new Date());
+  if (planned.length === 0) {
+    return { conflicts: [] };
+  }
+
+  const rangeStart = startOfDay(min(planned.map(assignment => assignment.startDate)));
+  const rangeEnd = endOfDay(max(planned.map(assignment => assignment.endDate)));
+  const plannedIds = new Set(planned.map(assignment => assignment._id.toString()));
 
-  // Fetch all future assignments sorted by start date
-  const futureAssignments = await Assignment.find({
-    engineerId,
-    endDate: { $gte: today }
-  }).sort({ startDate: 1 });
+  const others = await findOverlappingAssignments(engineerId, rangeStart, rangeEnd, Array.from(plannedIds));
+  const { segments } = await buildCapacityProfile(engineer, [...others, ...planned], rangeStart, rangeEnd);
+  const affected = segments
+    .filter(segment => segment.assignments.some(item => plannedIds.has(item.assignmentId.toString())));
 
-  const windows = [];
-  
-  // Check availability from today until first assignment
-  if (futureAssignments.length === 0) {
-    // No future assignments, fully available
-    windows.push({
-      startDate: today,
-      endDate: new Date('2030-12-31'),
-      availableCapacity: maxCapacity
-    });
+  return { conflicts: mergeConflictRanges(affected) };
+};
+
+/**
+ * Get the first day of every bucket covering a range
+ * @param {Date} rangeStart - First day of the range
+ * @param {Date} rangeEnd - Last day of the range
+ * @param {string} granularity - 'day', 'week' (Monday-based) or 'month'
+ * @returns {Date[]} Bucket start dates, the first clipped to rangeStart
+ */
+const getBucketStarts = (rangeStart, rangeEnd, granularity) => {
+  const interval = { start: rangeStart, end: rangeEnd };
+  let starts;
+  if (granularity === 'week') {
+    starts = eachWeekOfInterval(interval, { weekStartsOn: 1 });
+  } else if (granularity === 'month') {
+    starts = eachMonthOfInterval(interval);
   } else {
-    const firstAssignment = futureAssignments[0];
-    if (isAfter(firstAssignment.startDate, today)) {
-      // Gap between today and first assignment
-      windows.push({
-        startDate: today,
-        endDate: firstAssignment.startDate,
-        availableCapacity: maxCapacity
+    starts = eachDayOfInterval(interval);
+  }
+  return starts.map(start => max([start, rangeStart]));
+};
+
+/**
+ * Get an engineer's capacity as a time series of day, week or month buckets
+ * A bucket's capacity is the engineer's time-weighted capacity over it, so
+ * days off bring it down (scheduledCapacity leaves them out); available is
+ * what's left of that at peak allocation.
+ * @param {string} engineerId - Engineer's user ID
+ * @param {Date} startDate - First day of the series
+ * @param {Date} endDate - Last day of the series
+ * @param {string} granularity - Bucket size: 'day', 'week' or 'month'
+ * @returns {Promise<Object>} { engineerId, maxCapacity, granularity, buckets }
+ */
+const getCapacityBuckets = async (engineerId, startDate, endDate, granularity = 'day') => {
+  const timeline = await getCapacityTimeline(engineerId, startDate, endDate);
+  const starts = getBucketStarts(timeline.startDate, timeline.endDate, granularity);
+
+  const buckets = starts.map((bucketStart, i) => {
+    const bucketEnd = i < starts.length - 1
+      ? endOfDay(subDays(starts[i + 1], 1))
+      : timeline.endDate;
+
+    // Intersect the timeline segments with this bucket
+    const breakdown = new Map();
+    const timeOff = new Map();
+    const slices = [];
+    for (const segment of timeline.segments) {
+      if (segment.startDate > bucketEnd || segment.endDate < bucketStart) continue;
+
+      const days = differenceInCalendarDays(
+        min([segment.endDate, bucketEnd]),
+        max([segment.startDate, bucketStart])
+      ) + 1;
+      slices.push({
+        days,
+        allocated: segment.allocated,
+        tentative: segment.tentative,
+        capacity: segment.capacity,
+        scheduledCapacity: segment.scheduledCapacity
       });
-    }
+      for (const entry of segment.timeOff) {
+        timeOff.set(`${entry.kind}:${entry.name}`, entry);
+      }
 
-    // Find gaps between assignments
-    for (let i = 0; i < futureAssignments.length - 1; i++) {
-      const currentAssignment = futureAssignments[i];
-      const nextAssignment = futureAssignments[i + 1];
-      
-      if (isAfter(nextAssignment.startDate, currentAssignment.endDate)) {
-        // Gap found between assignments
-        windows.push({
-          startDate: currentAssignment.endDate,
-          endDate: nextAssignment.startDate,
-          availableCapacity: maxCapacity
-        });
+      for (const item of segment.assignments) {
+        const key = item.assignmentId.toString();
+        const entry = breakdown.get(key) || { ...item, days: 0 };
+        entry.days += days;
+        breakdown.set(key, entry);
       }
     }
 
-    // Availability after last assignment
-    const lastAssignment = futureAssignments[futureAssignments.length - 1];
-    windows.push({
-      startDate: lastAssignment.endDate,
-      endDate: new Date('2030-12-31'),
-      availableCapacity: maxCapacity
-    });
+    const days = differenceInCalendarDays(bucketEnd, bucketStart) + 1;
+    const { peakAllocated, averageAllocated, workingDays } = summarizeProfile(slices);
+    const tentative = summarizeProfile(slices.map(slice => ({ ...slice, allocated: slice.tentative })));
+    const averageOf = (field) =>
+      Math.round((slices.reduce((sum, slice) => sum + slice[field] * slice.days, 0) / days) * 100) / 100;
+    const capacity = averageOf('capacity');
+    return {
+      startDate: bucketStart,
+      endDate: bucketEnd,
+      days,
+      allocated: averageAllocated,
+      peakAllocated,
+      tentative: tentative.averageAllocated,
+      scheduledCapacity: averageOf('scheduledCapacity'),
+      capacity,
+      available: Math.max(0, capacity - peakAllocated),
+      timeOffDays: days - workingDays,
+      timeOff: Array.from(timeOff.values()),
+      assignments: Array.from(breakdown.values())
+    };
+  });
+
+  return {
+    engineerId,
+    maxCapacity: timeline.maxCapacity,
+    granularity,
+    startDate: timeline.startDate,
+    endDate: timeline.endDate,
+    buckets
+  };
+};
+
+/**
+ * Get detailed capacity information for an engineer
+ * @param {string} engineerId - Engineer's user ID
+ * @param {Date} startDate - Optional start date (defaults to today)
+ * @param {Date} endDate - Optional end date (defaults to today when no range is given)
+ * @returns {Promise<Object>} Capacity information object
+ */
+const getCapacityInfo = async (engineerId, startDate, endDate) => {
+  // Without a range, report capacity as of today
+  const rangeEnd = endDate || (startDate ? undefined : new Date());
+  const timeline = await getCapacityTimeline(engineerId, startDate, rangeEnd);
+
+  const { maxCapacity, peakAllocated, averageAllocated, availableCapacity, workingDays } = timeline;
+  const allocatedCapacity = Math.min(peakAllocated, maxCapacity);
+  // Busiest working day relative to the capacity on that day
+  const utilizationPercent = timeline.segments
+    .filter(segment => !isDayOff(segment))
+    .reduce((peak, segment) => Math.max(peak, Math.min(100, (segment.allocated / segment.capacity) * 100)), 0);
+  const totalDays = differenceInCalendarDays(timeline.endDate, timeline.startDate) + 1;
+
+  return {
+    engineerId,
+    startDate: timeline.startDate,
+    endDate: timeline.endDate,
+    maxCapacity,
+    allocatedCapacity,
+    availableCapacity,
+    averageAllocated,
+    utilizationPercent,
+    timeOffDays: totalDays - workingDays
+  };
+};
+
+/**
+ * Calculate future availability windows for an engineer.
+ * Windows come from the merged allocation profile, so partially allocated
+ * periods show their actual free percentage; days off have none.
+ * @param {string} engineerId - Engineer's user ID
+ * @param {Object} options - Optional settings
+ * @param {Date} options.until - Last day to consider (defaults to the capacity horizon)
+ * @param {number} options.minCapacity - Only return windows with at least this much free capacity
+ * @returns {Promise<Object[]>} Array of availability windows
+ */
+const getAvailabilityWindows = async (engineerId, { until, minCapacity = 1 } = {}) => {
+  const timeline = await getCapacityTimeline(engineerId, new Date(), until);
+
+  // Merge adjacent segments with the same free capacity into one window
+  const windows = [];
+  for (const segment of timeline.segments) {
+    const previous = windows[windows.length - 1];
+    if (previous && previous.availableCapacity === segment.available) {
+      previous.endDate = segment.endDate;
+    } else {
+      windows.push({
+        startDate: segment.startDate,
+        endDate: segment.endDate,
+        availableCapacity: segment.available
+      });
+    }
   }
 
-  return windows.filter(window => window.availableCapacity > 0);
+  return windows.filter(window => window.availableCapacity >= Math.max(minCapacity, 1));
 };
 
 module.exports = {
+  TIMELINE_GRANULARITIES,
+  buildAllocationProfile,
+  summarizeProfile,
+  getCapacityTimeline,
   getAvailableCapacity,
+  getCapacityConflicts,
+  getPlannedCapacityConflicts,
+  getCapacityBuckets,
   getCapacityInfo,
   getAvailabilityWindows
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+// exportService.js
+const ExcelJS = require('exceljs');
+
+// Supported export file formats
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date value
+ * @returns {string} ISO calendar date
+ */
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Turn a cell value into CSV text
+ * Text that a spreadsheet would read as a formula is prefixed with a quote.
+ * @param {*} value - Cell value (string, number, Date or empty)
+ * @returns {string} Escaped CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return toIsoDate(value);
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Object[]} columns - [{ key, header }]
+ * @param {Object[]} rows - Row objects keyed by column key
+ * @returns {string} CSV text
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => toCsvCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => toCsvCell(row[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Render rows as a single-sheet XLSX workbook
+ * Dates are stored as date cells and numbers as numbers.
+ * @param {string} sheetName - Worksheet name
+ * @param {Object[]} columns - [{ key, header, width? }]
+ * @param {Object[]} rows - Row objects keyed by column key
+ * @returns {Promise<Buffer>} Workbook file
+ */
+const toXlsx = async (sheetName, columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || Math.max(12, column.header.length + 2)
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const row of rows) {
+    worksheet.addRow(row);
+  }
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    row.eachCell(cell => {
+      if (cell.value instanceof Date) cell.numFmt = 'yyyy-mm-dd';
+    });
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Build an export file
+ * @param {Object} options - Export details
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.name - Base file name; today's date is appended
+ * @param {string} options.sheetName - Worksheet name (XLSX only)
+ * @param {Object[]} options.columns - [{ key, header, width? }]
+ * @param {Object[]} options.rows - Row objects keyed by column key
+ * @returns {Promise<Object>} { filename, contentType, body }
+ */
+const buildExportFile = async ({ format, name, sheetName, columns, rows }) => ({
+  filename: `${name}-${toIsoDate(new Date())}.${format}`,
+  contentType: CONTENT_TYPES[format],
+  body: format === 'xlsx' ? await toXlsx(sheetName, columns, rows) : toCsv(columns, rows)
+});
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsv,
+  toXlsx,
+  buildExportFile
+};
@@ -0,0 +1,56 @@
+// invitationService.js
+const User = require('../models/User');
+const { generateSecret, hashToken } = require('./tokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an invitation link works before it has to be resent
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
+
+/**
+ * Check whether a user may invite (or re-invite) someone with a role.
+ * Managers invite engineers; only admins can add managers and admins
+ * @param {Object} inviter - Authenticated user ({ role })
+ * @param {string} role - Role of the invited user
+ * @returns {Object} { ok: true } or { ok: false, status, message }
+ */
+const checkInvitePermission = (inviter, role) => {
+  if (role !== 'engineer' && inviter.role !== 'admin') {
+    return { ok: false, status: 403, message: 'Only admins can invite managers' };
+  }
+  return { ok: true };
+};
+
+/**
+ * Give an invited user a new one-time token; any earlier link stops working
+ * @param {Object} user - Invited user document (not saved)
+ * @returns {string} Token to put in the invitation link
+ */
+const issueInviteToken = (user) => {
+  const token = generateSecret();
+  user.inviteTokenHash = hashToken(token);
+  user.inviteExpiresAt = new Date(Date.now() + INVITE_TTL_DAYS * DAY_MS);
+  return token;
+};
+
+/**
+ * Find the pending invitation a token belongs to
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<Object|null>} Invited user, or null if the token is unknown, used or expired
+ */
+const findInvitation = (token) => {
+  if (!token) {
+    return Promise.resolve(null);
+  }
+  return User.findOne({
+    status: 'invited',
+    inviteTokenHash: hashToken(token),
+    inviteExpiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = {
+  checkInvitePermission,
+  issueInviteToken,
+  findInvitation
+};
@@ -0,0 +1,230 @@
+// loginThrottleService.js
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const { recordAuditEvent } = require('./auditService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Failures older than this are forgotten at the next failure
+const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+// After freeAttempts failures each further attempt has to wait 1s, 2s, 4s...
+// (up to MAX_DELAY_SECONDS); lockAfter failures lock for LOCK_MINUTES. An IP
+// gets more room than an account since offices share one address
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: Number(process.env.LOGIN_ACCOUNT_LOCK_AFTER) || 10 },
+  ip: { freeAttempts: 10, lockAfter: Number(process.env.LOGIN_IP_LOCK_AFTER) || 50 }
+};
+
+/**
+ * Seconds to wait before the next attempt after a number of failures
+ * @param {number} failures - Failures in a row
+ * @param {Object} policy - Entry of POLICIES
+ * @returns {number} Delay in seconds (0 while under the free attempts)
+ */
+const getRetryDelaySeconds = (failures, policy) => {
+  if (failures < policy.freeAttempts) return 0;
+  return Math.min(2 ** (failures - policy.freeAttempts), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Check whether a throttled record (a user or an IP) may try to sign in now
+ * @param {Object} record - { failedAttempts, lastFailedAt, lockedUntil }
+ * @param {Object} policy - Entry of POLICIES
+ * @param {string} subject - 'account' or 'ip', for the message
+ * @param {Date} [now]
+ * @returns {Object} { ok: true } or { ok: false, status, message, retryAfter } (seconds)
+ */
+const checkThrottle = (record, policy, subject, now = new Date()) => {
+  if (!record) return { ok: true };
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    const retryAfter = Math.ceil((record.lockedUntil - now) / 1000);
+    const minutes = Math.ceil(retryAfter / 60);
+    return {
+      ok: false,
+      status: subject === 'account' ? 423 : 429,
+      message: subject === 'account'
+        ? `Account locked after too many failed sign-ins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask a manager to unlock it.`
+        : `Too many failed sign-ins from this network. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      retryAfter
+    };
+  }
+
+  const delay = getRetryDelaySeconds(record.failedAttempts || 0, policy);
+  if (delay > 0 && record.lastFailedAt) {
+    const retryAfter = Math.ceil((record.lastFailedAt.getTime() + delay * 1000 - now) / 1000);
+    if (retryAfter > 0) {
+      return {
+        ok: false,
+        status: 429,
+        message: `Too many failed sign-ins. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+        retryAfter
+      };
+    }
+  }
+
+  return { ok: true };
+};
+
+// Field names of the counters on each kind of throttled record
+const ACCOUNT_FIELDS = { failedAttempts: 'failedLoginAttempts', lastFailedAt: 'lastFailedLoginAt', lockedUntil: 'lockedUntil' };
+const IP_FIELDS = { failedAttempts: 'failedAttempts', lastFailedAt: 'lastFailedAt', lockedUntil: 'lockedUntil' };
+
+/**
+ * Count a failure on a throttled record and lock it at the policy's limit.
+ * Every step is a single atomic update, so failures sent in parallel are all
+ * counted and only one of them locks the record
+ * @param {Object} Model - User or LoginAttempt
+ * @param {Object} filter - Selects the record ({ _id } or { ip })
+ * @param {Object} fields - ACCOUNT_FIELDS or IP_FIELDS
+ * @param {Object} policy - Entry of POLICIES
+ * @param {Object} [options]
+ * @param {boolean} [options.upsert] - Create the record on its first failure
+ * @param {Object} [options.set] - Extra fields to set with the count
+ * @param {Date} [options.now]
+ * @returns {Promise<Object|null>} The locked record if this failure locked it, otherwise null
+ */
+const countFailure = async (Model, filter, fields, policy, { upsert = false, set = {}, now = new Date() } = {}) => {
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE_MS);
+
+  // Start counting again once the last failure is outside the window or a lock has run out
+  await Model.updateOne(
+    {
+      ...filter,
+      $or: [
+        { [fields.lastFailedAt]: null },
+        { [fields.lastFailedAt]: { $lt: windowStart } },
+        { [fields.lockedUntil]: { $lte: now } }
+      ]
+    },
+    { $set: { [fields.failedAttempts]: 0, [fields.lockedUntil]: null } }
+  );
+
+  const record = await Model.findOneAndUpdate(
+    filter,
+    { $inc: { [fields.failedAttempts]: 1 }, $set: { [fields.lastFailedAt]: now, ...set } },
+    { new: true, upsert }
+  );
+  if (!record || record[fields.failedAttempts] < policy.lockAfter) {
+    return null;
+  }
+
+  // Only the failure that finds the record unlocked gets to lock it
+  return Model.findOneAndUpdate(
+    { ...filter, $or: [{ [fields.lockedUntil]: null }, { [fields.lockedUntil]: { $lte: now } }] },
+    { $set: { [fields.lockedUntil]: new Date(now.getTime() + LOCK_MINUTES * MINUTE_MS) } },
+    { new: true }
+  );
+};
+
+// Users keep their counters in fields named for sign-in
+const accountRecord = (user) => ({
+  failedAttempts: user.failedLoginAttempts,
+  lastFailedAt: user.lastFailedLoginAt,
+  lockedUntil: user.lockedUntil
+});
+
+/**
+ * Check whether a sign-in attempt may go ahead, before the password is checked
+ * @param {string} ip - Client IP address
+ * @param {Object|null} user - Account being signed in to, if it exists
+ * @returns {Promise<Object>} { ok: true } or { ok: false, status, message, retryAfter }
+ */
+const checkLoginAllowed = async (ip, user) => {
+  // The account comes first so a locked account gets the lockout message
+  if (user) {
+    const accountCheck = checkThrottle(accountRecord(user), POLICIES.account, 'account');
+    if (!accountCheck.ok) {
+      return accountCheck;
+    }
+  }
+
+  const attempt = await LoginAttempt.findOne({ ip });
+  return checkThrottle(attempt, POLICIES.ip, 'ip');
+};
+
+/**
+ * Record a failed sign-in against the IP and, if it exists, the account.
+ * Locking either is audited
+ * @param {string} ip - Client IP address
+ * @param {Object|null} user - Account that was tried, if it exists
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (ip, user) => {
+  const now = new Date();
+
+  const lockedIp = await countFailure(LoginAttempt, { ip }, IP_FIELDS, POLICIES.ip, {
+    upsert: true,
+    set: { expiresAt: new Date(now.getTime() + 24 * 60 * MINUTE_MS) },
+    now
+  });
+  if (lockedIp) {
+    await recordAuditEvent({
+      entity: 'ip',
+      action: 'lock',
+      actor: null,
+      before: { _id: lockedIp._id, ip, lockedUntil: null },
+      after: { _id: lockedIp._id, ip, lockedUntil: lockedIp.lockedUntil }
+    });
+  }
+
+  if (!user) return;
+
+  const lockedAccount = await countFailure(User, { _id: user._id }, ACCOUNT_FIELDS, POLICIES.account, { now });
+  if (lockedAccount) {
+    await recordAuditEvent({
+      entity: 'engineer',
+      action: 'lock',
+      actor: null,
+      before: { _id: user._id, lockedUntil: null },
+      after: { _id: user._id, lockedUntil: lockedAccount.lockedUntil }
+    });
+  }
+};
+
+/**
+ * Clear an account's failed sign-ins after a successful one
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockedUntil = null;
+  await user.save({ validateModifiedOnly: true });
+};
+
+/**
+ * Unlock an account and forget its failed sign-ins (manager action)
+ * @param {Object} user - User document
+ * @param {Object} actor - Authenticated user ({ userId })
+ * @returns {Promise<void>}
+ */
+const unlockAccount = async (user, actor) => {
+  const before = { _id: user._id, lockedUntil: user.lockedUntil };
+
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockedUntil = null;
+  await user.save({ validateModifiedOnly: true });
+
+  await recordAuditEvent({
+    entity: 'engineer',
+    action: 'unlock',
+    actor,
+    before,
+    after: { _id: user._id, lockedUntil: null }
+  });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
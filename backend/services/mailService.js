@@ -0,0 +1,83 @@
+// mailService.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where the file transport writes messages (one .txt file each)
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+
+/**
+ * Format a message as plain text with its headers
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string} Message text
+ */
+const formatMessage = ({ from, to, subject, text }) =>
+  `From: ${from}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+
+// Built-in transports for local development. A transport is an object with
+// an async send(message) method; production setups register their own
+// (e.g. SMTP or an email API) with registerMailTransport
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log(`--- Mail ---\n${formatMessage(message)}------------`);
+    }
+  },
+  file: {
+    send: async (message) => {
+      await fs.mkdir(MAIL_DIR, { recursive: true });
+      const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const fileName = `${Date.now()}-${safeRecipient}.txt`;
+      await fs.writeFile(path.join(MAIL_DIR, fileName), formatMessage(message));
+    }
+  }
+};
+
+/**
+ * Register a mail transport that MAIL_TRANSPORT can select
+ * @param {string} name - Transport name
+ * @param {Object} transport - Object with an async send({ from, to, subject, text }) method
+ */
+const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must have a send(message) method`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the transport named by MAIL_TRANSPORT (default console)
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Resource Planner <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+};
+
+/**
+ * Absolute link to a frontend page, for links in emails
+ * @param {string} pagePath - Path and query, e.g. "/reset-password?token=..."
+ * @returns {string} URL on FRONTEND_URL (default the local dev server)
+ */
+const buildAppUrl = (pagePath) => {
+  const base = process.env.FRONTEND_URL && process.env.FRONTEND_URL !== '*'
+    ? process.env.FRONTEND_URL
+    : 'http://localhost:5173';
+  return `${base.replace(/\/$/, '')}${pagePath}`;
+};
+
+module.exports = {
+  registerMailTransport,
+  sendMail,
+  buildAppUrl
+};
@@ -0,0 +1,103 @@
+// passwordResetService.js
+const User = require('../models/User');
+const { generateSecret, hashToken } = require('./tokenService');
+const { sendMail, buildAppUrl } = require('./mailService');
+const { consumeRateLimit } = require('./rateLimitService');
+
+// How long a reset link works
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+// Reset requests allowed from one IP, and for one email address (whether or
+// not it has an account, so hitting the limit reveals nothing)
+const RESET_LIMITS = {
+  ip: { max: 10, windowMinutes: 15 },
+  email: { max: 3, windowMinutes: 60 }
+};
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+/**
+ * Count a reset request against the per-IP and per-email limits
+ * @param {string} ip - Client IP address
+ * @param {string} email - Email entered on the forgot-password page
+ * @returns {Promise<Object>} { ok: true } or { ok: false, status, message, retryAfter }
+ */
+const checkResetRequestAllowed = async (ip, email) => {
+  const ipCheck = await consumeRateLimit(`password-reset:ip:${ip}`, RESET_LIMITS.ip);
+  if (!ipCheck.ok) {
+    return ipCheck;
+  }
+  return consumeRateLimit(`password-reset:email:${normalizeEmail(email)}`, RESET_LIMITS.email);
+};
+
+/**
+ * Give a user a new one-time reset token; any earlier reset link stops working
+ * @param {Object} user - User document (not saved)
+ * @returns {string} Token to put in the reset link
+ */
+const issueResetToken = (user) => {
+  const token = generateSecret();
+  user.resetTokenHash = hashToken(token);
+  user.resetExpiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+/**
+ * Find the user a reset token belongs to
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<Object|null>} User, or null if the token is unknown, used or expired
+ */
+const findUserByResetToken = (token) => {
+  if (!token) {
+    return Promise.resolve(null);
+  }
+  return User.findOne({
+    status: 'active',
+    resetTokenHash: hashToken(token),
+    resetExpiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Start a password reset: store a reset token and email the link.
+ * Unknown emails and invited users are ignored, and a failure to send is
+ * logged rather than thrown, so the response doesn't reveal who has an account
+ * @param {string} email - Email entered on the forgot-password page
+ * @returns {Promise<boolean>} True if a reset email was sent
+ */
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: normalizeEmail(email), status: 'active' });
+  if (!user) {
+    return false;
+  }
+
+  const token = issueResetToken(user);
+  await user.save({ validateModifiedOnly: true });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password for your Resource Management account.',
+        `Choose a new password here (the link works once, for ${RESET_TOKEN_TTL_MINUTES} minutes):`,
+        '',
+        buildAppUrl(`/reset-password?token=${token}`),
+        '',
+        "If this wasn't you, you can ignore this email."
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Password reset email error:', error);
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  checkResetRequestAllowed,
+  requestPasswordReset,
+  findUserByResetToken
+};
@@ -0,0 +1,63 @@
+// projectService.js
+const Assignment = require('../models/Assignment');
+
+/**
+ * Build the project list filter from query params
+ * Engineers only get projects they're assigned to.
+ * @param {Object} query - Query params: status (single, repeated or comma-separated),
+ *   startDate, endDate (projects overlapping the range), archived (true for archived projects only)
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Promise<Object>} Mongo filter for Project.find
+ */
+const buildProjectFilter = async (query, user) => {
+  const { status, startDate, endDate, archived } = query;
+  const filter = {};
+
+  if (archived === 'true') {
+    filter.deletedAt = { $ne: null };
+  }
+
+  // Handle status filter: allow single or multiple statuses
+  if (status) {
+    if (Array.isArray(status)) {
+      // ?status=planning&status=active  => status is array
+      filter.status = { $in: status };
+    } else if (typeof status === 'string' && status.includes(',')) {
+      // ?status=planning,active
+      const arr = status.split(',').map(s => s.trim()).filter(Boolean);
+      if (arr.length > 0) {
+        filter.status = { $in: arr };
+      }
+    } else {
+      // single status
+      filter.status = status;
+    }
+  }
+
+  // Projects overlapping the date range
+  if (startDate || endDate) {
+    filter.$and = [];
+    if (startDate) {
+      filter.$and.push({ endDate: { $gte: new Date(startDate) } });
+    }
+    if (endDate) {
+      filter.$and.push({ startDate: { $lte: new Date(endDate) } });
+    }
+  }
+
+  // Engineers only see projects they're assigned to
+  if (user.role === 'engineer') {
+    filter._id = {
+      $in: await Assignment.distinct('projectId', {
+        engineerId: user.userId,
+        status: { $nin: Assignment.RELEASED_STATUSES }
+      })
+    };
+  }
+
+  return filter;
+};
+
+module.exports = {
+  buildProjectFilter
+};
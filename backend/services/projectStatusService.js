@@ -0,0 +1,151 @@
+// projectStatusService.js
+const Assignment = require('../models/Assignment');
+const Project = require('../models/Project');
+const { getCapacityConflicts } = require('./capacityService');
+const { recordAuditEvent } = require('./auditService');
+const { min } = require('date-fns');
+
+// Assignment statuses that are still open while their project runs
+const OPEN_STATUSES = ['proposed', 'confirmed', 'active', 'paused'];
+
+/**
+ * Check whether a project may move to a new status
+ * @param {Object} project - Project document
+ * @param {string} nextStatus - Requested status
+ * @returns {Object} { ok: true } or { ok: false, status, message }
+ */
+const checkProjectStatusChange = (project, nextStatus) => {
+  if (!Project.PROJECT_STATUSES.includes(nextStatus)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Status must be one of: ${Project.PROJECT_STATUSES.join(', ')}`
+    };
+  }
+
+  const allowed = Project.PROJECT_STATUS_TRANSITIONS[project.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Cannot change a ${project.status} project to ${nextStatus}`
+    };
+  }
+
+  return { ok: true };
+};
+
+/**
+ * Move an assignment to a new status because its project changed status
+ * Records the change in the assignment's history and the audit log.
+ * @param {Object} assignment - Assignment document
+ * @param {string} status - New status
+ * @param {Object} actor - Authenticated user ({ userId })
+ * @param {string} reason - Reason kept in the status history
+ * @param {Object} fields - Other fields to update (e.g. endDate)
+ * @returns {Promise<Object>} { assignmentId, engineerId, from, to }
+ */
+const moveAssignment = async (assignment, status, actor, reason, fields = {}) => {
+  const before = assignment.toObject();
+  assignment.set(fields);
+  assignment.status = status;
+  assignment.statusChangedAt = new Date();
+  assignment.statusHistory.push({
+    status,
+    changedAt: assignment.statusChangedAt,
+    changedBy: actor.userId,
+    reason
+  });
+  await assignment.save();
+  await recordAuditEvent({ entity: 'assignment', action: 'status-change', actor, before, after: assignment });
+
+  return { assignmentId: assignment._id, engineerId: assignment.engineerId, from: before.status, to: status };
+};
+
+/**
+ * Find the status a paused assignment had before it was paused
+ * @param {Object} assignment - Paused assignment document
+ * @returns {string} 'confirmed' or 'active'
+ */
+const getStatusBeforePause = (assignment) => {
+  const previous = [...(assignment.statusHistory || [])]
+    .reverse()
+    .find(entry => !Assignment.PAUSED_STATUSES.includes(entry.status));
+  return previous?.status === 'active' ? 'active' : 'confirmed';
+};
+
+/**
+ * Change a project's status and apply its side effects on assignments
+ * Completing ends open assignments at the completion date: work that has
+ * started is completed (its end date brought forward), anything else is
+ * cancelled, so the rest of each engineer's time is freed. Putting a
+ * project on hold can pause its confirmed and active assignments so they
+ * stop holding capacity; making it active again resumes paused assignments
+ * whose engineers still have room, and leaves the others paused.
+ * The transition should already have been checked.
+ * @param {Object} project - Project document
+ * @param {string} nextStatus - New status
+ * @param {Object} actor - Authenticated user ({ userId })
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.pauseAssignments - Pause assignments when going on hold (default false)
+ * @returns {Promise<Object>} { project, assignmentChanges, stillPaused }
+ */
+const applyProjectStatusChange = async (project, nextStatus, actor, { pauseAssignments = false } = {}) => {
+  const assignments = await Assignment.find({
+    projectId: project._id,
+    status: { $in: OPEN_STATUSES }
+  });
+
+  const assignmentChanges = [];
+  const stillPaused = [];
+
+  if (nextStatus === 'completed') {
+    const completedAt = new Date();
+    for (const assignment of assignments) {
+      const started = assignment.status !== 'proposed' && assignment.startDate < completedAt;
+      assignmentChanges.push(started
+        ? await moveAssignment(assignment, 'completed', actor, 'Project completed', {
+          endDate: min([assignment.endDate, completedAt])
+        })
+        : await moveAssignment(assignment, 'cancelled', actor, 'Project completed'));
+    }
+  } else if (nextStatus === 'on-hold' && pauseAssignments) {
+    for (const assignment of assignments) {
+      if (!['confirmed', 'active'].includes(assignment.status)) continue;
+      assignmentChanges.push(await moveAssignment(assignment, 'paused', actor, 'Project on hold'));
+    }
+  } else if (nextStatus === 'active' && project.status === 'on-hold') {
+    for (const assignment of assignments) {
+      if (!Assignment.PAUSED_STATUSES.includes(assignment.status)) continue;
+
+      const { availableCapacity, conflicts } = await getCapacityConflicts(
+        assignment.engineerId, assignment.startDate, assignment.endDate,
+        assignment.allocationPercentage, assignment._id
+      );
+      if (conflicts.length > 0) {
+        stillPaused.push({
+          assignmentId: assignment._id,
+          engineerId: assignment.engineerId,
+          message: `Insufficient capacity. Available: ${availableCapacity}%, Requested: ${assignment.allocationPercentage}%`,
+          conflicts
+        });
+        continue;
+      }
+      assignmentChanges.push(
+        await moveAssignment(assignment, getStatusBeforePause(assignment), actor, 'Project resumed')
+      );
+    }
+  }
+
+  const before = project.toObject();
+  project.status = nextStatus;
+  await project.save();
+  await recordAuditEvent({ entity: 'project', action: 'status-change', actor, before, after: project });
+
+  return { project, assignmentChanges, stillPaused };
+};
+
+module.exports = {
+  checkProjectStatusChange,
+  applyProjectStatusChange
+};
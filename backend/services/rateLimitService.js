@@ -0,0 +1,40 @@
+// rateLimitService.js
+const RateLimit = require('../models/RateLimit');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Count a request against a limit of requests per fixed window.
+ * The count is a single atomic update, so parallel requests can't slip past it
+ * @param {string} key - What is limited, e.g. 'password-reset:ip:1.2.3.4'
+ * @param {Object} limit - { max, windowMinutes }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { ok: true } or { ok: false, status, message, retryAfter } (seconds)
+ */
+const consumeRateLimit = async (key, { max, windowMinutes }, now = new Date()) => {
+  const windowMs = windowMinutes * MINUTE_MS;
+  const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+  const expiresAt = new Date(windowStart + windowMs);
+
+  const record = await RateLimit.findOneAndUpdate(
+    { key: `${key}:${windowStart}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { new: true, upsert: true }
+  );
+  if (record.count <= max) {
+    return { ok: true };
+  }
+
+  const retryAfter = Math.ceil((expiresAt - now) / 1000);
+  const minutes = Math.ceil(retryAfter / 60);
+  return {
+    ok: false,
+    status: 429,
+    message: `Too many requests. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter
+  };
+};
+
+module.exports = {
+  consumeRateLimit
+};
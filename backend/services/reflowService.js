@@ -0,0 +1,212 @@
+// reflowService.js
+const Assignment = require('../models/Assignment');
+const { getPlannedCapacityConflicts } = require('./capacityService');
+const { addDays, differenceInCalendarDays, max, min, isAfter } = require('date-fns');
+
+// How assignments follow a change to their project's dates:
+// shift moves them by the same number of days as the project start,
+// clip trims them to the new dates, and scale stretches or squeezes them
+// in proportion to the project's new length
+const REFLOW_MODES = ['shift', 'clip', 'scale'];
+
+/**
+ * Work out an assignment's dates inside a project's new window
+ * Results are always clipped to the window; an assignment left with no
+ * days inside it doesn't fit.
+ * @param {Object} assignment - Assignment with startDate and endDate
+ * @param {Object} previous - Project's current { startDate, endDate }
+ * @param {Object} next - Project's new { startDate, endDate }
+ * @param {string} mode - One of REFLOW_MODES
+ * @returns {Object|null} { startDate, endDate }, or null if it no longer fits
+ */
+const reflowDates = (assignment, previous, next, mode) => {
+  let startDate = assignment.startDate;
+  let endDate = assignment.endDate;
+
+  if (mode === 'shift') {
+    const offset = differenceInCalendarDays(next.startDate, previous.startDate);
+    startDate = addDays(startDate, offset);
+    endDate = addDays(endDate, offset);
+  } else if (mode === 'scale') {
+    const ratio = differenceInCalendarDays(next.endDate, next.startDate) /
+      Math.max(1, differenceInCalendarDays(previous.endDate, previous.startDate));
+    const position = (date) => Math.round(differenceInCalendarDays(date, previous.startDate) * ratio);
+    startDate = addDays(next.startDate, position(startDate));
+    endDate = addDays(next.startDate, position(endDate));
+  }
+
+  startDate = max([startDate, next.startDate]);
+  endDate = min([endDate, next.endDate]);
+  return isAfter(endDate, startDate) ? { startDate, endDate } : null;
+};
+
+/**
+ * Plan how a project's assignments move when its dates change
+ * Every affected engineer's capacity is re-checked with all of their moved
+ * assignments at the new dates. Completed assignments are history and never
+ * move; they're listed as untouched. Nothing is saved.
+ * @param {Object} project - Project document with its current dates
+ * @param {Date} startDate - Project's new start date
+ * @param {Date} endDate - Project's new end date
+ * @param {string} mode - One of REFLOW_MODES
+ * @returns {Promise<Object>} { mode, changes, untouched, conflicts } where changes are
+ *   [{ assignmentId, engineerId, engineerName, role, status, allocationPercentage, before, after }],
+ *   untouched are the completed assignments
+ *   [{ assignmentId, engineerId, engineerName, role, status, allocationPercentage, startDate, endDate }]
+ *   and conflicts are [{ type: 'dates'|'capacity', engineerId, engineerName, assignmentId?, message, ranges? }]
+ */
+const planAssignmentReflow = async (project, startDate, endDate, mode) => {
+  const previous = { startDate: project.startDate, endDate: project.endDate };
+  const next = { startDate, endDate };
+
+  const [assignments, completed] = await Promise.all([
+    Assignment.find({
+      projectId: project._id,
+      status: { $nin: [...Assignment.RELEASED_STATUSES, 'completed'] }
+    }).populate('engineerId', 'name'),
+    Assignment.find({ projectId: project._id, status: 'completed' }).populate('engineerId', 'name')
+  ]);
+
+  const untouched = completed.map(assignment => ({
+    assignmentId: assignment._id,
+    engineerId: assignment.engineerId?._id || assignment.engineerId,
+    engineerName: assignment.engineerId?.name,
+    role: assignment.role,
+    status: assignment.status,
+    allocationPercentage: assignment.allocationPercentage,
+    startDate: assignment.startDate,
+    endDate: assignment.endDate
+  }));
+
+  const changes = [];
+  const conflicts = [];
+  const movedByEngineer = new Map();
+  for (const assignment of assignments) {
+    const engineer = assignment.engineerId;
+    const engineerId = engineer?._id || engineer;
+    const dates = reflowDates(assignment, previous, next, mode);
+
+    if (!dates) {
+      conflicts.push({
+        type: 'dates',
+        assignmentId: assignment._id,
+        engineerId,
+        engineerName: engineer?.name,
+        message: 'Assignment has no days left within the new project dates'
+      });
+      continue;
+    }
+
+    if (dates.startDate.getTime() === assignment.startDate.getTime() &&
+        dates.endDate.getTime() === assignment.endDate.getTime()) {
+      continue;
+    }
+
+    changes.push({
+      assignmentId: assignment._id,
+      engineerId,
+      engineerName: engineer?.name,
+      role: assignment.role,
+      status: assignment.status,
+      allocationPercentage: assignment.allocationPercentage,
+      before: { startDate: assignment.startDate, endDate: assignment.endDate },
+      after: dates
+    });
+
+    // Group moves per engineer so their capacity is checked with all of them at
+    // once; paused and proposed work still moves but holds no capacity
+    if (!engineerId || !Assignment.holdsCapacity(assignment.status)) continue;
+    const key = engineerId.toString();
+    const moved = movedByEngineer.get(key) || { engineerId, engineerName: engineer.name, assignments: [] };
+    moved.assignments.push({
+      _id: assignment._id,
+      projectId: assignment.projectId,
+      role: assignment.role,
+      status: assignment.status,
+      allocationPercentage: assignment.allocationPercentage,
+      ...dates
+    });
+    movedByEngineer.set(key, moved);
+  }
+
+  for (const moved of movedByEngineer.values()) {
+    const { conflicts: ranges } = await getPlannedCapacityConflicts(moved.engineerId, moved.assignments);
+    if (ranges.length > 0) {
+      conflicts.push({
+        type: 'capacity',
+        engineerId: moved.engineerId,
+        engineerName: moved.engineerName,
+        message: `Would be allocated more than ${ranges[0].capacity}% after the change`,
+        ranges
+      });
+    }
+  }
+
+  return { mode, changes, untouched, conflicts };
+};
+
+/**
+ * Set assignments' dates in one bulk write
+ * @param {Object[]} moves - [{ _id, startDate, endDate }]
+ * @returns {Promise<void>}
+ */
+const writeAssignmentDates = async (moves) => {
+  if (moves.length === 0) return;
+  await Assignment.bulkWrite(moves.map(({ _id, startDate, endDate }) => ({
+    updateOne: { filter: { _id }, update: { $set: { startDate, endDate } } }
+  })));
+};
+
+/**
+ * Apply the moves of a reflow plan in one bulk write. Assignments archived,
+ * released or completed since the plan was made are skipped. If the write
+ * fails, the moves that went through are put back.
+ * @param {Object[]} changes - changes from planAssignmentReflow
+ * @returns {Promise<Object>} { ok: true, applied, skipped } where applied is
+ *   [{ before, after }] (plain records) and skipped the skipped assignment ids,
+ *   or { ok: false, status, message }
+ */
+const applyAssignmentReflow = async (changes) => {
+  const assignments = await Assignment.find({
+    _id: { $in: changes.map(change => change.assignmentId) },
+    status: { $nin: [...Assignment.RELEASED_STATUSES, 'completed'] }
+  });
+  const byId = new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+
+  const applied = [];
+  const skipped = [];
+  for (const change of changes) {
+    const assignment = byId.get(change.assignmentId.toString());
+    if (!assignment) {
+      skipped.push(change.assignmentId);
+      continue;
+    }
+    const before = assignment.toObject();
+    applied.push({ before, after: { ...before, ...change.after } });
+  }
+
+  try {
+    await writeAssignmentDates(applied.map(({ after }) => after));
+  } catch (error) {
+    console.error('Apply reflow error:', error);
+    await revertAssignmentReflow(applied);
+    return { ok: false, status: 500, message: 'Could not move the assignments; nothing was changed' };
+  }
+
+  return { ok: true, applied, skipped };
+};
+
+/**
+ * Put assignments moved by applyAssignmentReflow back on their old dates
+ * @param {Object[]} applied - applied from applyAssignmentReflow
+ * @returns {Promise<void>}
+ */
+const revertAssignmentReflow = (applied) => writeAssignmentDates(applied.map(({ before }) => before));
+
+module.exports = {
+  REFLOW_MODES,
+  reflowDates,
+  planAssignmentReflow,
+  applyAssignmentReflow,
+  revertAssignmentReflow
+};
@@ -0,0 +1,211 @@
+// sessionService.js
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateSecret, hashToken } = require('./tokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Access tokens are short-lived; the refresh token keeps the device signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Two tabs can refresh with the same token at once; a replaced token used this
+// soon after is turned away without treating it as stolen
+const REUSE_GRACE_MS = 10 * 1000;
+
+/**
+ * Sign an access token for a user's session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    sessionId: session._id
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Give a session a new refresh token, keeping the old hash for reuse detection
+ * @param {Object} session - Session document (not saved)
+ * @returns {string} Refresh token in the form "<sessionId>.<secret>"
+ */
+const issueRefreshToken = (session) => {
+  const secret = generateSecret();
+  session.previousTokenHash = session.refreshTokenHash || null;
+  session.refreshTokenHash = hashToken(secret);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+  return `${session._id}.${secret}`;
+};
+
+/**
+ * Split a refresh token into its session id and secret
+ * @param {string} refreshToken - Token from the client
+ * @returns {Object|null} { sessionId, secret } or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip || ''
+  });
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return { accessToken: signAccessToken(user, session), refreshToken, session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting a token that was already exchanged means it leaked, so the
+ * whole session is revoked.
+ * @param {string} refreshToken - Token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { ok: true, accessToken, refreshToken, user } or { ok: false, status, message }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const invalid = { ok: false, status: 401, message: 'Invalid refresh token' };
+
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return invalid;
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) {
+    return invalid;
+  }
+
+  const tokenHash = hashToken(parsed.secret);
+  if (tokenHash !== session.refreshTokenHash) {
+    const isReuse = tokenHash === session.previousTokenHash &&
+      Date.now() - session.lastUsedAt.getTime() > REUSE_GRACE_MS;
+    if (isReuse) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return invalid;
+  }
+
+  const user = await User.findById(session.userId).select('-passwordHash');
+  if (!user) {
+    return invalid;
+  }
+
+  const nextRefreshToken = issueRefreshToken(session);
+  session.lastUsedAt = new Date();
+  session.ip = req.ip || session.ip;
+  await session.save();
+
+  return {
+    ok: true,
+    accessToken: signAccessToken(user, session),
+    refreshToken: nextRefreshToken,
+    user
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - Token from the client
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return false;
+  }
+
+  const result = await Session.updateOne(
+    { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<boolean>} True if the session was found and revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions, e.g. after a password change
+ * @param {string} userId - User whose sessions are revoked
+ * @param {Object} [options]
+ * @param {string} [options.except] - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, { except } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User whose sessions are listed
+ * @returns {Promise<Array>} Session documents without token hashes
+ */
+const getActiveSessions = (userId) => Session.find({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('-refreshTokenHash -previousTokenHash')
+  .sort({ lastUsedAt: -1 });
+
+/**
+ * Whether the session an access token was issued for is still active
+ * @param {string} sessionId - Session id from the access token
+ * @returns {Promise<boolean>} True if the session can be used
+ */
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return !!session && session.isActive();
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions,
+  isSessionActive
+};
@@ -1,49 +1,137 @@
 // skillMatchingService.js
 const User = require('../models/User');
+const Skill = require('../models/Skill');
+const { loadSkillLookup, canonicalSkillName, expandSkillNames } = require('./skillTaxonomyService');
+const { loadRelatedness, findClosestSkill } = require('./skillRelationService');
 const { getAvailableCapacity } = require('./capacityService');
 
+// Top of the 1-5 proficiency scale
+const MAX_SKILL_LEVEL = 5;
+
+// Escape user input for use inside a regular expression
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Look up an engineer's proficiency in a skill (case-insensitive)
+ * @param {Object[]} engineerSkills - Engineer's skill entries
+ * @param {string} skillName - Skill to look up
+ * @returns {number} Level 1-5, or 0 if the engineer doesn't have the skill
+ */
+const getSkillLevel = (engineerSkills, skillName) => {
+  const entry = (engineerSkills || []).find(skill =>
+    skill.name.toLowerCase() === skillName.toLowerCase()
+  );
+  return entry ? entry.level || 1 : 0;
+};
+
+// Relative weight of a required skill in match scores and coverage
+const PRIORITY_WEIGHTS = {
+  must: 2,
+  nice: 1
+};
+
+/**
+ * Normalize a required skill into a full requirement
+ * @param {string|Object} skill - Skill name or Project.requiredSkills entry
+ * @returns {Object} { name, priority, minLevel, headcount, weight }
+ */
+const toRequirement = (skill) => {
+  const entry = typeof skill === 'string' ? { name: skill } : skill;
+  const priority = entry.priority || 'must';
+  return {
+    name: entry.name,
+    priority,
+    minLevel: entry.minLevel || 1,
+    headcount: entry.headcount || 1,
+    weight: PRIORITY_WEIGHTS[priority] || PRIORITY_WEIGHTS.must
+  };
+};
+
+/**
+ * Score one required skill for an engineer, between 0 and 1.
+ * Meeting the minimum earns 0.6-1.0 depending on proficiency, so experts
+ * outrank beginners; having the skill below the minimum earns under 0.5.
+ * @param {number} level - Engineer's level (0 if missing)
+ * @param {number} minLevel - Required minimum level
+ * @returns {number} Skill score
+ */
+const scoreSkill = (level, minLevel = 1) => {
+  if (level === 0) return 0;
+  if (level >= minLevel) return 0.5 + 0.5 * (level / MAX_SKILL_LEVEL);
+  return 0.5 * (level / minLevel);
+};
+
 /**
  * Find engineers whose skills match project requirements
- * @param {string[]} requiredSkills - Array of required skill names
+ * Must-have skills weigh double in the match score; a skill only counts as
+ * matching when the engineer meets its minimum level. A missing skill earns
+ * partial credit through the engineer's most related skill, scaled by the
+ * relation's weight (see skillRelationService).
+ * @param {Array<string|Object>} requiredSkills - Skill names or Project.requiredSkills entries
  * @param {number} minCapacity - Minimum available capacity required (optional)
+ * @param {Object} options - Optional settings
+ * @param {Date} options.startDate - Start of the period capacity is checked over (defaults to today)
+ * @param {Date} options.endDate - End of the period capacity is checked over
  * @returns {Promise<Object[]>} Array of matching engineers with match details
  */
-const findMatchingEngineers = async (requiredSkills, minCapacity = 0) => {
+const findMatchingEngineers = async (requiredSkills, minCapacity = 0, { startDate, endDate } = {}) => {
   // Step 1: Fetch all engineers
-  const engineers = await User.find({ role: 'engineer' });
-  
+  const engineers = await User.find({ role: 'engineer' }).select('-passwordHash');
+  const requirements = requiredSkills.map(toRequirement);
+  const totalWeight = requirements.reduce((sum, requirement) => sum + requirement.weight, 0);
+  const relatedness = await loadRelatedness();
+
   const matches = [];
 
   // Step 2: Check each engineer's skill match and capacity
   for (const engineer of engineers) {
-    const engineerSkills = engineer.skills || [];
-    
-    // Calculate skill matching
-    const matchingSkills = requiredSkills.filter(skill => 
-      engineerSkills.some(engineerSkill => 
-        engineerSkill.toLowerCase() === skill.toLowerCase()
-      )
-    );
-    
-    const missingSkills = requiredSkills.filter(skill => 
-      !engineerSkills.some(engineerSkill => 
-        engineerSkill.toLowerCase() === skill.toLowerCase()
-      )
-    );
-
-    const matchScore = requiredSkills.length > 0 
-      ? (matchingSkills.length / requiredSkills.length) * 100 
+    const matchingSkills = [];
+    const underqualifiedSkills = [];
+    const missingSkills = [];
+    const missingMustHaves = [];
+    const partialMatches = [];
+    let totalScore = 0;
+
+    // Score each required skill by proficiency against its minimum level
+    for (const { name, priority, minLevel, weight } of requirements) {
+      const level = getSkillLevel(engineer.skills, name);
+      totalScore += scoreSkill(level, minLevel) * weight;
+
+      if (level === 0) {
+        missingSkills.push(name);
+
+        // Partial credit from a related skill the engineer does have
+        const closest = findClosestSkill(engineer.skills, name, relatedness);
+        if (closest) {
+          totalScore += closest.weight * scoreSkill(closest.level, minLevel) * weight;
+          partialMatches.push({ required: name, has: closest.has, weight: closest.weight });
+        }
+      } else if (level < minLevel) {
+        underqualifiedSkills.push({ skill: name, level, minLevel });
+      } else {
+        matchingSkills.push(name);
+      }
+      if (level < minLevel && priority === 'must') {
+        missingMustHaves.push(name);
+      }
+    }
+
+    const matchScore = totalWeight > 0
+      ? (totalScore / totalWeight) * 100
       : 100;
 
-    // Get available capacity
-    const availableCapacity = await getAvailableCapacity(engineer._id.toString());
+    // Get available capacity over the requested period
+    const availableCapacity = await getAvailableCapacity(engineer._id.toString(), startDate, endDate);
 
     // Include if meets minimum capacity requirement
     if (availableCapacity >= minCapacity) {
       matches.push({
         engineer,
         matchingSkills,
+        underqualifiedSkills,
         missingSkills,
+        missingMustHaves,
+        partialMatches,
         availableCapacity,
         matchScore
       });
@@ -61,51 +149,57 @@ const findMatchingEngineers = async (requiredSkills, minCapacity = 0) => {
 
 /**
  * Filter engineers by specific skills
+ * Names are resolved through the skill taxonomy, so aliases and child
+ * skills match too; matching is exact and case-insensitive.
  * @param {string[]} skills - Array of skill names to filter by
  * @returns {Promise<Object[]>} Array of engineers who have at least one of the specified skills
  */
 const filterEngineersBySkills = async (skills) => {
   if (!skills || skills.length === 0) {
-    return User.find({ role: 'engineer' });
+    return User.find({ role: 'engineer' }).select('-passwordHash');
   }
 
-  // Use case-insensitive regex matching for flexibility
-  const skillRegexes = skills.map(skill => new RegExp(skill, 'i'));
-  
+  const names = await expandSkillNames(skills.filter(Boolean));
+  const skillRegexes = names.map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i'));
+
   return User.find({
     role: 'engineer',
-    skills: { $in: skillRegexes }
-  });
+    'skills.name': { $in: skillRegexes }
+  }).select('-passwordHash');
 };
 
 /**
- * Get all unique skills across all engineers
+ * Get all unique skills: the taxonomy plus any skills engineers list
+ * that aren't in it yet, by canonical name
  * @returns {Promise<string[]>} Array of unique skill names
  */
 const getAllSkills = async () => {
-  const engineers = await User.find({ role: 'engineer' }, 'skills');
-  
-  const allSkills = engineers.reduce((skills, engineer) => {
-    if (engineer.skills) {
-      skills.push(...engineer.skills);
+  const [taxonomy, engineers, lookup] = await Promise.all([
+    Skill.find().select('name'),
+    User.find({ role: 'engineer' }, 'skills'),
+    loadSkillLookup()
+  ]);
+
+  const allSkills = new Map();
+  const addSkill = (name) => {
+    const canonical = canonicalSkillName(name, lookup);
+    const key = Skill.toSkillKey(canonical);
+    if (!allSkills.has(key)) {
+      allSkills.set(key, canonical);
     }
-    return skills;
-  }, []);
-
-  // Return unique skills, case-insensitive
-  const uniqueSkills = Array.from(new Set(
-    allSkills.map(skill => skill.toLowerCase())
-  )).map(skill => 
-    // Find original casing from the first occurrence
-    allSkills.find(originalSkill => 
-      originalSkill.toLowerCase() === skill
-    ) || skill
-  );
+  };
+
+  taxonomy.forEach(skill => addSkill(skill.name));
+  engineers.forEach(engineer => (engineer.skills || []).forEach(skill => addSkill(skill.name)));
 
-  return uniqueSkills.sort();
+  return [...allSkills.values()].sort((a, b) => a.localeCompare(b));
 };
 
 module.exports = {
+  PRIORITY_WEIGHTS,
+  escapeRegExp,
+  getSkillLevel,
+  toRequirement,
   findMatchingEngineers,
   filterEngineersBySkills,
   getAllSkills
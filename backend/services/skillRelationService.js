@@ -0,0 +1,135 @@
+// skillRelationService.js
+const Skill = require('../models/Skill');
+const SkillRelation = require('../models/SkillRelation');
+const User = require('../models/User');
+const { loadSkillLookup, canonicalSkillName } = require('./skillTaxonomyService');
+
+// Derived relations never give more credit than this, so an inferred
+// neighbour can't look as good as a curated one
+const MAX_DERIVED_WEIGHT = 0.8;
+
+/**
+ * Load all skill relations as a symmetric lookup
+ * @returns {Promise<Map<string, Map<string, number>>>} Skill key to related skill keys and weights
+ */
+const loadRelatedness = async () => {
+  const relations = await SkillRelation.find().select('skillA skillB weight');
+  const relatedness = new Map();
+
+  const link = (from, to, weight) => {
+    const neighbours = relatedness.get(from) || new Map();
+    neighbours.set(to, Math.max(weight, neighbours.get(to) || 0));
+    relatedness.set(from, neighbours);
+  };
+
+  relations.forEach(({ skillA, skillB, weight }) => {
+    const keyA = Skill.toSkillKey(skillA);
+    const keyB = Skill.toSkillKey(skillB);
+    link(keyA, keyB, weight);
+    link(keyB, keyA, weight);
+  });
+  return relatedness;
+};
+
+/**
+ * Find an engineer's skill closest to a required skill they don't have
+ * @param {Object[]} engineerSkills - Engineer's skill entries
+ * @param {string} requiredSkill - Required skill name
+ * @param {Map<string, Map<string, number>>} relatedness - Lookup from loadRelatedness
+ * @returns {Object|null} { has, level, weight } for the strongest relation, or null
+ */
+const findClosestSkill = (engineerSkills, requiredSkill, relatedness) => {
+  const neighbours = relatedness.get(Skill.toSkillKey(requiredSkill));
+  if (!neighbours) return null;
+
+  let closest = null;
+  for (const skill of engineerSkills || []) {
+    const weight = neighbours.get(Skill.toSkillKey(skill.name));
+    if (weight && (!closest || weight > closest.weight)) {
+      closest = { has: skill.name, level: skill.level || 1, weight };
+    }
+  }
+  return closest;
+};
+
+/**
+ * Derive relations from skills that engineers tend to list together.
+ * Relatedness of a pair is its Jaccard index over engineer profiles
+ * (engineers with both / engineers with either). Replaces all previously
+ * derived relations in one bulk write; manual relations are never touched.
+ * @param {Object} options - Optional thresholds
+ * @param {number} options.minSupport - Engineers that must list both skills (default 2)
+ * @param {number} options.minWeight - Smallest relatedness kept (default 0.3)
+ * @returns {Promise<Object>} { created, skipped, relations }
+ */
+const deriveRelationsFromProfiles = async ({ minSupport = 2, minWeight = 0.3 } = {}) => {
+  const [engineers, lookup, manualRelations] = await Promise.all([
+    User.find({ role: 'engineer' }).select('skills'),
+    loadSkillLookup(),
+    SkillRelation.find({ source: 'manual' }).select('pairKey')
+  ]);
+  const manualPairs = new Set(manualRelations.map(relation => relation.pairKey));
+
+  // Count engineers per skill and per pair of skills, by canonical name
+  const skillCounts = new Map();
+  const pairCounts = new Map();
+  for (const engineer of engineers) {
+    const names = [...new Set((engineer.skills || []).map(skill => canonicalSkillName(skill.name, lookup)))].sort();
+    names.forEach((name, index) => {
+      skillCounts.set(name, (skillCounts.get(name) || 0) + 1);
+      names.slice(index + 1).forEach(other => {
+        const pair = `${name}\u0000${other}`;
+        pairCounts.set(pair, (pairCounts.get(pair) || 0) + 1);
+      });
+    });
+  }
+
+  const relations = new Map();
+  let skipped = 0;
+  for (const [pair, both] of pairCounts) {
+    const [skillA, skillB] = pair.split('\u0000');
+    const weight = both / (skillCounts.get(skillA) + skillCounts.get(skillB) - both);
+    if (both < minSupport || weight < minWeight) continue;
+
+    const pairKey = [Skill.toSkillKey(skillA), Skill.toSkillKey(skillB)].sort().join('|');
+    if (manualPairs.has(pairKey)) {
+      skipped += 1;
+      continue;
+    }
+    if (relations.has(pairKey)) continue;
+    relations.set(pairKey, new SkillRelation({
+      skillA,
+      skillB,
+      weight: Math.round(Math.min(weight, MAX_DERIVED_WEIGHT) * 100) / 100,
+      source: 'derived'
+    }));
+  }
+
+  // Validate the whole new set before touching the stored one
+  await Promise.all([...relations.values()].map(relation => relation.validate()));
+
+  // One ordered bulk write: upserts first, so if one fails the stale
+  // relations are still there rather than all derived relations being gone
+  const pairKeys = [...relations.keys()];
+  await SkillRelation.bulkWrite([
+    ...[...relations.values()].map(({ pairKey, skillA, skillB, weight, source }) => ({
+      updateOne: {
+        filter: { pairKey, source: 'derived' },
+        update: { $set: { skillA, skillB, weight, source } },
+        upsert: true
+      }
+    })),
+    { deleteMany: { filter: { source: 'derived', pairKey: { $nin: pairKeys } } } }
+  ], { ordered: true });
+
+  const derived = await SkillRelation.find({ source: 'derived' }).sort({ weight: -1 });
+
+  return { created: derived.length, skipped, relations: derived };
+};
+
+module.exports = {
+  MAX_DERIVED_WEIGHT,
+  loadRelatedness,
+  findClosestSkill,
+  deriveRelationsFromProfiles
+};
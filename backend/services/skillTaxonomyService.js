@@ -0,0 +1,92 @@
+// skillTaxonomyService.js
+const Skill = require('../models/Skill');
+
+/**
+ * Load a lookup from every skill name and alias key to its canonical name
+ * @returns {Promise<Map<string, string>>} Lookup key to canonical skill name
+ */
+const loadSkillLookup = async () => {
+  const skills = await Skill.find().select('name keys');
+  const lookup = new Map();
+  skills.forEach(skill => skill.keys.forEach(key => lookup.set(key, skill.name)));
+  return lookup;
+};
+
+/**
+ * Resolve a free-text skill name to its canonical name
+ * @param {string} name - Skill name as entered
+ * @param {Map<string, string>} lookup - Lookup from loadSkillLookup
+ * @returns {string} Canonical name, or the trimmed input for unknown skills
+ */
+const canonicalSkillName = (name, lookup) =>
+  lookup.get(Skill.toSkillKey(name)) || name.trim();
+
+/**
+ * Rename skill entries to their canonical names and merge entries that turn
+ * out to be the same skill. Works on User.skills and Project.requiredSkills
+ * entries; of two merged entries the one with the higher level is kept,
+ * under the name of the first.
+ * @param {Object[]} entries - Normalized skill entries ({ name, ... })
+ * @param {Map<string, string>} lookup - Optional preloaded lookup
+ * @returns {Promise<Object[]>} Canonical skill entries
+ */
+const canonicalizeSkills = async (entries, lookup) => {
+  const skillLookup = lookup || await loadSkillLookup();
+  const rank = (entry) => entry.level || entry.minLevel || 0;
+
+  const merged = new Map();
+  for (const entry of entries) {
+    const name = canonicalSkillName(entry.name, skillLookup);
+    const key = Skill.toSkillKey(name);
+    const existing = merged.get(key);
+    if (!existing || rank(entry) > rank(existing)) {
+      merged.set(key, { ...entry, name: existing ? existing.name : name });
+    }
+  }
+  return [...merged.values()];
+};
+
+/**
+ * Expand skill names to every name that should match them: the canonical
+ * name, its aliases, and the same for all child skills (so filtering by
+ * "JavaScript" also finds engineers who list "React")
+ * @param {string[]} names - Skill names as entered
+ * @returns {Promise<string[]>} Names to match against
+ */
+const expandSkillNames = async (names) => {
+  const skills = await Skill.find().select('name aliases keys parentId');
+  const expanded = new Set();
+
+  for (const name of names) {
+    const key = Skill.toSkillKey(name);
+    const skill = skills.find(candidate => candidate.keys.includes(key));
+    if (!skill) {
+      expanded.add(name.trim());
+      continue;
+    }
+
+    // Walk down the hierarchy, guarding against cycles
+    const queue = [skill];
+    const visited = new Set();
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (visited.has(current._id.toString())) continue;
+      visited.add(current._id.toString());
+
+      expanded.add(current.name);
+      current.aliases.forEach(alias => expanded.add(alias));
+      queue.push(...skills.filter(child =>
+        child.parentId && child.parentId.toString() === current._id.toString()
+      ));
+    }
+  }
+
+  return [...expanded];
+};
+
+module.exports = {
+  loadSkillLookup,
+  canonicalSkillName,
+  canonicalizeSkills,
+  expandSkillNames
+};
@@ -0,0 +1,119 @@
+// staffingService.js
+const Assignment = require('../models/Assignment');
+const { findMatchingEngineers, getSkillLevel, toRequirement } = require('./skillMatchingService');
+
+/**
+ * Decide whether one staffing candidate beats another.
+ * Prefers more weight of still-needed skills covered (must-haves count double,
+ * fewer people overall), then more headroom left after the allocation
+ * (less over-commitment), then match score.
+ * @param {Object} candidate - { covers, coverWeight, headroom, match }
+ * @param {Object} best - Current best candidate
+ * @returns {boolean} True if candidate should replace best
+ */
+const isBetterCandidate = (candidate, best) => {
+  if (candidate.coverWeight !== best.coverWeight) {
+    return candidate.coverWeight > best.coverWeight;
+  }
+  if (candidate.headroom !== best.headroom) {
+    return candidate.headroom > best.headroom;
+  }
+  return candidate.match.matchScore > best.match.matchScore;
+};
+
+/**
+ * Propose assignments that cover a project's required skills.
+ * Greedy set cover over engineers not yet on the project: each round picks
+ * the engineer covering the most still-needed skills, until every skill has
+ * its headcount of qualified engineers or the project's teamSize is reached.
+ * Allocations never exceed the engineer's free capacity over the project's dates.
+ * @param {Object} project - Project document
+ * @param {Object} options - Optional settings
+ * @param {number} options.allocationPercentage - Target allocation per engineer (default 50)
+ * @param {number} options.minAllocation - Minimum free capacity a candidate needs (default 20)
+ * @param {string} options.role - Role for proposed assignments (default 'Developer')
+ * @returns {Promise<Object>} { plan, coveredSkills, uncoveredSkills, remainingHeadcount, assignedCount, openSlots }
+ */
+const planProjectStaffing = async (project, { allocationPercentage = 50, minAllocation = 20, role } = {}) => {
+  const requirements = (project.requiredSkills || []).map(toRequirement);
+
+  // Qualified engineers already on the team count towards each skill's headcount
+  const existingAssignments = await Assignment.find({
+    projectId: project._id,
+    status: { $nin: Assignment.RELEASED_STATUSES }
+  }).populate('engineerId', 'skills');
+  const team = existingAssignments.map(assignment => assignment.engineerId).filter(Boolean);
+  const assignedIds = new Set(team.map(engineer => engineer._id.toString()));
+
+  const openSlots = Math.max(0, project.teamSize - assignedIds.size);
+  const needed = new Map(requirements.map(requirement => {
+    const qualified = team.filter(engineer =>
+      getSkillLevel(engineer.skills, requirement.name) >= requirement.minLevel
+    ).length;
+    return [requirement.name, Math.max(0, requirement.headcount - qualified)];
+  }));
+  const stillNeeded = () => requirements.filter(requirement => needed.get(requirement.name) > 0);
+
+  let pool = (await findMatchingEngineers(project.requiredSkills || [], minAllocation, {
+    startDate: project.startDate,
+    endDate: project.endDate
+  })).filter(match => !assignedIds.has(match.engineer._id.toString()));
+
+  const plan = [];
+  while (stillNeeded().length > 0 && plan.length < openSlots) {
+    const remaining = stillNeeded();
+    let best = null;
+    for (const match of pool) {
+      const covers = remaining.filter(requirement => match.matchingSkills.includes(requirement.name));
+      if (covers.length === 0) continue;
+
+      const allocation = Math.min(allocationPercentage, match.availableCapacity);
+      const candidate = {
+        match,
+        covers,
+        coverWeight: covers.reduce((sum, requirement) => sum + requirement.weight, 0),
+        allocation,
+        headroom: match.availableCapacity - allocation
+      };
+      if (!best || isBetterCandidate(candidate, best)) {
+        best = candidate;
+      }
+    }
+
+    // Nobody left can cover a needed skill
+    if (!best) break;
+
+    plan.push({
+      engineerId: best.match.engineer._id,
+      engineerName: best.match.engineer.name,
+      allocationPercentage: best.allocation,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      role: role || 'Developer',
+      coversSkills: best.covers.map(requirement => requirement.name),
+      availableCapacity: best.match.availableCapacity
+    });
+    best.covers.forEach(requirement => needed.set(requirement.name, needed.get(requirement.name) - 1));
+    pool = pool.filter(match => match !== best.match);
+  }
+
+  const uncovered = stillNeeded();
+  return {
+    plan,
+    coveredSkills: requirements
+      .filter(requirement => !uncovered.includes(requirement))
+      .map(requirement => requirement.name),
+    uncoveredSkills: uncovered.map(requirement => requirement.name),
+    remainingHeadcount: uncovered.map(requirement => ({
+      skill: requirement.name,
+      priority: requirement.priority,
+      needed: needed.get(requirement.name)
+    })),
+    assignedCount: assignedIds.size,
+    openSlots
+  };
+};
+
+module.exports = {
+  planProjectStaffing
+};
@@ -0,0 +1,115 @@
+// timeOffService.js
+const Leave = require('../models/Leave');
+const Holiday = require('../models/Holiday');
+const User = require('../models/User');
+const { startOfDay, endOfDay } = require('date-fns');
+
+/**
+ * Find the days an engineer is away within a range: approved leave and
+ * company holidays
+ * @param {string} engineerId - Engineer's user ID
+ * @param {Date} rangeStart - First day of the range
+ * @param {Date} rangeEnd - Last day of the range
+ * @returns {Promise<Object[]>} Time off ordered by start date
+ *   [{ kind: 'leave'|'holiday', type, name, leaveId?, startDate, endDate }]
+ */
+const findTimeOff = async (engineerId, rangeStart, rangeEnd) => {
+  const [leave, holidays] = await Promise.all([
+    Leave.find({
+      engineerId,
+      status: { $in: Leave.APPROVED_LEAVE_STATUSES },
+      startDate: { $lte: rangeEnd },
+      endDate: { $gte: startOfDay(rangeStart) }
+    }),
+    Holiday.find({
+      date: { $gte: startOfDay(rangeStart), $lte: rangeEnd }
+    })
+  ]);
+
+  return [
+    ...leave.map(entry => ({
+      kind: 'leave',
+      type: entry.type,
+      name: entry.type.charAt(0).toUpperCase() + entry.type.slice(1),
+      leaveId: entry._id,
+      startDate: startOfDay(entry.startDate),
+      endDate: endOfDay(entry.endDate)
+    })),
+    ...holidays.map(holiday => ({
+      kind: 'holiday',
+      type: 'holiday',
+      name: holiday.name,
+      startDate: startOfDay(holiday.date),
+      endDate: endOfDay(holiday.date)
+    }))
+  ].sort((a, b) => a.startDate - b.startDate);
+};
+
+/**
+ * Check that a leave request can be made
+ * Open (pending or approved) leave of the same engineer can't overlap.
+ * @param {Object} leave - Leave to check ({ _id?, engineerId, startDate, endDate })
+ * @returns {Promise<Object>} { ok: true } or { ok: false, status, message }
+ */
+const checkLeaveOverlap = async (leave) => {
+  const query = {
+    engineerId: leave.engineerId,
+    status: { $in: Leave.OPEN_LEAVE_STATUSES },
+    startDate: { $lte: leave.endDate },
+    endDate: { $gte: leave.startDate }
+  };
+  if (leave._id) {
+    query._id = { $ne: leave._id };
+  }
+
+  const overlapping = await Leave.findOne(query);
+  if (overlapping) {
+    return {
+      ok: false,
+      status: 400,
+      message: 'Leave overlaps another pending or approved request'
+    };
+  }
+  return { ok: true };
+};
+
+/**
+ * Check a leave status change against the allowed transitions and who
+ * may make it: managers approve and reject, the engineer and managers cancel
+ * @param {Object} leave - Leave document
+ * @param {string} nextStatus - Requested status
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Object} { ok: true } or { ok: false, status, message }
+ */
+const checkLeaveStatusChange = (leave, nextStatus, user) => {
+  if (!Leave.LEAVE_STATUSES.includes(nextStatus)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Invalid status. Must be one of: ${Leave.LEAVE_STATUSES.join(', ')}`
+    };
+  }
+
+  const allowed = Leave.LEAVE_STATUS_TRANSITIONS[leave.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Cannot change leave status from ${leave.status} to ${nextStatus}`
+    };
+  }
+
+  const isManager = User.isManagerRole(user.role);
+  const isOwner = leave.engineerId.toString() === user.userId;
+  if (nextStatus === 'cancelled' ? !(isManager || isOwner) : !isManager) {
+    return { ok: false, status: 403, message: 'Forbidden: Access denied' };
+  }
+
+  return { ok: true };
+};
+
+module.exports = {
+  findTimeOff,
+  checkLeaveOverlap,
+  checkLeaveStatusChange
+};
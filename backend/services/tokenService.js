@@ -0,0 +1,21 @@
+// tokenService.js
+const crypto = require('crypto');
+
+/**
+ * Generate a random secret for a one-time or long-lived token
+ * @param {number} [bytes] - Random bytes (the secret is twice as many hex characters)
+ * @returns {string} Random hex string
+ */
+const generateSecret = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a token secret for storage; only the hash is kept in the database
+ * @param {string} secret - Token secret
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+module.exports = {
+  generateSecret,
+  hashToken
+};
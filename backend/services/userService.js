@@ -0,0 +1,90 @@
+// userService.js
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { canonicalizeSkills } = require('./skillTaxonomyService');
+
+/**
+ * Check a new password against the password rules
+ * @param {string} password - Password chosen by the user
+ * @returns {Object} { ok: true } or { ok: false, status, message }
+ */
+const checkPassword = (password) => {
+  if (typeof password !== 'string' || password.length < User.MIN_PASSWORD_LENGTH) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Password must be at least ${User.MIN_PASSWORD_LENGTH} characters`
+    };
+  }
+  return { ok: true };
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Build the role-specific profile fields of a new user.
+ * Engineers get skills, seniority, capacity and department; managers and
+ * admins only a department
+ * @param {string} role - Role of the new user
+ * @param {Object} fields - { skills, seniority, maxCapacity, department }
+ * @returns {Promise<Object>} { ok: true, profile } or { ok: false, status, message }
+ */
+const buildUserProfile = async (role, { skills, seniority, maxCapacity, department } = {}) => {
+  if (!User.USER_ROLES.includes(role)) {
+    return { ok: false, status: 400, message: `Invalid role. Must be one of: ${User.USER_ROLES.join(', ')}` };
+  }
+
+  const profile = {
+    role,
+    department: department ? String(department).trim() : undefined
+  };
+
+  if (role !== 'engineer') {
+    return { ok: true, profile: { ...profile, skills: [], seniority: undefined, maxCapacity: undefined } };
+  }
+
+  // maxCapacity: default 100, or accept provided if valid 1-100
+  profile.maxCapacity = 100;
+  if (maxCapacity !== undefined && maxCapacity !== '') {
+    const capNum = Number(maxCapacity);
+    if (isNaN(capNum) || capNum < 1 || capNum > 100) {
+      return { ok: false, status: 400, message: 'maxCapacity must be a number between 1 and 100' };
+    }
+    profile.maxCapacity = capNum;
+  }
+  profile.seniority = ['junior', 'mid', 'senior'].includes(seniority) ? seniority : 'mid';
+  profile.skills = await canonicalizeSkills(User.normalizeSkills(skills));
+
+  return { ok: true, profile };
+};
+
+/**
+ * User fields returned after signing in (no secrets)
+ * @param {Object} user - User document
+ * @returns {Object} Public user fields
+ */
+const toUserResponse = (user) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  skills: user.skills,
+  seniority: user.seniority,
+  maxCapacity: user.maxCapacity,
+  department: user.department
+});
+
+module.exports = {
+  checkPassword,
+  hashPassword,
+  buildUserProfile,
+  toUserResponse
+};
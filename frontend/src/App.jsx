@@ -4,18 +4,31 @@ import { Routes, Route, Navigate } from 'react-router-dom'
 import { useContext } from 'react'
 import { AuthContext } from './context/AuthContext'
 import ProtectedRoute from './components/ProtectedRoute'
+import { isManagerRole } from './utils/roleUtils'
 import LoadingSpinner from './components/LoadingSpinner'
 
 // Pages
 import LoginPage from './pages/LoginPage'
+import AcceptInvitePage from './pages/AcceptInvitePage'
+import ForgotPasswordPage from './pages/ForgotPasswordPage'
+import ResetPasswordPage from './pages/ResetPasswordPage'
 import ManagerDashboard from './pages/ManagerDashboard'
 import EngineerDashboard from './pages/EngineerDashboard'
 import TeamOverviewPage from './pages/TeamOverviewPage'
+import ProjectsListPage from './pages/ProjectsListPage'
+import ProjectDetailPage from './pages/ProjectDetailPage'
 import ProjectFormPage from './pages/ProjectFormPage'
+import AssignmentListPage from './pages/AssignmentListPage'
 import AssignmentFormPage from './pages/AssignmentFormPage'
+import AssignmentDetailPage from './pages/AssignmentDetailPage'
+import AssignmentEditPage from './pages/AssignmentEditPage'
+import AssignmentImportPage from './pages/AssignmentImportPage'
 import MyAssignmentsPage from './pages/MyAssignmentsPage'
 import ProfilePage from './pages/ProfilePage'
 import AnalyticsPage from './pages/AnalyticsPage'
+import LeavePage from './pages/LeavePage'
+import UsersPage from './pages/UsersPage'
+import AccountPage from './pages/AccountPage'
 import Layout from './components/Layout'
 
 /**
@@ -36,21 +49,33 @@ const AppRoutes = () => {
 
   return (
     <Routes>
-      {/* Public Route */}
+      {/* Public Routes */}
       <Route path="/login" element={<LoginPage />} />
+      <Route path="/accept-invite" element={<AcceptInvitePage />} />
+      <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+      <Route path="/reset-password" element={<ResetPasswordPage />} />
       
       {/* Protected Dashboard Routes */}
       <Route path="/dashboard" element={<ProtectedRoute />}>
         <Route element={<Layout />}>
           {/* Manager Routes */}
-          {user?.role === 'manager' && (
+          {isManagerRole(user?.role) && (
             <>
               <Route index element={<ManagerDashboard />} />
               <Route path="team" element={<TeamOverviewPage />} />
+              <Route path="projects" element={<ProjectsListPage />} />
               <Route path="projects/new" element={<ProjectFormPage />} />
+              <Route path="projects/:id" element={<ProjectDetailPage />} />
               <Route path="projects/:id/edit" element={<ProjectFormPage />} />
+              <Route path="assignments" element={<AssignmentListPage />} />
               <Route path="assignments/new" element={<AssignmentFormPage />} />
+              <Route path="assignments/import" element={<AssignmentImportPage />} />
+              <Route path="assignments/:id" element={<AssignmentDetailPage />} />
+              <Route path="assignments/:id/edit" element={<AssignmentEditPage />} />
               <Route path="analytics" element={<AnalyticsPage />} />
+              <Route path="leave" element={<LeavePage />} />
+              <Route path="users" element={<UsersPage />} />
+              <Route path="account" element={<AccountPage />} />
             </>
           )}
           
@@ -59,6 +84,9 @@ const AppRoutes = () => {
             <>
               <Route index element={<EngineerDashboard />} />
               <Route path="assignments" element={<MyAssignmentsPage />} />
+              <Route path="assignments/:id" element={<AssignmentDetailPage />} />
+              <Route path="projects" element={<ProjectsListPage />} />
+              <Route path="projects/:id" element={<ProjectDetailPage />} />
               <Route path="profile" element={<ProfilePage />} />
             </>
           )}
@@ -9,6 +9,49 @@ const axiosClient = axios.create({
   },
 })
 
+/**
+ * Store the access and refresh tokens after login or a refresh
+ */
+export const setAuthTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token)
+  localStorage.setItem('refreshToken', refreshToken)
+}
+
+/**
+ * Remove both tokens (logout or an expired session)
+ */
+export const clearAuthTokens = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+}
+
+// Requests that must not trigger a refresh when they return 401
+const AUTH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout']
+
+// The refresh in flight, shared by every request that fails meanwhile
+let refreshPromise = null
+
+/**
+ * Exchange the stored refresh token for new tokens
+ * Uses plain axios so a failed refresh doesn't loop through the interceptor
+ */
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken')
+  if (!refreshToken) {
+    throw new Error('No refresh token')
+  }
+
+  try {
+    const response = await axios.post(`${axiosClient.defaults.baseURL}/auth/refresh`, { refreshToken })
+    setAuthTokens(response.data.token, response.data.refreshToken)
+  } catch (error) {
+    // Another tab may have refreshed with the same token first
+    if (localStorage.getItem('refreshToken') === refreshToken) {
+      throw error
+    }
+  }
+}
+
 // Request interceptor to attach JWT token to every request
 axiosClient.interceptors.request.use(
   (config) => {
@@ -23,17 +66,33 @@ axiosClient.interceptors.request.use(
   }
 )
 
-// Response interceptor to handle 401 errors (unauthorized)
+// Response interceptor: on 401, refresh the access token once and retry;
+// only when that fails is the user sent back to login
 axiosClient.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // Clear token and redirect to login on unauthorized
-      localStorage.removeItem('token')
-      window.location.href = '/login'
+  async (error) => {
+    const { config, response } = error
+    if (!response || response.status !== 401 || !config || AUTH_URLS.includes(config.url)) {
+      return Promise.reject(error)
     }
+
+    if (!config._retried) {
+      config._retried = true
+      try {
+        refreshPromise = refreshPromise || refreshTokens().finally(() => {
+          refreshPromise = null
+        })
+        await refreshPromise
+        return axiosClient(config)
+      } catch {
+        // Fall through to sign out
+      }
+    }
+
+    clearAuthTokens()
+    window.location.href = '/login'
     return Promise.reject(error)
   }
 )
 
-export default axiosClient
\ No newline at end of file
+export default axiosClient
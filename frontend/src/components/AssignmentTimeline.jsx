@@ -4,9 +4,11 @@ import { parseISO, differenceInDays, format } from 'date-fns'
 
 /**
  * AssignmentTimeline: Visual timeline showing assignment periods
+ * Leave and holidays are shaded as days with no capacity.
  * @param {array} assignments - Array of assignment objects with startDate, endDate, project info
+ * @param {array} timeOff - Optional time off ({ kind, name, startDate, endDate }) within the assignments' dates
  */
-const AssignmentTimeline = ({ assignments }) => {
+const AssignmentTimeline = ({ assignments, timeOff = [] }) => {
   if (!assignments || assignments.length === 0) {
     return (
       <div className="p-4 text-center text-gray-500 border-2 border-dashed border-gray-300 rounded-lg">
@@ -24,6 +26,15 @@ const AssignmentTimeline = ({ assignments }) => {
   const maxDate = new Date(Math.max(...dates.map(d => d.getTime())))
   const totalDays = Math.max(differenceInDays(maxDate, minDate), 1)
 
+  // Time off clipped to the timeline
+  const visibleTimeOff = timeOff
+    .map(entry => ({
+      ...entry,
+      start: new Date(Math.max(parseISO(entry.startDate).getTime(), minDate.getTime())),
+      end: new Date(Math.min(parseISO(entry.endDate).getTime(), maxDate.getTime()))
+    }))
+    .filter(entry => entry.end >= entry.start)
+
   // Generate unique colors for different projects
   const colors = [
     'bg-blue-500', 'bg-green-500', 'bg-purple-500', 'bg-orange-500', 
@@ -44,6 +55,21 @@ const AssignmentTimeline = ({ assignments }) => {
       {/* Timeline container */}
       <div className="relative bg-gray-50 rounded-lg p-4 overflow-x-auto">
         <div className="relative h-20 min-w-full">
+          {/* Days off, behind the assignment bars */}
+          {visibleTimeOff.map((entry, index) => {
+            const leftPercent = (differenceInDays(entry.start, minDate) / totalDays) * 100
+            const widthPercent = ((differenceInDays(entry.end, entry.start) + 1) / totalDays) * 100
+
+            return (
+              <div
+                key={`off-${index}`}
+                className="absolute inset-y-0 bg-gray-300/70 rounded-sm"
+                style={{ left: `${leftPercent}%`, width: `${Math.max(widthPercent, 0.5)}%` }}
+                title={`${entry.name} (no capacity)\n${format(entry.start, 'MMM d, yyyy')} - ${format(entry.end, 'MMM d, yyyy')}`}
+              />
+            )
+          })}
+
           {assignments.map((assignment, index) => {
             const start = parseISO(assignment.startDate)
             const end = parseISO(assignment.endDate)
@@ -88,6 +114,12 @@ const AssignmentTimeline = ({ assignments }) => {
       <div className="mt-4">
         <h5 className="text-sm font-medium text-gray-700 mb-2">Projects:</h5>
         <div className="flex flex-wrap gap-2">
+          {visibleTimeOff.length > 0 && (
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-4 bg-gray-300 rounded"></div>
+              <span className="text-sm text-gray-700">Leave / holiday</span>
+            </div>
+          )}
           {Object.entries(projectColors).map(([projectId, color]) => {
             const assignment = assignments.find(a => 
               (a.projectId?._id || a.projectId) === projectId
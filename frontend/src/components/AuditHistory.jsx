@@ -0,0 +1,104 @@
+// src/components/AuditHistory.jsx
+import React from 'react'
+import useFetch from '../hooks/useFetch'
+import { formatDate } from '../utils/dateUtils'
+import { getSkillName } from '../utils/skillUtils'
+import { formatCapacityPeriod } from '../utils/capacityUtils'
+import LoadingSpinner from './LoadingSpinner'
+import ErrorAlert from './ErrorAlert'
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'updated',
+  'status-change': 'changed the status of',
+  delete: 'archived',
+  restore: 'restored',
+  lock: 'locked sign-in to',
+  unlock: 'unlocked sign-in to'
+}
+
+const FIELD_LABELS = {
+  engineerId: 'Engineer',
+  projectId: 'Project',
+  managerId: 'Manager',
+  allocationPercentage: 'Allocation',
+  startDate: 'Start date',
+  endDate: 'End date',
+  requiredSkills: 'Required skills',
+  teamSize: 'Team size',
+  maxCapacity: 'Max capacity',
+  capacityPeriods: 'Capacity periods',
+  declineReason: 'Decline reason',
+  reviewNote: 'Review note',
+  lockedUntil: 'Locked until'
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/
+
+/**
+ * Format a stored before/after value for display
+ * @param {string} field - Field name
+ * @param {*} value - JSON value from the audit event
+ * @returns {string} Display text
+ */
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) {
+    if (value.length === 0) return 'none'
+    if (field === 'capacityPeriods') return value.map(formatCapacityPeriod).join('; ')
+    return value.map(item => {
+      const level = item.level || item.minLevel
+      return level ? `${getSkillName(item)} (${level})` : getSkillName(item)
+    }).join(', ')
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) return formatDate(value)
+  if (field.endsWith('Id')) return `#${String(value).slice(-6)}`
+  if (field === 'allocationPercentage' || field === 'maxCapacity') return `${value}%`
+  return String(value)
+}
+
+/**
+ * AuditHistory: Lists audit events (who changed what, and when)
+ * @param {string} url - API endpoint returning audit events
+ */
+const AuditHistory = ({ url }) => {
+  const { data: events, loading, error } = useFetch(url)
+
+  if (loading) return <LoadingSpinner />
+  if (error) return <ErrorAlert message={error} />
+  if (!events || events.length === 0) {
+    return <p className="text-gray-500 text-center py-8">No changes recorded yet</p>
+  }
+
+  return (
+    <ol className="space-y-4">
+      {events.map(event => (
+        <li key={event._id} className="border rounded-lg p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm">
+              <span className="font-medium">
+                {event.actorId?.name || (event.action === 'lock' ? 'System' : 'Unknown user')}
+              </span>{' '}
+              {ACTION_LABELS[event.action] || event.action} the {event.entity}
+            </p>
+            <span className="text-xs text-gray-500">{formatDate(event.timestamp, 'MMM d, yyyy HH:mm')}</span>
+          </div>
+          {event.action !== 'delete' && event.changes?.length > 0 && (
+            <ul className="mt-2 space-y-1 text-sm text-gray-600">
+              {event.changes.map(change => (
+                <li key={change.field}>
+                  <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                  {event.action === 'create'
+                    ? formatValue(change.field, change.after)
+                    : `${formatValue(change.field, change.before)} → ${formatValue(change.field, change.after)}`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default AuditHistory
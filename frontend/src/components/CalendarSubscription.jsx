@@ -0,0 +1,120 @@
+// src/components/CalendarSubscription.jsx
+import React, { useState } from 'react'
+import axiosClient from '../api/axiosClient'
+import useFetch from '../hooks/useFetch'
+import { formatDate } from '../utils/dateUtils'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import LoadingSpinner from './LoadingSpinner'
+import ErrorAlert from './ErrorAlert'
+
+/**
+ * Build the feed URL for a calendar token
+ * @param {string} userId - Owner of the feed
+ * @param {string} token - Calendar token
+ * @returns {string} Absolute https (or http) URL of the .ics feed
+ */
+const buildFeedUrl = (userId, token) => {
+  const base = new URL(axiosClient.defaults.baseURL, window.location.origin).href.replace(/\/$/, '')
+  return `${base}/engineers/${userId}/assignments.ics?token=${token}`
+}
+
+/**
+ * CalendarSubscription: Subscribe link for a user's assignments calendar feed
+ * The server only returns the token when it's generated, so the link is shown
+ * once. Generating a new one breaks every existing subscription, so it asks first.
+ * @param {string} userId - User whose feed is shown
+ */
+const CalendarSubscription = ({ userId }) => {
+  const { data, loading, error } = useFetch(userId ? `/engineers/${userId}/calendar-token` : null)
+  const [token, setToken] = useState(null)
+  const [rotating, setRotating] = useState(false)
+  const [rotateError, setRotateError] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  const hasLink = Boolean(token || data?.createdAt)
+
+  const handleRotate = async () => {
+    if (hasLink && !window.confirm('Existing calendar subscriptions will stop updating. Generate a new link?')) {
+      return
+    }
+
+    setRotating(true)
+    setRotateError(null)
+    try {
+      const response = await axiosClient.post(`/engineers/${userId}/calendar-token/rotate`)
+      setToken(response.data.token)
+      setCopied(false)
+    } catch (err) {
+      setRotateError(err.response?.data?.message || 'Failed to generate a new link')
+    } finally {
+      setRotating(false)
+    }
+  }
+
+  const handleCopy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url)
+      setCopied(true)
+    } catch (err) {
+      console.error('Copy failed:', err)
+    }
+  }
+
+  if (loading) return <LoadingSpinner />
+  if (error) return <ErrorAlert message={error} />
+
+  const rotateButton = (
+    <Button type="button" variant={hasLink ? 'outline' : 'default'} onClick={handleRotate} disabled={rotating}>
+      {rotating ? 'Generating...' : hasLink ? 'Generate New Link' : 'Generate Link'}
+    </Button>
+  )
+
+  if (!token) {
+    return (
+      <div className="space-y-4">
+        {rotateError && <ErrorAlert message={rotateError} />}
+
+        <p className="text-sm text-gray-600">
+          Add your assignments to Google Calendar, Outlook or Apple Calendar.{' '}
+          {data?.createdAt
+            ? `Your link was created on ${formatDate(data.createdAt)} and is only shown once; generate a new one if you need it again. Calendars subscribed with the old link will stop updating.`
+            : 'Generate a link to subscribe.'}
+        </p>
+
+        {rotateButton}
+      </div>
+    )
+  }
+
+  const feedUrl = buildFeedUrl(userId, token)
+  const webcalUrl = feedUrl.replace(/^https?:/, 'webcal:')
+
+  return (
+    <div className="space-y-4">
+      {rotateError && <ErrorAlert message={rotateError} />}
+
+      <p className="text-sm text-gray-600">
+        Add your assignments to Google Calendar, Outlook or Apple Calendar. The calendar
+        updates as your assignments change. Keep this link private: anyone with it can see
+        your assignments. Copy it now: it won't be shown again.
+      </p>
+
+      <div className="flex gap-2">
+        <Input value={feedUrl} readOnly className="bg-gray-50" onFocus={(e) => e.target.select()} />
+        <Button type="button" variant="outline" onClick={() => handleCopy(feedUrl)}>
+          {copied ? 'Copied' : 'Copy'}
+        </Button>
+      </div>
+
+      <div className="flex gap-2">
+        <a href={webcalUrl}>
+          <Button type="button">Subscribe</Button>
+        </a>
+        {rotateButton}
+      </div>
+    </div>
+  )
+}
+
+export default CalendarSubscription
@@ -0,0 +1,159 @@
+// src/components/CapacityEditor.jsx
+import React, { useState, useEffect } from 'react'
+import axiosClient from '../api/axiosClient'
+import { formatDateForInput } from '../utils/dateUtils'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter
+} from '@/components/ui/dialog'
+import ErrorAlert from './ErrorAlert'
+
+const toFormPeriod = (period) => ({
+  startDate: formatDateForInput(period.startDate),
+  endDate: period.endDate ? formatDateForInput(period.endDate) : '',
+  capacity: period.capacity
+})
+
+/**
+ * CapacityEditor: Dialog for a manager to set an engineer's capacity
+ * The default capacity applies on days no dated period covers.
+ * @param {Object} engineer - Engineer being edited (null keeps the dialog closed)
+ * @param {Function} onClose - Called when the dialog closes
+ * @param {Function} onSaved - Called with the updated engineer
+ */
+const CapacityEditor = ({ engineer, onClose, onSaved }) => {
+  const [maxCapacity, setMaxCapacity] = useState(100)
+  const [periods, setPeriods] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Load the engineer's current capacity each time the dialog opens
+  useEffect(() => {
+    if (!engineer) return
+    setMaxCapacity(engineer.maxCapacity || 100)
+    setPeriods((engineer.capacityPeriods || []).map(toFormPeriod))
+    setError(null)
+  }, [engineer])
+
+  const updatePeriod = (index, changes) => {
+    setPeriods(periods.map((period, i) => i === index ? { ...period, ...changes } : period))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const response = await axiosClient.put(`/engineers/${engineer._id}/capacity`, {
+        maxCapacity: Number(maxCapacity),
+        capacityPeriods: periods.map(period => ({
+          startDate: period.startDate,
+          endDate: period.endDate || null,
+          capacity: Number(period.capacity)
+        }))
+      })
+      onSaved?.(response.data.engineer)
+      onClose()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update capacity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={!!engineer} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Capacity: {engineer?.name}</DialogTitle>
+          <DialogDescription>
+            Add dated periods for changes such as part-time until a date. Leave the end date
+            empty for a period with no end.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && <ErrorAlert message={error} />}
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="default-capacity">Default capacity (%)</Label>
+            <Input
+              id="default-capacity"
+              type="number"
+              min="1"
+              max="100"
+              value={maxCapacity}
+              onChange={(e) => setMaxCapacity(e.target.value)}
+            />
+          </div>
+
+          {periods.length > 0 && (
+            <div className="space-y-2">
+              <div className="grid grid-cols-[1fr_1fr_6rem_auto] gap-2 text-xs font-medium text-gray-600">
+                <span>From</span>
+                <span>To</span>
+                <span>Capacity %</span>
+                <span />
+              </div>
+              {periods.map((period, index) => (
+                <div key={index} className="grid grid-cols-[1fr_1fr_6rem_auto] gap-2 items-center">
+                  <Input
+                    type="date"
+                    value={period.startDate}
+                    onChange={(e) => updatePeriod(index, { startDate: e.target.value })}
+                  />
+                  <Input
+                    type="date"
+                    value={period.endDate}
+                    min={period.startDate || undefined}
+                    onChange={(e) => updatePeriod(index, { endDate: e.target.value })}
+                  />
+                  <Input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={period.capacity}
+                    onChange={(e) => updatePeriod(index, { capacity: e.target.value })}
+                  />
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setPeriods(periods.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => setPeriods([...periods, { startDate: '', endDate: '', capacity: 50 }])}
+          >
+            Add Period
+          </Button>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving || periods.some(period => !period.startDate)}>
+            {saving ? 'Saving...' : 'Save Capacity'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default CapacityEditor
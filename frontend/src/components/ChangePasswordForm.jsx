@@ -0,0 +1,106 @@
+// src/components/ChangePasswordForm.jsx
+import React, { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import axiosClient from '../api/axiosClient'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import ErrorAlert from './ErrorAlert'
+
+/**
+ * ChangePasswordForm: Change the signed-in user's password
+ * Other devices are signed out by the server once it's changed.
+ * @param {Function} onChanged - Called after the password is changed
+ */
+const ChangePasswordForm = ({ onChanged }) => {
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [success, setSuccess] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    getValues,
+    reset,
+    formState: { errors }
+  } = useForm()
+
+  const onSubmit = async (data) => {
+    setSaving(true)
+    setError(null)
+    setSuccess(null)
+    try {
+      const response = await axiosClient.post('/auth/change-password', {
+        currentPassword: data.currentPassword,
+        newPassword: data.newPassword
+      })
+      setSuccess(response.data.message)
+      reset()
+      onChanged?.()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change password')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4 max-w-md">
+      {error && <ErrorAlert message={error} />}
+      {success && <p className="text-sm text-green-700">{success}</p>}
+
+      <div className="space-y-2">
+        <Label htmlFor="currentPassword">Current password</Label>
+        <Input
+          id="currentPassword"
+          type="password"
+          {...register('currentPassword', { required: 'Current password is required' })}
+          className={errors.currentPassword ? 'border-red-500' : ''}
+        />
+        {errors.currentPassword && (
+          <p className="text-sm text-red-600">{errors.currentPassword.message}</p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="newPassword">New password</Label>
+        <Input
+          id="newPassword"
+          type="password"
+          {...register('newPassword', {
+            required: 'New password is required',
+            minLength: {
+              value: 8,
+              message: 'Password must be at least 8 characters'
+            }
+          })}
+          className={errors.newPassword ? 'border-red-500' : ''}
+        />
+        {errors.newPassword && (
+          <p className="text-sm text-red-600">{errors.newPassword.message}</p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="confirmNewPassword">Confirm new password</Label>
+        <Input
+          id="confirmNewPassword"
+          type="password"
+          {...register('confirmNewPassword', {
+            validate: (value) => value === getValues('newPassword') || 'Passwords do not match'
+          })}
+          className={errors.confirmNewPassword ? 'border-red-500' : ''}
+        />
+        {errors.confirmNewPassword && (
+          <p className="text-sm text-red-600">{errors.confirmNewPassword.message}</p>
+        )}
+      </div>
+
+      <Button type="submit" disabled={saving}>
+        {saving ? 'Saving...' : 'Change Password'}
+      </Button>
+    </form>
+  )
+}
+
+export default ChangePasswordForm
@@ -0,0 +1,73 @@
+// src/components/ExportButton.jsx
+import React, { useState } from 'react'
+import { Download } from 'lucide-react'
+import axiosClient from '../api/axiosClient'
+import { Button } from '@/components/ui/button'
+import {
+  DropdownMenu,
+  DropdownMenuTrigger,
+  DropdownMenuContent,
+  DropdownMenuItem
+} from '@/components/ui/dropdown-menu'
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' }
+]
+
+/**
+ * ExportButton: Downloads an export as CSV or XLSX
+ * @param {string} path - Export endpoint, e.g. '/export/assignments'
+ * @param {Object} params - Filters passed as query params (empty values are skipped)
+ * @param {string} name - Base name of the downloaded file
+ * @param {Function} onError - Called with a message if the download fails
+ */
+const ExportButton = ({ path, params = {}, name, onError }) => {
+  const [exporting, setExporting] = useState(false)
+
+  const handleExport = async (format) => {
+    setExporting(true)
+    try {
+      const query = new URLSearchParams({ format })
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.append(key, value)
+      })
+      const response = await axiosClient.get(`${path}?${query.toString()}`, { responseType: 'blob' })
+
+      // Save the file through a temporary link
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('Export failed:', err)
+      onError?.('Failed to export data')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" disabled={exporting}>
+          <Download className="h-4 w-4" />
+          {exporting ? 'Exporting...' : 'Export'}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {FORMATS.map(format => (
+          <DropdownMenuItem key={format.value} onSelect={() => handleExport(format.value)}>
+            {format.label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+export default ExportButton
@@ -2,6 +2,7 @@
 import React, { useContext } from 'react'
 import { Outlet, Link, useLocation } from 'react-router-dom'
 import { AuthContext } from '../context/AuthContext'
+import { isManagerRole, ROLE_LABELS } from '../utils/roleUtils'
 import { Button } from '@/components/ui/button'
 import { Card } from '@/components/ui/card'
 
@@ -15,18 +16,22 @@ const Layout = () => {
 
   // Navigation items based on user role
   const getNavItems = () => {
-    if (user?.role === 'manager') {
+    if (isManagerRole(user?.role)) {
       return [
         { path: '/dashboard', label: 'Dashboard' },
         { path: '/dashboard/team', label: 'Team Overview' },
-        { path: '/dashboard/projects/new', label: 'New Project' },
-        { path: '/dashboard/assignments/new', label: 'New Assignment' },
-        { path: '/dashboard/analytics', label: 'Analytics' }
+        { path: '/dashboard/projects', label: 'Projects' },
+        { path: '/dashboard/assignments', label: 'Assignments' },
+        { path: '/dashboard/leave', label: 'Leave' },
+        { path: '/dashboard/analytics', label: 'Analytics' },
+        { path: '/dashboard/users', label: 'Users' },
+        { path: '/dashboard/account', label: 'Account' }
       ]
     } else if (user?.role === 'engineer') {
       return [
         { path: '/dashboard', label: 'Dashboard' },
         { path: '/dashboard/assignments', label: 'My Assignments' },
+        { path: '/dashboard/projects', label: 'My Projects' },
         { path: '/dashboard/profile', label: 'Profile' }
       ]
     }
@@ -35,6 +40,11 @@ const Layout = () => {
 
   const navItems = getNavItems()
 
+  // Sections stay highlighted on their detail and edit pages
+  const isActive = (path) => path === '/dashboard'
+    ? location.pathname === path
+    : location.pathname === path || location.pathname.startsWith(`${path}/`)
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -54,7 +64,7 @@ const Layout = () => {
                 Welcome, <span className="font-medium">{user?.name}</span>
               </span>
               <span className="px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded-full">
-                {user?.role?.charAt(0).toUpperCase() + user?.role?.slice(1)}
+                {ROLE_LABELS[user?.role] || user?.role}
               </span>
               <Button 
                 variant="outline" 
@@ -78,7 +88,7 @@ const Layout = () => {
                 key={item.path}
                 to={item.path}
                 className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
-                  location.pathname === item.path
+                  isActive(item.path)
                     ? 'border-blue-500 text-blue-600'
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                 }`}
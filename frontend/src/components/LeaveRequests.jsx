@@ -0,0 +1,173 @@
+// src/components/LeaveRequests.jsx
+import React, { useState } from 'react'
+import axiosClient from '../api/axiosClient'
+import useFetch from '../hooks/useFetch'
+import { formatDate } from '../utils/dateUtils'
+import { LEAVE_TYPE_LABELS, LEAVE_STATUS_LABELS, getLeaveStatusVariant } from '../utils/leaveUtils'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Badge } from '@/components/ui/badge'
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '@/components/ui/select'
+import LoadingSpinner from './LoadingSpinner'
+import ErrorAlert from './ErrorAlert'
+
+const EMPTY_REQUEST = { type: 'vacation', startDate: '', endDate: '', reason: '' }
+
+/**
+ * LeaveRequests: Request leave and follow up on the engineer's own requests
+ * Pending and approved leave can be cancelled.
+ * @param {string} engineerId - Engineer whose leave is shown
+ * @param {Function} onChange - Called after leave is requested or cancelled
+ */
+const LeaveRequests = ({ engineerId, onChange }) => {
+  const { data: leave, loading, error, refetch } = useFetch(
+    engineerId ? `/leave?engineerId=${engineerId}` : null,
+    [engineerId]
+  )
+  const [request, setRequest] = useState(EMPTY_REQUEST)
+  const [submitting, setSubmitting] = useState(false)
+  const [actionError, setActionError] = useState(null)
+  const [cancellingId, setCancellingId] = useState(null)
+
+  const updateRequest = (changes) => setRequest({ ...request, ...changes })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setActionError(null)
+    try {
+      await axiosClient.post('/leave', {
+        ...request,
+        reason: request.reason || undefined
+      })
+      setRequest(EMPTY_REQUEST)
+      refetch()
+      onChange?.()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to request leave')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleCancel = async (leaveId) => {
+    if (!window.confirm('Cancel this leave?')) {
+      return
+    }
+
+    setCancellingId(leaveId)
+    setActionError(null)
+    try {
+      await axiosClient.patch(`/leave/${leaveId}/status`, { status: 'cancelled' })
+      refetch()
+      onChange?.()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to cancel leave')
+    } finally {
+      setCancellingId(null)
+    }
+  }
+
+  // Past leave and closed requests aren't worth listing
+  const today = new Date().setHours(0, 0, 0, 0)
+  const upcoming = (leave || []).filter(entry =>
+    new Date(entry.endDate) >= today && entry.status !== 'cancelled'
+  )
+
+  return (
+    <div className="space-y-6">
+      {actionError && <ErrorAlert message={actionError} />}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div className="space-y-2">
+          <Label>Type</Label>
+          <Select value={request.type} onValueChange={(type) => updateRequest({ type })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(LEAVE_TYPE_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="leave-start">From</Label>
+          <Input
+            id="leave-start"
+            type="date"
+            value={request.startDate}
+            onChange={(e) => updateRequest({ startDate: e.target.value })}
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="leave-end">To</Label>
+          <Input
+            id="leave-end"
+            type="date"
+            value={request.endDate}
+            min={request.startDate || undefined}
+            onChange={(e) => updateRequest({ endDate: e.target.value })}
+            required
+          />
+        </div>
+        <Button type="submit" disabled={submitting}>
+          {submitting ? 'Requesting...' : 'Request Leave'}
+        </Button>
+        <div className="md:col-span-4 space-y-2">
+          <Label htmlFor="leave-reason">Reason (optional)</Label>
+          <Textarea
+            id="leave-reason"
+            value={request.reason}
+            onChange={(e) => updateRequest({ reason: e.target.value })}
+            rows={2}
+          />
+        </div>
+      </form>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : error ? (
+        <ErrorAlert message={error} />
+      ) : upcoming.length === 0 ? (
+        <p className="text-sm text-gray-500">No upcoming leave.</p>
+      ) : (
+        <div className="space-y-3">
+          {upcoming.map(entry => (
+            <div key={entry._id} className="flex items-center justify-between p-3 border rounded-lg">
+              <div>
+                <p className="font-medium">
+                  {LEAVE_TYPE_LABELS[entry.type] || entry.type}: {formatDate(entry.startDate)} - {formatDate(entry.endDate)}
+                </p>
+                {entry.reviewNote && (
+                  <p className="text-sm text-gray-600">Note: {entry.reviewNote}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <Badge variant={getLeaveStatusVariant(entry.status)}>
+                  {LEAVE_STATUS_LABELS[entry.status] || entry.status}
+                </Badge>
+                {['pending', 'approved'].includes(entry.status) && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleCancel(entry._id)}
+                    disabled={cancellingId === entry._id}
+                  >
+                    {cancellingId === entry._id ? 'Cancelling...' : 'Cancel'}
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LeaveRequests
@@ -0,0 +1,101 @@
+// src/components/ReflowPreview.jsx
+import React from 'react'
+import { formatDate } from '../utils/dateUtils'
+import { ASSIGNMENT_STATUS_LABELS, REFLOW_MODES } from '../utils/assignmentUtils'
+import { Button } from '@/components/ui/button'
+
+/**
+ * ReflowPreview: Shows how assignments would move with new project dates
+ * @param {Object} preview - Preview response ({ mode, startDate, endDate, changes, untouched, conflicts })
+ * @param {Function} onApply - Called to commit the changes
+ * @param {Function} onBack - Called to go back to editing
+ * @param {boolean} applying - Whether the changes are being saved
+ */
+const ReflowPreview = ({ preview, onApply, onBack, applying }) => {
+  const mode = REFLOW_MODES.find(option => option.value === preview.mode)
+  const hasConflicts = preview.conflicts.length > 0
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        New project dates: {formatDate(preview.startDate)} - {formatDate(preview.endDate)}
+        {mode && ` · ${mode.label}: ${mode.description.toLowerCase()}`}
+      </p>
+
+      {/* Conflicts */}
+      {hasConflicts && (
+        <div className="space-y-2">
+          <h3 className="font-medium text-red-600">Conflicts</h3>
+          {preview.conflicts.map((conflict, index) => (
+            <div key={index} className="border border-red-200 bg-red-50 rounded-md p-3 text-sm">
+              <p className="font-medium">{conflict.engineerName || 'Unknown engineer'}</p>
+              <p className="text-gray-700">{conflict.message}</p>
+              {conflict.ranges?.map((range, rangeIndex) => (
+                <p key={rangeIndex} className="text-gray-600">
+                  {formatDate(range.startDate)} - {formatDate(range.endDate)}: {range.allocated}% allocated
+                </p>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Assignment Changes */}
+      <div className="space-y-2">
+        <h3 className="font-medium">Assignment Changes</h3>
+        {preview.changes.length > 0 ? (
+          <div className="divide-y border rounded-md">
+            {preview.changes.map(change => (
+              <div key={change.assignmentId} className="flex flex-wrap items-center justify-between gap-2 p-3 text-sm">
+                <div>
+                  <p className="font-medium">{change.engineerName || 'Unknown engineer'}</p>
+                  <p className="text-gray-600">
+                    {change.role} · {change.allocationPercentage}% · {ASSIGNMENT_STATUS_LABELS[change.status] || change.status}
+                  </p>
+                </div>
+                <p className="text-gray-700">
+                  <span className="text-gray-500">
+                    {formatDate(change.before.startDate)} - {formatDate(change.before.endDate)}
+                  </span>
+                  {' → '}
+                  {formatDate(change.after.startDate)} - {formatDate(change.after.endDate)}
+                </p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No assignments need to move</p>
+        )}
+      </div>
+
+      {/* Completed assignments keep their dates */}
+      {preview.untouched?.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="font-medium">Unchanged (completed)</h3>
+          <div className="divide-y border rounded-md">
+            {preview.untouched.map(assignment => (
+              <div key={assignment.assignmentId} className="flex flex-wrap items-center justify-between gap-2 p-3 text-sm text-gray-600">
+                <div>
+                  <p className="font-medium text-gray-700">{assignment.engineerName || 'Unknown engineer'}</p>
+                  <p>{assignment.role} · {assignment.allocationPercentage}%</p>
+                </div>
+                <p>{formatDate(assignment.startDate)} - {formatDate(assignment.endDate)}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-4">
+        <Button type="button" onClick={onApply} disabled={applying || hasConflicts}>
+          {applying ? 'Saving...' : 'Apply Changes'}
+        </Button>
+        <Button type="button" variant="outline" onClick={onBack} disabled={applying}>
+          Back to Edit
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default ReflowPreview
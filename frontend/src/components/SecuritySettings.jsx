@@ -0,0 +1,39 @@
+// src/components/SecuritySettings.jsx
+import React, { useState } from 'react'
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
+import ChangePasswordForm from './ChangePasswordForm'
+import SessionList from './SessionList'
+
+/**
+ * SecuritySettings: Password and signed-in devices for the current user
+ * The session list reloads after a password change, which signs out other devices.
+ */
+const SecuritySettings = () => {
+  const [sessionsVersion, setSessionsVersion] = useState(0)
+
+  return (
+    <div className="grid gap-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Password</CardTitle>
+          <p className="text-gray-600">Changing your password signs out your other devices</p>
+        </CardHeader>
+        <CardContent>
+          <ChangePasswordForm onChanged={() => setSessionsVersion(version => version + 1)} />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Sessions</CardTitle>
+          <p className="text-gray-600">Devices signed in to your account</p>
+        </CardHeader>
+        <CardContent>
+          <SessionList key={sessionsVersion} />
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default SecuritySettings
@@ -0,0 +1,100 @@
+// src/components/SessionList.jsx
+import React, { useState } from 'react'
+import axiosClient from '../api/axiosClient'
+import useFetch from '../hooks/useFetch'
+import { formatDate } from '../utils/dateUtils'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import LoadingSpinner from './LoadingSpinner'
+import ErrorAlert from './ErrorAlert'
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+const PLATFORMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+
+/**
+ * Short description of the device a session was started from
+ * @param {string} userAgent - User agent recorded at login
+ * @returns {string} e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1]
+  const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker))?.[1]
+  if (!browser && !platform) return 'Unknown device'
+  return [browser || 'Browser', platform].filter(Boolean).join(' on ')
+}
+
+/**
+ * SessionList: The signed-in user's active sessions
+ * Any session other than the current one can be signed out.
+ */
+const SessionList = () => {
+  const { data: sessions, loading, error, refetch } = useFetch('/auth/sessions')
+  const [revokingId, setRevokingId] = useState(null)
+  const [actionError, setActionError] = useState(null)
+
+  const revoke = async (url, id) => {
+    setRevokingId(id)
+    setActionError(null)
+    try {
+      await axiosClient.delete(url)
+      refetch()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to sign out session')
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleRevokeOthers = () => {
+    if (!window.confirm('Sign out of all other devices?')) {
+      return
+    }
+    revoke('/auth/sessions', 'others')
+  }
+
+  if (loading) return <LoadingSpinner />
+  if (error) return <ErrorAlert message={error} />
+
+  const hasOthers = (sessions || []).some(session => !session.current)
+
+  return (
+    <div className="space-y-4">
+      {actionError && <ErrorAlert message={actionError} />}
+
+      <div className="space-y-3">
+        {(sessions || []).map(session => (
+          <div key={session._id} className="flex items-center justify-between gap-4 p-3 border rounded-lg">
+            <div>
+              <p className="font-medium">
+                {describeDevice(session.userAgent)}
+                {session.current && <Badge variant="secondary" className="ml-2">This device</Badge>}
+              </p>
+              <p className="text-sm text-gray-600">
+                {session.ip && `${session.ip} · `}
+                Signed in {formatDate(session.createdAt)} · Last active {formatDate(session.lastUsedAt, 'MMM d, yyyy HH:mm')}
+              </p>
+            </div>
+            {!session.current && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => revoke(`/auth/sessions/${session._id}`, session._id)}
+                disabled={revokingId === session._id}
+              >
+                {revokingId === session._id ? 'Signing out...' : 'Sign Out'}
+              </Button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {hasOthers && (
+        <Button variant="destructive" onClick={handleRevokeOthers} disabled={revokingId === 'others'}>
+          Sign Out Other Devices
+        </Button>
+      )}
+    </div>
+  )
+}
+
+export default SessionList
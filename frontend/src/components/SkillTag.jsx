@@ -1,13 +1,15 @@
 // src/components/SkillTag.jsx
 import React from 'react'
+import { getSkillLevelLabel } from '../utils/skillUtils'
 
 /**
  * SkillTag: Displays a skill as a styled pill/badge
  * @param {string} skill - Skill name to display
+ * @param {number} level - Optional proficiency level (1-5) shown after the name
  * @param {string} variant - Color variant ('default', 'missing', 'matched')
  * @param {string} className - Additional CSS classes
  */
-const SkillTag = ({ skill, variant = 'default', className = '' }) => {
+const SkillTag = ({ skill, level, variant = 'default', className = '' }) => {
   const getVariantClasses = () => {
     switch (variant) {
       case 'missing':
@@ -22,9 +24,10 @@ const SkillTag = ({ skill, variant = 'default', className = '' }) => {
   return (
     <span 
       className={`inline-block text-sm px-3 py-1 mr-2 mb-2 rounded-full border ${getVariantClasses()} ${className}`}
-      title={skill}
+      title={level ? `${skill} (${getSkillLevelLabel(level)})` : skill}
     >
       {skill}
+      {level ? <span className="ml-1 opacity-70">· {level}</span> : null}
     </span>
   )
 }
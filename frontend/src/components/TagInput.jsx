@@ -3,11 +3,13 @@ import React, { useState, useRef } from 'react'
 import { Input } from '@/components/ui/input'
 import { Badge } from '@/components/ui/badge'
 import { X } from 'lucide-react'
+import { SKILL_LEVELS, getSkillLevelLabel } from '../utils/skillUtils'
 
 /**
  * TagInput: Reusable component for managing tags/skills input
  * Used in ProfilePage and potentially ProjectFormPage for skills management
  * Supports adding tags, removing tags, and suggestions
+ * Pass levels ({ [tag]: 1-5 }) and onLevelChange to edit a proficiency level per tag
  */
 const TagInput = ({ 
   tags = [], 
@@ -15,6 +17,8 @@ const TagInput = ({
   suggestions = [], 
   placeholder = "Add tag...",
   maxTags = null,
+  levels = null,
+  onLevelChange = null,
   className = ""
 }) => {
   const [inputValue, setInputValue] = useState('')
@@ -86,6 +90,20 @@ const TagInput = ({
           {tags.map((tag, index) => (
             <Badge key={index} variant="secondary" className="flex items-center gap-1">
               {tag}
+              {onLevelChange && (
+                <select
+                  value={levels?.[tag] || 3}
+                  onChange={(e) => onLevelChange(tag, Number(e.target.value))}
+                  className="bg-transparent text-xs border-l border-gray-300 pl-1 ml-1 cursor-pointer"
+                  title={`Proficiency: ${getSkillLevelLabel(levels?.[tag] || 3)}`}
+                >
+                  {SKILL_LEVELS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.value} - {option.label}
+                    </option>
+                  ))}
+                </select>
+              )}
               <X 
                 className="h-3 w-3 cursor-pointer hover:text-red-600" 
                 onClick={() => removeTag(tag)}
@@ -1,13 +1,13 @@
 // src/context/AuthContext.jsx
 import React, { createContext, useState, useEffect } from 'react'
-import axiosClient from '../api/axiosClient'
+import axiosClient, { setAuthTokens, clearAuthTokens } from '../api/axiosClient'
 import { useNavigate } from 'react-router-dom'
 
 export const AuthContext = createContext()
 
 /**
  * AuthProvider: Manages authentication state across the application
- * Provides user data, token, login, and logout functions
+ * Provides user data, token, login, invitation and logout functions
  */
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
@@ -20,19 +20,18 @@ export const AuthProvider = ({ children }) => {
     const savedToken = localStorage.getItem('token')
     if (savedToken) {
       setToken(savedToken)
-      axiosClient.defaults.headers.common['Authorization'] = `Bearer ${savedToken}`
-      
-      // Verify token with backend by fetching user profile
+
+      // Verify token with backend by fetching user profile (an expired
+      // access token is refreshed by axiosClient)
       axiosClient.get('/auth/profile')
         .then(res => {
           setUser(res.data)
         })
         .catch(() => {
-          // Invalid token - clear and redirect to login
-          localStorage.removeItem('token')
+          // Invalid session - clear and redirect to login
+          clearAuthTokens()
           setToken(null)
           setUser(null)
-          delete axiosClient.defaults.headers.common['Authorization']
         })
         .finally(() => {
           setLoading(false)
@@ -42,35 +41,50 @@ export const AuthProvider = ({ children }) => {
     }
   }, [])
 
+  /**
+   * Store the tokens from a sign-in response and open the dashboard
+   */
+  const startSession = ({ token: newToken, refreshToken, user: userData }) => {
+    setAuthTokens(newToken, refreshToken)
+    setToken(newToken)
+    setUser(userData)
+    navigate('/dashboard')
+  }
+
   /**
    * Login function - authenticates user and stores token
    */
   const login = async (email, password) => {
-    try {
-      const response = await axiosClient.post('/auth/login', { email, password })
-      const { token: newToken, user: userData } = response.data
-      
-      // Store token and set user state
-      localStorage.setItem('token', newToken)
-      setToken(newToken)
-      axiosClient.defaults.headers.common['Authorization'] = `Bearer ${newToken}`
-      setUser(userData)
-      
-      // Navigate to dashboard
-      navigate('/dashboard')
-    } catch (error) {
-      throw error
-    }
+    const response = await axiosClient.post('/auth/login', { email, password })
+    startSession(response.data)
   }
 
   /**
-   * Logout function - clears user state and redirects to login
+   * Accept an invitation - sets the password and signs the new user in
    */
-  const logout = () => {
-    localStorage.removeItem('token')
+  const acceptInvite = async (inviteToken, password) => {
+    const response = await axiosClient.post('/invitations/accept', { token: inviteToken, password })
+    startSession(response.data)
+  }
+
+  /**
+   * Logout function - revokes the session on the server, clears user state
+   * and redirects to login
+   */
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (refreshToken) {
+      try {
+        await axiosClient.post('/auth/logout', { refreshToken })
+      } catch (error) {
+        // Signing out locally still works if the server can't be reached
+        console.error('Logout failed:', error)
+      }
+    }
+
+    clearAuthTokens()
     setToken(null)
     setUser(null)
-    delete axiosClient.defaults.headers.common['Authorization']
     navigate('/login')
   }
 
@@ -78,6 +92,7 @@ export const AuthProvider = ({ children }) => {
     user,
     token,
     login,
+    acceptInvite,
     logout,
     loading
   }
@@ -0,0 +1,149 @@
+// src/pages/AcceptInvitePage.jsx
+import React, { useState, useContext } from 'react'
+import { useForm } from 'react-hook-form'
+import { Link, useSearchParams } from 'react-router-dom'
+import { AuthContext } from '../context/AuthContext'
+import useFetch from '../hooks/useFetch'
+import { ROLE_LABELS } from '../utils/roleUtils'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Label } from '@/components/ui/label'
+import LoadingSpinner from '../components/LoadingSpinner'
+import ErrorAlert from '../components/ErrorAlert'
+
+/**
+ * AcceptInvitePage: Set a password to activate an invited account
+ * Route: /accept-invite?token=... (public). Signs the user in when done.
+ */
+const AcceptInvitePage = () => {
+  const { acceptInvite } = useContext(AuthContext)
+  const [searchParams] = useSearchParams()
+  const inviteToken = searchParams.get('token')
+  const { data: invitation, loading, error } = useFetch(
+    inviteToken ? `/invitations/token/${inviteToken}` : null,
+    [inviteToken]
+  )
+  const [submitting, setSubmitting] = useState(false)
+  const [submitError, setSubmitError] = useState('')
+
+  const {
+    register,
+    handleSubmit,
+    getValues,
+    formState: { errors }
+  } = useForm()
+
+  const onSubmit = async (data) => {
+    setSubmitting(true)
+    setSubmitError('')
+
+    try {
+      await acceptInvite(inviteToken, data.password)
+    } catch (err) {
+      setSubmitError(err.response?.data?.message || 'Failed to accept invitation')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const renderContent = () => {
+    if (!inviteToken) {
+      return <ErrorAlert message="This invitation link is incomplete" />
+    }
+    if (loading) {
+      return <LoadingSpinner />
+    }
+    if (error) {
+      return (
+        <div className="space-y-4">
+          <ErrorAlert message={error} />
+          <p className="text-sm text-gray-600">Ask the manager who invited you for a new link.</p>
+        </div>
+      )
+    }
+
+    return (
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Welcome, <span className="font-medium">{invitation?.name}</span>. You've been invited
+          as {ROLE_LABELS[invitation?.role] || invitation?.role} with {invitation?.email}.
+        </p>
+
+        <div className="space-y-2">
+          <Label htmlFor="password">Password</Label>
+          <Input
+            id="password"
+            type="password"
+            placeholder="Choose a password"
+            {...register('password', {
+              required: 'Password is required',
+              minLength: {
+                value: 8,
+                message: 'Password must be at least 8 characters'
+              }
+            })}
+            className={errors.password ? 'border-red-500' : ''}
+          />
+          {errors.password && (
+            <p className="text-sm text-red-600">{errors.password.message}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="confirmPassword">Confirm password</Label>
+          <Input
+            id="confirmPassword"
+            type="password"
+            placeholder="Repeat the password"
+            {...register('confirmPassword', {
+              validate: (value) => value === getValues('password') || 'Passwords do not match'
+            })}
+            className={errors.confirmPassword ? 'border-red-500' : ''}
+          />
+          {errors.confirmPassword && (
+            <p className="text-sm text-red-600">{errors.confirmPassword.message}</p>
+          )}
+        </div>
+
+        {submitError && <ErrorAlert message={submitError} />}
+
+        <Button type="submit" className="w-full" disabled={submitting}>
+          {submitting ? (
+            <>
+              <LoadingSpinner size="sm" className="mr-2" />
+              Activating...
+            </>
+          ) : (
+            'Activate Account'
+          )}
+        </Button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <Card>
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl font-bold text-center">
+              Accept your invitation
+            </CardTitle>
+            <CardDescription className="text-center">
+              Engineering Resource Management System
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {renderContent()}
+            <p className="mt-6 text-center text-sm text-gray-600">
+              Already have an account? <Link to="/login" className="text-blue-600 hover:underline">Sign in</Link>
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default AcceptInvitePage
@@ -0,0 +1,20 @@
+// File: src/pages/AccountPage.jsx
+/**
+ * AccountPage: Password and sessions for managers and admins
+ * Route: /dashboard/account (engineers use the Security tab on their profile)
+ */
+import React from 'react'
+import SecuritySettings from '@/components/SecuritySettings'
+
+const AccountPage = () => (
+  <div className="container mx-auto px-4 py-6">
+    <div className="mb-6">
+      <h1 className="text-3xl font-bold">Account</h1>
+      <p className="text-gray-600 mt-2">Manage your password and signed-in devices</p>
+    </div>
+
+    <SecuritySettings />
+  </div>
+)
+
+export default AccountPage
@@ -13,6 +13,8 @@ import {
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
 import SkillTag from '@/components/SkillTag'
+import ExportButton from '@/components/ExportButton'
+import { getSkillName, formatRequirement } from '../utils/skillUtils'
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
   PieChart, Pie, Cell, Legend
@@ -165,7 +167,10 @@ const AnalyticsPage = () => {
         {/* Team Utilization Chart */}
         <Card>
           <CardHeader>
-            <CardTitle>Team Utilization</CardTitle>
+            <div className="flex justify-between items-center">
+              <CardTitle>Team Utilization</CardTitle>
+              <ExportButton path="/export/utilization" name="utilization" onError={setUtilizationError} />
+            </div>
           </CardHeader>
           <CardContent>
             {utilizationLoading ? (
@@ -322,8 +327,10 @@ const AnalyticsPage = () => {
     {skillGapData.requiredSkills && skillGapData.requiredSkills.length > 0 ? 
       skillGapData.requiredSkills.map((skill, idx) => (
         <SkillTag 
-          key={`required-skill-${skillGapData.projectName}-${skill}-${idx}`} 
-          skill={skill} 
+          key={`required-skill-${skillGapData.projectName}-${getSkillName(skill)}-${idx}`} 
+          skill={getSkillName(skill)} 
+          level={skill.minLevel > 1 ? skill.minLevel : undefined}
+          className={skill.priority === 'nice' ? 'opacity-60' : ''}
         />
       )) : 
       <span className="text-gray-500">No required skills specified</span>
@@ -344,7 +351,7 @@ const AnalyticsPage = () => {
                             <div className="flex flex-wrap gap-1 mt-1">
                               {engineer.skills && engineer.skills.length > 0 ? 
   engineer.skills.map((skill, idx) => (
-    <SkillTag key={`${skill}-${idx}`} skill={skill} size="sm" />
+    <SkillTag key={`${getSkillName(skill)}-${idx}`} skill={getSkillName(skill)} level={skill.level} size="sm" />
   )) : 
   <span className="text-sm text-gray-500">No skills listed</span>
 }
@@ -382,6 +389,33 @@ const AnalyticsPage = () => {
                     </div>
                   </div>
 
+                  {/* Headcount by Skill */}
+                  {skillGapData.skillBreakdown && skillGapData.skillBreakdown.length > 0 && (
+                    <div>
+                      <h4 className="font-medium mb-2">Headcount by Skill</h4>
+                      <div className="space-y-2">
+                        {skillGapData.skillBreakdown.map(item => (
+                          <div key={item.skill} className="flex items-center justify-between bg-gray-50 p-3 rounded">
+                            <div>
+                              <p className="font-medium">{item.skill}</p>
+                              <p className="text-xs text-gray-500">{formatRequirement(item)}</p>
+                              {item.underqualifiedEngineers.length > 0 && (
+                                <p className="text-xs text-amber-700">
+                                  Below level: {item.underqualifiedEngineers
+                                    .map(engineer => `${engineer.name} (${engineer.level})`)
+                                    .join(', ')}
+                                </p>
+                              )}
+                            </div>
+                            <span className={`font-bold ${item.shortfall > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                              {item.qualifiedCount}/{item.headcount}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Skill Coverage */}
                   <div>
                     <h4 className="font-medium mb-2">Skill Coverage</h4>
@@ -395,6 +429,12 @@ const AnalyticsPage = () => {
                           {Math.round(skillGapData.skillCoverage || 0)}%
                         </span>
                       </div>
+                      {skillGapData.mustHaveCoverage !== undefined && (
+                        <div className="flex justify-between items-center text-sm text-gray-600 mt-1">
+                          <span>Must-have coverage:</span>
+                          <span className="font-medium">{skillGapData.mustHaveCoverage}%</span>
+                        </div>
+                      )}
                       <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
                         <div 
                           className={`h-2 rounded-full ${
@@ -0,0 +1,243 @@
+// File: src/pages/AssignmentDetailPage.jsx
+/**
+ * AssignmentDetailPage: Full details of a single assignment
+ * Route: /dashboard/assignments/:id
+ * Shows capacity impact, status history and the project's skill coverage
+ */
+import React, { useContext } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { AuthContext } from '../context/AuthContext'
+import useFetch from '../hooks/useFetch'
+import { formatDate } from '../utils/dateUtils'
+import { ASSIGNMENT_STATUS_LABELS, getAssignmentStatusVariant } from '../utils/assignmentUtils'
+import { getSkillLevelLabel } from '../utils/skillUtils'
+import { isManagerRole } from '../utils/roleUtils'
+import { Card, CardHeader, CardTitle, CardContent, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Progress } from '@/components/ui/progress'
+import SkillTag from '@/components/SkillTag'
+import LoadingSpinner from '@/components/LoadingSpinner'
+import ErrorAlert from '@/components/ErrorAlert'
+
+const AssignmentDetailPage = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { user } = useContext(AuthContext)
+  const { data: assignment, loading, error } = useFetch(`/assignments/${id}`, [id])
+
+  if (loading) return <LoadingSpinner />
+  if (error) return <ErrorAlert message={error} />
+  if (!assignment) return <ErrorAlert message="Assignment not found" />
+
+  const isManager = isManagerRole(user?.role)
+  const engineer = assignment.engineerId
+  const project = assignment.projectId
+  const impact = assignment.capacityImpact
+
+  // Assignments created before history was kept only know their current status
+  const history = assignment.statusHistory?.length > 0
+    ? assignment.statusHistory
+    : [{ status: assignment.status, changedAt: assignment.statusChangedAt || assignment.createdAt }]
+
+  return (
+    <div className="container mx-auto px-4 py-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-center gap-4">
+        <Button variant="outline" onClick={() => navigate(-1)}>← Back</Button>
+        <h1 className="text-3xl font-bold">
+          {engineer?.name || 'Unknown engineer'} · {project?.name || 'Unknown project'}
+        </h1>
+        <Badge variant={getAssignmentStatusVariant(assignment.status)}>
+          {ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}
+        </Badge>
+      </div>
+
+      {/* Archived Notice */}
+      {assignment.deletedAt && (
+        <div className="bg-gray-100 border rounded-md p-4">
+          <p className="text-sm text-gray-700">
+            Archived on {formatDate(assignment.deletedAt)}
+            {assignment.deletedBy?.name && ` by ${assignment.deletedBy.name}`}. It no longer counts towards capacity.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Assignment Details */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Assignment Details</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <p className="text-sm text-gray-500">Engineer</p>
+                <p className="font-medium">{engineer?.name || 'Unknown engineer'}</p>
+                {engineer && (
+                  <p className="text-sm text-gray-600">
+                    {engineer.email} · {engineer.seniority}
+                  </p>
+                )}
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Project</p>
+                {project ? (
+                  <Link to={`/dashboard/projects/${project._id}`} className="font-medium hover:text-blue-600">
+                    {project.name}
+                  </Link>
+                ) : (
+                  <p className="font-medium text-gray-400 italic">Project not available</p>
+                )}
+                {project?.managerId && (
+                  <p className="text-sm text-gray-600">Manager: {project.managerId.name}</p>
+                )}
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Role</p>
+                <p className="font-medium">{assignment.role}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Allocation</p>
+                <p className="font-medium">{assignment.allocationPercentage}%</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Duration</p>
+                <p className="font-medium">
+                  {formatDate(assignment.startDate)} - {formatDate(assignment.endDate)}
+                </p>
+              </div>
+              {assignment.declineReason && (
+                <div>
+                  <p className="text-sm text-gray-500">Decline Reason</p>
+                  <p className="font-medium">{assignment.declineReason}</p>
+                </div>
+              )}
+            </div>
+
+            {isManager && !assignment.deletedAt && !['completed', 'cancelled', 'declined'].includes(assignment.status) && (
+              <div className="pt-4">
+                <Button asChild variant="outline">
+                  <Link to={`/dashboard/assignments/${assignment._id}/edit`}>Edit Assignment</Link>
+                </Button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Capacity Impact */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Capacity Impact</CardTitle>
+            <CardDescription>Engineer's load over the assignment's dates</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {impact ? (
+              <div className="space-y-4">
+                <div>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-gray-600">Other work (peak)</span>
+                    <span className="font-medium">{impact.otherPeakAllocated}%</span>
+                  </div>
+                  <Progress value={Math.min(100, (impact.otherPeakAllocated / impact.maxCapacity) * 100)} />
+                </div>
+                <div>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-gray-600">With this assignment (peak)</span>
+                    <span className={`font-medium ${impact.overAllocated ? 'text-red-600' : ''}`}>
+                      {impact.peakWithAssignment}% of {impact.maxCapacity}%
+                    </span>
+                  </div>
+                  <Progress value={Math.min(100, (impact.peakWithAssignment / impact.maxCapacity) * 100)} />
+                </div>
+                <div className="text-sm text-gray-600 space-y-1">
+                  <p>Average load with this assignment: {impact.averageWithAssignment}%</p>
+                  <p>Capacity left at the busiest point: {impact.availableWithAssignment}%</p>
+                </div>
+                {!impact.holdsCapacity && (
+                  <p className="text-xs text-gray-500">
+                    This assignment isn't holding capacity yet; the figures show the load if it's confirmed.
+                  </p>
+                )}
+                {impact.overAllocated && (
+                  <p className="text-sm text-red-600">
+                    The engineer would be over capacity during this assignment.
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="text-gray-500">Engineer not available</p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Project Skill Coverage */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Project Skill Coverage</CardTitle>
+            <CardDescription>
+              The engineer's level in each required skill, and how many of the project's team meet it
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {assignment.skillCoverage?.length > 0 ? (
+              <div className="divide-y">
+                {assignment.skillCoverage.map(coverage => (
+                  <div key={coverage.skill} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                    <div className="flex items-center gap-2">
+                      <SkillTag skill={coverage.skill} level={coverage.minLevel > 1 ? coverage.minLevel : undefined} />
+                      {coverage.priority === 'nice' && (
+                        <span className="text-xs text-gray-500">Nice to have</span>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3 text-sm">
+                      <span className={coverage.meetsRequirement ? 'text-green-700' : 'text-gray-500'}>
+                        {coverage.engineerLevel > 0 ? getSkillLevelLabel(coverage.engineerLevel) : 'Not listed'}
+                      </span>
+                      <span className={coverage.shortfall > 0 ? 'text-red-600' : 'text-gray-600'}>
+                        {coverage.qualifiedCount}/{coverage.headcount} qualified
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-500">No required skills specified</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Status History */}
+        <Card>
+          <CardHeader>
+            <CardTitle>History</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ol className="space-y-3">
+              {history.map((entry, index) => (
+                <li key={index} className="text-sm">
+                  <div className="flex items-center gap-2">
+                    <Badge variant={getAssignmentStatusVariant(entry.status)} className="text-xs">
+                      {ASSIGNMENT_STATUS_LABELS[entry.status] || entry.status}
+                    </Badge>
+                    <span className="text-gray-600">{formatDate(entry.changedAt)}</span>
+                  </div>
+                  {entry.changedBy?.name && (
+                    <p className="text-gray-500 mt-1">by {entry.changedBy.name}</p>
+                  )}
+                  {entry.reason && (
+                    <p className="text-gray-500 mt-1">“{entry.reason}”</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default AssignmentDetailPage
@@ -66,20 +66,8 @@ const AssignmentEditPage = () => {
   useEffect(() => {
     const fetchInitialData = async () => {
       try {
-        // Fetch the assignment by id. Assuming backend provides GET /assignments/:id or fallback to query:
-        // Here we try GET /assignments/:id; if not available, fallback to GET /assignments?engineerId=&projectId= array.
-        let assignmentData = null
-        try {
-          const res = await axiosClient.get(`/assignments/${id}`)
-          assignmentData = res.data
-        } catch {
-          // Fallback: GET all and find by id
-          const resAll = await axiosClient.get(`/assignments?engineerId=&projectId=`)
-          assignmentData = resAll.data.find(a => a._id === id)
-        }
-        if (!assignmentData) {
-          throw new Error('Assignment not found')
-        }
+        // Fetch the assignment by id
+        const { data: assignmentData } = await axiosClient.get(`/assignments/${id}`)
         // Fetch engineers and projects lists in parallel
         const [engineersRes, projectsRes] = await Promise.all([
           axiosClient.get('/engineers'),
@@ -90,18 +78,18 @@ const AssignmentEditPage = () => {
 
         // Populate form with assignment data; format dates for input value
         reset({
-          engineerId: assignmentData.engineer._id,
-          projectId: assignmentData.project._id,
+          engineerId: assignmentData.engineerId?._id,
+          projectId: assignmentData.projectId?._id,
           allocationPercentage: assignmentData.allocationPercentage,
           startDate: formatDateForInput(assignmentData.startDate),
           endDate: formatDateForInput(assignmentData.endDate),
           role: assignmentData.role || ''
         })
         // Set selected project object
-        setSelectedProject(assignmentData.project)
+        setSelectedProject(assignmentData.projectId)
       } catch (err) {
         console.error(err)
-        setError('Failed to load assignment data')
+        setError(err.response?.data?.message || 'Failed to load assignment data')
       } finally {
         setLoading(false)
       }
@@ -1,7 +1,7 @@
 // File: src/pages/AssignmentFormPage.jsx
 import React, { useState, useEffect } from 'react'
 import { useForm } from 'react-hook-form'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useSearchParams } from 'react-router-dom'
 import axiosClient from '../api/axiosClient'
 import { formatDateForInput } from '../utils/dateUtils'
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
@@ -15,23 +15,29 @@ import {
   SelectContent,
   SelectItem
 } from '@/components/ui/select'
+import { Badge } from '@/components/ui/badge'
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
+import SkillTag from '@/components/SkillTag'
+import { getSkillName } from '../utils/skillUtils'
 
 /**
  * AssignmentFormPage: Create new assignment form
- * Route: /dashboard/assignments/new
+ * Route: /dashboard/assignments/new (?projectId= preselects a project)
  * Handles engineer/project selection, capacity validation, and date bounds
  */
 const AssignmentFormPage = () => {
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
   const {
     register,
     handleSubmit,
     setValue,
     watch,
     formState: { errors, isSubmitting }
-  } = useForm()
+  } = useForm({
+    defaultValues: { projectId: searchParams.get('projectId') || '' }
+  })
 
   // State for dropdowns and validation
   const [engineers, setEngineers] = useState([])
@@ -40,6 +46,7 @@ const AssignmentFormPage = () => {
   const [selectedProject, setSelectedProject] = useState(null)
   const [engineerCapacity, setEngineerCapacity] = useState(null)
   const [projectDetails, setProjectDetails] = useState(null)
+  const [recommendations, setRecommendations] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
@@ -114,6 +121,25 @@ const AssignmentFormPage = () => {
     fetchProjectDetails()
   }, [watchedProjectId, projects])
 
+  // Fetch ranked engineer suggestions for the selected project
+  useEffect(() => {
+    const fetchRecommendations = async () => {
+      if (watchedProjectId) {
+        try {
+          const response = await axiosClient.get(`/projects/${watchedProjectId}/recommendations?limit=5`)
+          setRecommendations(response.data)
+        } catch (err) {
+          console.error('Failed to fetch recommendations:', err)
+          setRecommendations(null)
+        }
+      } else {
+        setRecommendations(null)
+      }
+    }
+
+    fetchRecommendations()
+  }, [watchedProjectId])
+
   // Handle form submission
   const onSubmit = async (data) => {
     try {
@@ -153,7 +179,8 @@ const AssignmentFormPage = () => {
         allocationPercentage: parseInt(data.allocationPercentage),
         startDate: data.startDate,
         endDate: data.endDate,
-        role: data.role
+        role: data.role,
+        status: data.confirmNow ? 'confirmed' : 'proposed'
       })
 
       // Navigate to assignments list on success
@@ -180,14 +207,17 @@ const AssignmentFormPage = () => {
             {/* Engineer Selection */}
             <div className="space-y-2">
               <Label htmlFor="engineerId">Engineer *</Label>
-              <Select onValueChange={(value) => setValue('engineerId', value)}>
+              <Select
+                value={watchedEngineerId || ''}
+                onValueChange={(value) => setValue('engineerId', value)}
+              >
                 <SelectTrigger>
                   <SelectValue placeholder="Select an engineer" />
                 </SelectTrigger>
                 <SelectContent>
                   {engineers.map(engineer => (
                     <SelectItem key={engineer._id} value={engineer._id}>
-                      {engineer.name} - {engineer.seniority || 'N/A'} ({engineer.skills?.join(', ') || 'No skills listed'})
+                      {engineer.name} - {engineer.seniority || 'N/A'} ({engineer.skills?.map(getSkillName).join(', ') || 'No skills listed'})
                     </SelectItem>
                   ))}
                 </SelectContent>
@@ -197,6 +227,74 @@ const AssignmentFormPage = () => {
               )}
             </div>
 
+            {/* Recommended Engineers for the selected project */}
+            {recommendations && (
+              <div className="border rounded p-3 space-y-2">
+                <p className="text-sm font-medium text-gray-700">
+                  Recommended engineers
+                  <span className="font-normal text-gray-500">
+                    {' '}({recommendations.openSlots} of {recommendations.teamSize} slots open)
+                  </span>
+                </p>
+                {recommendations.candidates.length > 0 ? (
+                  recommendations.candidates.map(candidate => (
+                    <div
+                      key={candidate.engineer._id}
+                      className="flex items-start justify-between gap-4 bg-gray-50 p-2 rounded"
+                    >
+                      <div className="flex-1">
+                        <p className="text-sm font-medium">
+                          {candidate.engineer.name}
+                          <span className="font-normal text-gray-600">
+                            {' '}- {candidate.matchScore}% match, {candidate.availableCapacity}% available
+                          </span>
+                        </p>
+                        {candidate.missingSkills.length > 0 && (
+                          <div className="mt-1">
+                            {candidate.missingSkills.map(skill => (
+                              <SkillTag key={skill} skill={skill} variant="missing" className="text-xs" />
+                            ))}
+                          </div>
+                        )}
+                        {candidate.partialMatches?.length > 0 && (
+                          <p className="text-xs text-blue-700 mt-1">
+                            Related experience:{' '}
+                            {candidate.partialMatches
+                              .map(item => `${item.has} for ${item.required} (${Math.round(item.weight * 100)}%)`)
+                              .join(', ')}
+                          </p>
+                        )}
+                        {candidate.underqualifiedSkills?.length > 0 && (
+                          <p className="text-xs text-amber-700 mt-1">
+                            Below required level:{' '}
+                            {candidate.underqualifiedSkills
+                              .map(item => `${item.skill} (${item.level}/${item.minLevel})`)
+                              .join(', ')}
+                          </p>
+                        )}
+                      </div>
+                      {watchedEngineerId === candidate.engineer._id ? (
+                        <Badge>Selected</Badge>
+                      ) : (
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setValue('engineerId', candidate.engineer._id)}
+                        >
+                          Select
+                        </Button>
+                      )}
+                    </div>
+                  ))
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    No engineers with free capacity over the project dates
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Engineer Capacity Display */}
             {engineerCapacity && (
               <div className="bg-gray-50 p-3 rounded">
@@ -210,7 +308,7 @@ const AssignmentFormPage = () => {
             {/* Project Selection */}
             <div className="space-y-2">
               <Label htmlFor="projectId">Project *</Label>
-              <Select onValueChange={(value) => setValue('projectId', value)}>
+              <Select value={watchedProjectId} onValueChange={(value) => setValue('projectId', value)}>
                 <SelectTrigger>
                   <SelectValue placeholder="Select a project" />
                 </SelectTrigger>
@@ -305,6 +403,22 @@ const AssignmentFormPage = () => {
               )}
             </div>
 
+            {/* Proposal or confirmed */}
+            <div className="flex items-start gap-2">
+              <input
+                id="confirmNow"
+                type="checkbox"
+                className="mt-1"
+                {...register('confirmNow')}
+              />
+              <Label htmlFor="confirmNow" className="font-normal leading-snug">
+                Confirm immediately
+                <span className="block text-xs text-gray-500">
+                  Otherwise the engineer is sent a proposal to accept or decline
+                </span>
+              </Label>
+            </div>
+
             {/* Form Actions */}
             <div className="flex gap-4 pt-4">
               <Button
@@ -0,0 +1,231 @@
+// File: src/pages/AssignmentImportPage.jsx
+/**
+ * AssignmentImportPage: Create many assignments from a CSV file
+ * Route: /dashboard/assignments/import
+ * Columns are mapped to assignment fields; the whole file is created or
+ * nothing is, with errors reported per row
+ */
+import React, { useState } from 'react'
+import { useNavigate, Link } from 'react-router-dom'
+import axiosClient from '../api/axiosClient'
+import { parseCsv, normalizeHeader } from '../utils/csvUtils'
+import { formatDate } from '../utils/dateUtils'
+import { Card, CardHeader, CardTitle, CardContent, CardDescription } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Button } from '@/components/ui/button'
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '@/components/ui/select'
+import ErrorAlert from '@/components/ErrorAlert'
+
+// Assignment fields a column can map to, with the headers each one is guessed from
+const IMPORT_FIELDS = [
+  { key: 'engineerEmail', label: 'Engineer email', required: true, headers: ['engineeremail', 'email', 'engineer'] },
+  { key: 'projectName', label: 'Project name', required: true, headers: ['projectname', 'project'] },
+  { key: 'allocationPercentage', label: 'Allocation %', required: true, headers: ['allocationpercentage', 'allocation', 'percentage'] },
+  { key: 'startDate', label: 'Start date', required: true, headers: ['startdate', 'start'] },
+  { key: 'endDate', label: 'End date', required: true, headers: ['enddate', 'end'] },
+  { key: 'role', label: 'Role', required: false, headers: ['role'] },
+  { key: 'status', label: 'Status', required: false, headers: ['status'] }
+]
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {string[]} headers - CSV header cells
+ * @returns {Object} Field key -> column index as a string, or 'none'
+ */
+const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader)
+  return Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const index = normalized.findIndex(header => field.headers.includes(header))
+    return [field.key, index >= 0 ? String(index) : 'none']
+  }))
+}
+
+const AssignmentImportPage = () => {
+  const navigate = useNavigate()
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [confirmNow, setConfirmNow] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [rowErrors, setRowErrors] = useState([])
+
+  // Read the chosen file and guess the column mapping
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    setError(null)
+    setRowErrors([])
+    if (!file) return
+
+    const [headerRow = [], ...dataRows] = parseCsv(await file.text())
+    if (dataRows.length === 0) {
+      setError('The file has no rows below the header')
+    }
+    setFileName(file.name)
+    setHeaders(headerRow)
+    setRows(dataRows)
+    setMapping(guessMapping(headerRow))
+  }
+
+  const missingFields = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === 'none')
+
+  // Build one assignment per CSV row from the mapped columns
+  const buildAssignments = () => rows.map(cells => {
+    const assignment = {}
+    for (const field of IMPORT_FIELDS) {
+      const column = mapping[field.key]
+      const value = column && column !== 'none' ? cells[Number(column)] : ''
+      if (value) assignment[field.key] = value
+    }
+    if (assignment.allocationPercentage) {
+      assignment.allocationPercentage = Number(assignment.allocationPercentage.replace('%', ''))
+    }
+    assignment.status = assignment.status?.toLowerCase() || (confirmNow ? 'confirmed' : undefined)
+    return assignment
+  })
+
+  const handleImport = async () => {
+    setLoading(true)
+    setError(null)
+    setRowErrors([])
+
+    try {
+      await axiosClient.post('/assignments/bulk', { assignments: buildAssignments() })
+      navigate('/dashboard/assignments')
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to import assignments')
+      setRowErrors(err.response?.data?.errors || [])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Cell value of a mapped field in a data row (row numbers are 1-based)
+  const getCell = (row, key) => {
+    const column = mapping[key]
+    return column && column !== 'none' ? rows[row - 1]?.[Number(column)] : ''
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto p-6 space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Import Assignments</CardTitle>
+          <CardDescription>
+            Upload a CSV with a header row. Each row becomes an assignment; if any row has a problem, none are created.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {error && <ErrorAlert message={error} />}
+
+          {/* File */}
+          <div>
+            <Label htmlFor="file">CSV File</Label>
+            <Input id="file" type="file" accept=".csv,text/csv" onChange={handleFileChange} className="mt-2" />
+            {fileName && (
+              <p className="text-sm text-gray-500 mt-1">{fileName}: {rows.length} rows</p>
+            )}
+          </div>
+
+          {/* Column Mapping */}
+          {headers.length > 0 && (
+            <div>
+              <h3 className="font-medium mb-2">Columns</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {IMPORT_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <Label>{field.label}{field.required && ' *'}</Label>
+                    <Select
+                      value={mapping[field.key]}
+                      onValueChange={(value) => setMapping({ ...mapping, [field.key]: value })}
+                    >
+                      <SelectTrigger className="mt-1">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">Not in file</SelectItem>
+                        {headers.map((header, index) => (
+                          <SelectItem key={index} value={String(index)}>
+                            {header || `Column ${index + 1}`}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+              </div>
+              {missingFields.length > 0 && (
+                <p className="text-sm text-red-600 mt-2">
+                  Choose a column for: {missingFields.map(field => field.label).join(', ')}
+                </p>
+              )}
+              {mapping.status === 'none' && (
+                <div className="flex items-start gap-2 mt-4">
+                  <input
+                    id="confirmNow"
+                    type="checkbox"
+                    className="mt-1"
+                    checked={confirmNow}
+                    onChange={(e) => setConfirmNow(e.target.checked)}
+                  />
+                  <Label htmlFor="confirmNow" className="font-normal leading-snug">
+                    Confirm immediately
+                    <span className="block text-xs text-gray-500">
+                      Otherwise each engineer is sent a proposal to accept or decline
+                    </span>
+                  </Label>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-4">
+            <Button
+              onClick={handleImport}
+              disabled={loading || rows.length === 0 || missingFields.length > 0}
+            >
+              {loading ? 'Importing...' : `Import ${rows.length} Assignments`}
+            </Button>
+            <Button variant="outline" asChild>
+              <Link to="/dashboard/assignments">Cancel</Link>
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Row Errors */}
+      {rowErrors.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Rows With Errors</CardTitle>
+            <CardDescription>Line numbers count the header as line 1</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="divide-y">
+              {rowErrors.map((rowError, index) => (
+                <div key={index} className="py-2 text-sm">
+                  <p>
+                    <span className="font-medium">Line {rowError.row + 1}</span>
+                    <span className="text-gray-500">
+                      {' '}({getCell(rowError.row, 'engineerEmail') || '—'} · {getCell(rowError.row, 'projectName') || '—'})
+                    </span>
+                  </p>
+                  <p className="text-red-600">{rowError.message}</p>
+                  {rowError.conflicts?.map((conflict, conflictIndex) => (
+                    <p key={conflictIndex} className="text-gray-600">
+                      {formatDate(conflict.startDate)} - {formatDate(conflict.endDate)}: {conflict.available}% available
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
+
+export default AssignmentImportPage
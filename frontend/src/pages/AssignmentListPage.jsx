@@ -8,6 +8,8 @@ import { Link } from 'react-router-dom'
 import { AuthContext } from '../context/AuthContext'
 import axiosClient from '../api/axiosClient'
 import { formatDate } from '../utils/dateUtils'
+import { ASSIGNMENT_STATUS_LABELS, getAssignmentStatusVariant } from '../utils/assignmentUtils'
+import { isManagerRole } from '../utils/roleUtils'
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '@/components/ui/select'
@@ -15,6 +17,7 @@ import { Badge } from '@/components/ui/badge'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
+import ExportButton from '@/components/ExportButton'
 
 const AssignmentListPage = () => {
   const { user } = useContext(AuthContext)
@@ -26,8 +29,9 @@ const AssignmentListPage = () => {
   const [deleteLoading, setDeleteLoading] = useState(null)
   
   // Filter states
-  const [selectedEngineerId, setSelectedEngineerId] = useState('')
-  const [selectedProjectId, setSelectedProjectId] = useState('')
+  const [selectedEngineerId, setSelectedEngineerId] = useState('all')
+  const [selectedProjectId, setSelectedProjectId] = useState('all')
+  const [showArchived, setShowArchived] = useState('current')
 
   // Fetch initial data for filters
   useEffect(() => {
@@ -54,8 +58,9 @@ const AssignmentListPage = () => {
       
       try {
         const params = new URLSearchParams()
-        if (selectedEngineerId) params.append('engineerId', selectedEngineerId)
-        if (selectedProjectId) params.append('projectId', selectedProjectId)
+        if (selectedEngineerId !== 'all') params.append('engineerId', selectedEngineerId)
+        if (selectedProjectId !== 'all') params.append('projectId', selectedProjectId)
+        if (showArchived === 'archived') params.append('archived', 'true')
         
         const response = await axiosClient.get(`/assignments?${params.toString()}`)
         setAssignments(response.data)
@@ -67,11 +72,11 @@ const AssignmentListPage = () => {
     }
 
     fetchAssignments()
-  }, [selectedEngineerId, selectedProjectId])
+  }, [selectedEngineerId, selectedProjectId, showArchived])
 
-  // Handle assignment deletion
+  // Handle assignment deletion (archives it)
   const handleDelete = async (assignmentId) => {
-    if (!window.confirm('Are you sure you want to delete this assignment?')) {
+    if (!window.confirm('Are you sure you want to archive this assignment?')) {
       return
     }
 
@@ -81,7 +86,20 @@ const AssignmentListPage = () => {
       // Refetch assignments after deletion
       setAssignments(assignments.filter(a => a._id !== assignmentId))
     } catch (err) {
-      setError('Failed to delete assignment')
+      setError('Failed to archive assignment')
+    } finally {
+      setDeleteLoading(null)
+    }
+  }
+
+  // Restore an archived assignment and drop it from the archived list
+  const handleRestore = async (assignmentId) => {
+    setDeleteLoading(assignmentId)
+    try {
+      await axiosClient.post(`/assignments/${assignmentId}/restore`)
+      setAssignments(assignments.filter(a => a._id !== assignmentId))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore assignment')
     } finally {
       setDeleteLoading(null)
     }
@@ -98,17 +116,34 @@ const AssignmentListPage = () => {
     }
   }
 
-  const isManager = user?.role === 'manager'
+  const isManager = isManagerRole(user?.role)
 
   return (
     <div className="p-6">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-3xl font-bold">Assignments</h1>
-        {isManager && (
-          <Link to="/dashboard/assignments/new">
-            <Button>Create Assignment</Button>
-          </Link>
-        )}
+        <div className="flex gap-2">
+          <ExportButton
+            path="/export/assignments"
+            name="assignments"
+            params={{
+              engineerId: selectedEngineerId !== 'all' ? selectedEngineerId : undefined,
+              projectId: selectedProjectId !== 'all' ? selectedProjectId : undefined,
+              archived: showArchived === 'archived' ? 'true' : undefined
+            }}
+            onError={setError}
+          />
+          {isManager && (
+            <>
+              <Link to="/dashboard/assignments/import">
+                <Button variant="outline">Import CSV</Button>
+              </Link>
+              <Link to="/dashboard/assignments/new">
+                <Button>Create Assignment</Button>
+              </Link>
+            </>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
@@ -117,7 +152,7 @@ const AssignmentListPage = () => {
           <CardTitle>Filters</CardTitle>
         </CardHeader>
         <CardContent>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div>
               <label className="block text-sm font-medium mb-2">Engineer</label>
               <Select value={selectedEngineerId} onValueChange={setSelectedEngineerId}>
@@ -125,7 +160,7 @@ const AssignmentListPage = () => {
                   <SelectValue placeholder="All engineers" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="">All engineers</SelectItem>
+                  <SelectItem value="all">All engineers</SelectItem>
                   {engineers.map(engineer => (
                     <SelectItem key={engineer._id} value={engineer._id}>
                       {engineer.name}
@@ -142,7 +177,7 @@ const AssignmentListPage = () => {
                   <SelectValue placeholder="All projects" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="">All projects</SelectItem>
+                  <SelectItem value="all">All projects</SelectItem>
                   {projects.map(project => (
                     <SelectItem key={project._id} value={project._id}>
                       {project.name}
@@ -151,6 +186,19 @@ const AssignmentListPage = () => {
                 </SelectContent>
               </Select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-2">Show</label>
+              <Select value={showArchived} onValueChange={setShowArchived}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="current">Current assignments</SelectItem>
+                  <SelectItem value="archived">Archived</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
           </div>
         </CardContent>
       </Card>
@@ -181,21 +229,28 @@ const AssignmentListPage = () => {
                         <div>
                           <p className="text-sm text-gray-500">Engineer</p>
                           <p className="font-medium">
-                            {assignment.engineer?.name || 'Unknown Engineer'}
+                            {assignment.engineerId?.name || 'Unknown Engineer'}
                           </p>
                           <p className="text-sm text-gray-600">
-                            {assignment.engineer?.email}
+                            {assignment.engineerId?.email}
                           </p>
                         </div>
 
                         {/* Project Info */}
                         <div>
                           <p className="text-sm text-gray-500">Project</p>
-                          <p className="font-medium">
-                            {assignment.project?.name || 'Unknown Project'}
-                          </p>
-                          <Badge variant={getStatusVariant(assignment.project?.status)}>
-                            {assignment.project?.status || 'Unknown'}
+                          {assignment.projectId ? (
+                            <Link
+                              to={`/dashboard/projects/${assignment.projectId._id}`}
+                              className="font-medium hover:text-blue-600"
+                            >
+                              {assignment.projectId.name}
+                            </Link>
+                          ) : (
+                            <p className="font-medium">Unknown Project</p>
+                          )}
+                          <Badge variant={getStatusVariant(assignment.projectId?.status)}>
+                            {assignment.projectId?.status || 'Unknown'}
                           </Badge>
                         </div>
 
@@ -204,6 +259,9 @@ const AssignmentListPage = () => {
                           <p className="text-sm text-gray-500">Allocation & Role</p>
                           <p className="font-medium">{assignment.allocationPercentage}%</p>
                           <p className="text-sm text-gray-600">{assignment.role}</p>
+                          <Badge variant={getAssignmentStatusVariant(assignment.status)}>
+                            {ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}
+                          </Badge>
                         </div>
 
                         {/* Dates */}
@@ -219,19 +277,36 @@ const AssignmentListPage = () => {
                     {/* Actions (Manager only) */}
                     {isManager && (
                       <div className="flex gap-2 ml-4">
-                        <Link to={`/dashboard/assignments/${assignment._id}/edit`}>
+                        <Link to={`/dashboard/assignments/${assignment._id}`}>
                           <Button variant="outline" size="sm">
-                            Edit
+                            View
                           </Button>
                         </Link>
-                        <Button 
-                          variant="destructive" 
-                          size="sm"
-                          onClick={() => handleDelete(assignment._id)}
-                          disabled={deleteLoading === assignment._id}
-                        >
-                          {deleteLoading === assignment._id ? 'Deleting...' : 'Delete'}
-                        </Button>
+                        {assignment.deletedAt ? (
+                          <Button
+                            size="sm"
+                            onClick={() => handleRestore(assignment._id)}
+                            disabled={deleteLoading === assignment._id}
+                          >
+                            {deleteLoading === assignment._id ? 'Restoring...' : 'Restore'}
+                          </Button>
+                        ) : (
+                          <>
+                            <Link to={`/dashboard/assignments/${assignment._id}/edit`}>
+                              <Button variant="outline" size="sm">
+                                Edit
+                              </Button>
+                            </Link>
+                            <Button 
+                              variant="destructive" 
+                              size="sm"
+                              onClick={() => handleDelete(assignment._id)}
+                              disabled={deleteLoading === assignment._id}
+                            >
+                              {deleteLoading === assignment._id ? 'Archiving...' : 'Archive'}
+                            </Button>
+                          </>
+                        )}
                       </div>
                     )}
                   </div>
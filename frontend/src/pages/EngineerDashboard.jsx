@@ -10,6 +10,7 @@ import LoadingSpinner from '../components/LoadingSpinner'
 import ErrorAlert from '../components/ErrorAlert'
 import { formatDate } from '../utils/dateUtils'
 import CapacityBar from '../components/CapacityBar'
+import LeaveRequests from '../components/LeaveRequests'
 
 /**
  * EngineerDashboard: Personal dashboard for engineers
@@ -18,7 +19,7 @@ import CapacityBar from '../components/CapacityBar'
 const EngineerDashboard = () => {
   const { user } = useContext(AuthContext)
   
-  const { data: availability, loading: availabilityLoading, error: availabilityError } = 
+  const { data: availability, loading: availabilityLoading, error: availabilityError, refetch: refetchAvailability } = 
   useFetch(`/engineers/${user?._id}/availability`) // Changed from user?.id to user?._id
 
 const { data: assignments, loading: assignmentsLoading, error: assignmentsError } = 
@@ -27,6 +28,9 @@ const { data: assignments, loading: assignmentsLoading, error: assignmentsError
 const { data: capacity, loading: capacityLoading, error: capacityError } = 
   useFetch(`/engineers/${user?._id}/capacity`) // Changed from user?.id to user?._id
 
+const { data: capacityTimeline, refetch: refetchCapacityTimeline } =
+  useFetch(`/engineers/${user?._id}/capacity/timeline?granularity=week`)
+
   const loading = availabilityLoading || assignmentsLoading || capacityLoading
   const error = availabilityError || assignmentsError || capacityError
 
@@ -52,6 +56,21 @@ const { data: capacity, loading: capacityLoading, error: capacityError } =
   const totalAllocation = assignments?.reduce((sum, assignment) => 
     sum + assignment.allocationPercentage, 0) || 0
 
+  // Weekly allocation for the next three months; leave and holidays take
+  // their share of the week out of capacity
+  const outlookData = capacityTimeline?.buckets?.map(bucket => ({
+    week: formatDate(bucket.startDate, 'MMM d'),
+    allocated: bucket.peakAllocated,
+    available: bucket.available,
+    timeOff: Math.round(bucket.scheduledCapacity - bucket.capacity)
+  })) || []
+
+  // Leave changes what's available, so reload the capacity views
+  const handleLeaveChange = () => {
+    refetchAvailability()
+    refetchCapacityTimeline()
+  }
+
   return (
     <div className="space-y-6">
       {/* Page Header */}
@@ -190,8 +209,48 @@ const { data: capacity, loading: capacityLoading, error: capacityError } =
         </Card>
       )}
 
+      {/* Capacity Outlook */}
+      {outlookData.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Capacity Outlook</CardTitle>
+            <CardDescription>
+              Peak weekly allocation over the next three months
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={outlookData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="week" />
+                  <YAxis />
+                  <Tooltip formatter={(value) => `${value}%`} />
+                  <Bar dataKey="allocated" stackId="capacity" fill="#3b82f6" name="Allocated %" />
+                  <Bar dataKey="available" stackId="capacity" fill="#d1fae5" name="Available %" />
+                  <Bar dataKey="timeOff" stackId="capacity" fill="#e5e7eb" name="Time Off %" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Time Off */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Time Off</CardTitle>
+          <CardDescription>
+            Request leave; your manager approves it before it comes off your capacity
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <LeaveRequests engineerId={user?._id} onChange={handleLeaveChange} />
+        </CardContent>
+      </Card>
+
       {/* Availability Windows */}
-      {availability && availability.length > 0 && (
+      {availability?.availabilityWindows?.length > 0 && (
         <Card>
           <CardHeader>
             <CardTitle>Availability Windows</CardTitle>
@@ -201,14 +260,14 @@ const { data: capacity, loading: capacityLoading, error: capacityError } =
           </CardHeader>
           <CardContent>
             <div className="space-y-3">
-              {availability.map((window, index) => (
+              {availability.availabilityWindows.map((window, index) => (
                 <div key={index} className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
                   <div>
                     <p className="font-medium">
                       {formatDate(window.startDate)} - {formatDate(window.endDate)}
                     </p>
                     <p className="text-sm text-gray-600">
-                      {window.capacity}% capacity available
+                      {window.availableCapacity}% capacity available
                     </p>
                   </div>
                   <Badge variant="outline" className="bg-white">
@@ -0,0 +1,103 @@
+// src/pages/ForgotPasswordPage.jsx
+import React, { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { Link } from 'react-router-dom'
+import axiosClient from '../api/axiosClient'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Label } from '@/components/ui/label'
+import LoadingSpinner from '../components/LoadingSpinner'
+import ErrorAlert from '../components/ErrorAlert'
+
+/**
+ * ForgotPasswordPage: Request a password reset link by email
+ * Route: /forgot-password (public)
+ */
+const ForgotPasswordPage = () => {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [sentMessage, setSentMessage] = useState('')
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm()
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await axiosClient.post('/auth/forgot-password', { email: data.email })
+      setSentMessage(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send reset link')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <Card>
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl font-bold text-center">
+              Forgot your password?
+            </CardTitle>
+            <CardDescription className="text-center">
+              We'll email you a link to choose a new one
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {sentMessage ? (
+              <p className="text-sm text-gray-700">{sentMessage}</p>
+            ) : (
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email address</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    placeholder="Enter your email"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address'
+                      }
+                    })}
+                    className={errors.email ? 'border-red-500' : ''}
+                  />
+                  {errors.email && (
+                    <p className="text-sm text-red-600">{errors.email.message}</p>
+                  )}
+                </div>
+
+                {error && <ErrorAlert message={error} />}
+
+                <Button type="submit" className="w-full" disabled={loading}>
+                  {loading ? (
+                    <>
+                      <LoadingSpinner size="sm" className="mr-2" />
+                      Sending...
+                    </>
+                  ) : (
+                    'Send Reset Link'
+                  )}
+                </Button>
+              </form>
+            )}
+            <p className="mt-6 text-center text-sm text-gray-600">
+              <Link to="/login" className="text-blue-600 hover:underline">Back to sign in</Link>
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPasswordPage
@@ -0,0 +1,329 @@
+// File: src/pages/LeavePage.jsx
+/**
+ * LeavePage: Review leave requests and manage company holidays
+ * Route: /dashboard/leave (manager only)
+ * Approved leave and holidays count as days with no capacity
+ */
+import React, { useState } from 'react'
+import axiosClient from '../api/axiosClient'
+import useFetch from '../hooks/useFetch'
+import { formatDate } from '../utils/dateUtils'
+import { LEAVE_TYPE_LABELS, LEAVE_STATUS_LABELS, getLeaveStatusVariant } from '../utils/leaveUtils'
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '@/components/ui/select'
+import LoadingSpinner from '@/components/LoadingSpinner'
+import ErrorAlert from '@/components/ErrorAlert'
+
+const EMPTY_LEAVE = { engineerId: '', type: 'vacation', startDate: '', endDate: '' }
+const EMPTY_HOLIDAY = { name: '', date: '' }
+
+const LeavePage = () => {
+  const today = new Date().toISOString().slice(0, 10)
+
+  const { data: pending, loading: pendingLoading, error: pendingError, refetch: refetchPending } =
+    useFetch('/leave?status=pending')
+  const { data: approved, loading: approvedLoading, error: approvedError, refetch: refetchApproved } =
+    useFetch(`/leave?status=approved&from=${today}`)
+  const { data: holidays, loading: holidaysLoading, error: holidaysError, refetch: refetchHolidays } =
+    useFetch(`/holidays?from=${today}`)
+  const { data: engineers } = useFetch('/engineers')
+
+  const [actionError, setActionError] = useState(null)
+  const [updatingId, setUpdatingId] = useState(null)
+  const [notes, setNotes] = useState({})
+  const [newLeave, setNewLeave] = useState(EMPTY_LEAVE)
+  const [newHoliday, setNewHoliday] = useState(EMPTY_HOLIDAY)
+  const [saving, setSaving] = useState(false)
+
+  // Approve, reject or cancel a leave request
+  const updateLeaveStatus = async (leaveId, status) => {
+    if (status === 'cancelled' && !window.confirm('Cancel this leave?')) {
+      return
+    }
+
+    setUpdatingId(leaveId)
+    setActionError(null)
+    try {
+      await axiosClient.patch(`/leave/${leaveId}/status`, { status, note: notes[leaveId] || undefined })
+      refetchPending()
+      refetchApproved()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to update leave')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  // Record leave on an engineer's behalf; it's approved straight away
+  const handleRecordLeave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setActionError(null)
+    try {
+      await axiosClient.post('/leave', newLeave)
+      setNewLeave(EMPTY_LEAVE)
+      refetchApproved()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to record leave')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAddHoliday = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setActionError(null)
+    try {
+      await axiosClient.post('/holidays', newHoliday)
+      setNewHoliday(EMPTY_HOLIDAY)
+      refetchHolidays()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to add holiday')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemoveHoliday = async (holidayId) => {
+    if (!window.confirm('Remove this holiday?')) {
+      return
+    }
+
+    setUpdatingId(holidayId)
+    setActionError(null)
+    try {
+      await axiosClient.delete(`/holidays/${holidayId}`)
+      refetchHolidays()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to remove holiday')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const renderLeave = (entry, actions) => (
+    <div key={entry._id} className="flex items-center justify-between gap-4 p-3 border rounded-lg">
+      <div className="flex-1">
+        <p className="font-medium">{entry.engineerId?.name || 'Unknown Engineer'}</p>
+        <p className="text-sm text-gray-600">
+          {LEAVE_TYPE_LABELS[entry.type] || entry.type}: {formatDate(entry.startDate)} - {formatDate(entry.endDate)}
+        </p>
+        {entry.reason && <p className="text-sm text-gray-500">{entry.reason}</p>}
+      </div>
+      <Badge variant={getLeaveStatusVariant(entry.status)}>
+        {LEAVE_STATUS_LABELS[entry.status] || entry.status}
+      </Badge>
+      {actions}
+    </div>
+  )
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold">Leave & Holidays</h1>
+        <p className="text-gray-600 mt-2">
+          Approved leave and company holidays count as days with no capacity
+        </p>
+      </div>
+
+      {actionError && <ErrorAlert message={actionError} className="mb-4" />}
+
+      <div className="grid gap-6">
+        {/* Pending Requests */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Pending Requests</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {pendingLoading ? (
+              <LoadingSpinner />
+            ) : pendingError ? (
+              <ErrorAlert message={pendingError} />
+            ) : pending?.length > 0 ? (
+              <div className="space-y-3">
+                {pending.map(entry => renderLeave(entry, (
+                  <div className="flex items-center gap-2">
+                    <Input
+                      placeholder="Note (optional)"
+                      value={notes[entry._id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [entry._id]: e.target.value })}
+                      className="w-48"
+                    />
+                    <Button
+                      size="sm"
+                      onClick={() => updateLeaveStatus(entry._id, 'approved')}
+                      disabled={updatingId === entry._id}
+                    >
+                      Approve
+                    </Button>
+                    <Button
+                      variant="destructive"
+                      size="sm"
+                      onClick={() => updateLeaveStatus(entry._id, 'rejected')}
+                      disabled={updatingId === entry._id}
+                    >
+                      Reject
+                    </Button>
+                  </div>
+                )))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No leave waiting for approval.</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Upcoming Leave */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Upcoming Leave</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <form onSubmit={handleRecordLeave} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+              <div className="space-y-2">
+                <Label>Engineer</Label>
+                <Select
+                  value={newLeave.engineerId}
+                  onValueChange={(engineerId) => setNewLeave({ ...newLeave, engineerId })}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select engineer" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(engineers || []).map(engineer => (
+                      <SelectItem key={engineer._id} value={engineer._id}>{engineer.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Type</Label>
+                <Select value={newLeave.type} onValueChange={(type) => setNewLeave({ ...newLeave, type })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(LEAVE_TYPE_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="record-start">From</Label>
+                <Input
+                  id="record-start"
+                  type="date"
+                  value={newLeave.startDate}
+                  onChange={(e) => setNewLeave({ ...newLeave, startDate: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="record-end">To</Label>
+                <Input
+                  id="record-end"
+                  type="date"
+                  value={newLeave.endDate}
+                  min={newLeave.startDate || undefined}
+                  onChange={(e) => setNewLeave({ ...newLeave, endDate: e.target.value })}
+                  required
+                />
+              </div>
+              <Button type="submit" disabled={saving || !newLeave.engineerId}>
+                Record Leave
+              </Button>
+            </form>
+
+            {approvedLoading ? (
+              <LoadingSpinner />
+            ) : approvedError ? (
+              <ErrorAlert message={approvedError} />
+            ) : approved?.length > 0 ? (
+              <div className="space-y-3">
+                {approved.map(entry => renderLeave(entry, (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => updateLeaveStatus(entry._id, 'cancelled')}
+                    disabled={updatingId === entry._id}
+                  >
+                    Cancel
+                  </Button>
+                )))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No upcoming leave.</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Company Holidays */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Company Holidays</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <form onSubmit={handleAddHoliday} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+              <div className="space-y-2">
+                <Label htmlFor="holiday-name">Name</Label>
+                <Input
+                  id="holiday-name"
+                  value={newHoliday.name}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                  placeholder="e.g., New Year's Day"
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="holiday-date">Date</Label>
+                <Input
+                  id="holiday-date"
+                  type="date"
+                  value={newHoliday.date}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+                  required
+                />
+              </div>
+              <Button type="submit" disabled={saving}>Add Holiday</Button>
+            </form>
+
+            {holidaysLoading ? (
+              <LoadingSpinner />
+            ) : holidaysError ? (
+              <ErrorAlert message={holidaysError} />
+            ) : holidays?.length > 0 ? (
+              <div className="space-y-3">
+                {holidays.map(holiday => (
+                  <div key={holiday._id} className="flex items-center justify-between p-3 border rounded-lg">
+                    <div>
+                      <p className="font-medium">{holiday.name}</p>
+                      <p className="text-sm text-gray-600">{formatDate(holiday.date)}</p>
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleRemoveHoliday(holiday._id)}
+                      disabled={updatingId === holiday._id}
+                    >
+                      Remove
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No upcoming holidays.</p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default LeavePage
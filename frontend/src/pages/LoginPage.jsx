@@ -1,6 +1,7 @@
 // src/pages/LoginPage.jsx
 import React, { useState, useContext } from 'react'
 import { useForm } from 'react-hook-form'
+import { Link } from 'react-router-dom'
 import { AuthContext } from '../context/AuthContext'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -94,6 +95,12 @@ const LoginPage = () => {
                 )}
               </div>
 
+              <div className="text-right">
+                <Link to="/forgot-password" className="text-sm text-blue-600 hover:underline">
+                  Forgot password?
+                </Link>
+              </div>
+
               {/* Error Display */}
               {error && <ErrorAlert message={error} />}
 
@@ -118,6 +125,7 @@ const LoginPage = () => {
             <div className="mt-6 p-4 bg-gray-50 rounded-md">
               <p className="text-sm font-medium text-gray-700 mb-2">Demo Credentials:</p>
               <div className="text-xs text-gray-600 space-y-1">
+                <p><strong>Admin:</strong> admin@example.com / Password123</p>
                 <p><strong>Manager:</strong> manager@example.com / Password123</p>
                 <p><strong>Engineer:</strong> alice@example.com / Password123</p>
               </div>
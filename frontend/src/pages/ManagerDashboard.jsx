@@ -1,19 +1,39 @@
 // src/pages/ManagerDashboard.jsx
-import React from 'react'
+import React, { useState } from 'react'
 import { Link } from 'react-router-dom'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
 import useFetch from '../hooks/useFetch'
+import axiosClient from '../api/axiosClient'
+import { formatDate } from '../utils/dateUtils'
 import LoadingSpinner from '../components/LoadingSpinner'
 import ErrorAlert from '../components/ErrorAlert'
 
 /**
  * ManagerDashboard: Main dashboard for managers
- * Displays utilization analytics and quick action buttons
+ * Displays utilization analytics, pending assignment proposals and quick action buttons
  */
 const ManagerDashboard = () => {
   const { data: utilization, loading, error } = useFetch('/analytics/utilization')
+  const { data: pendingAssignments, refetch: refetchPending } = useFetch('/assignments?status=proposed')
+  const [actionError, setActionError] = useState(null)
+  const [updatingId, setUpdatingId] = useState(null)
+
+  // Confirm or cancel a proposal on the engineer's behalf
+  const updateProposal = async (assignmentId, status) => {
+    try {
+      setUpdatingId(assignmentId)
+      setActionError(null)
+      await axiosClient.patch(`/assignments/${assignmentId}/status`, { status })
+      refetchPending()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to update assignment')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
 
   if (loading) {
     return (
@@ -88,6 +108,58 @@ const ManagerDashboard = () => {
         </Card>
       </div>
 
+      {/* Pending Assignments */}
+      {pendingAssignments?.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              Pending Assignments
+              <Badge variant="secondary">{pendingAssignments.length}</Badge>
+            </CardTitle>
+            <CardDescription>
+              Proposals waiting for the engineer to accept or decline
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {actionError && <ErrorAlert message={actionError} className="mb-4" />}
+            <div className="divide-y">
+              {pendingAssignments.map((assignment) => (
+                <div key={assignment._id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 py-3">
+                  <div>
+                    <Link
+                      to={`/dashboard/assignments/${assignment._id}`}
+                      className="font-medium text-gray-900 hover:text-blue-600"
+                    >
+                      {assignment.engineerId?.name || 'Unknown engineer'} → {assignment.projectId?.name || 'Unknown project'}
+                    </Link>
+                    <p className="text-sm text-gray-600">
+                      {assignment.role} · {assignment.allocationPercentage}% · {formatDate(assignment.startDate)} - {formatDate(assignment.endDate)}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      size="sm"
+                      disabled={updatingId === assignment._id}
+                      onClick={() => updateProposal(assignment._id, 'confirmed')}
+                    >
+                      Confirm
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={updatingId === assignment._id}
+                      onClick={() => updateProposal(assignment._id, 'cancelled')}
+                    >
+                      Withdraw
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Utilization Chart */}
       {utilization?.engineers && (
         <Card>
@@ -1,11 +1,15 @@
 // File: src/pages/MyAssignmentsPage.jsx
-import React, { useContext } from 'react'
+import React, { useContext, useState } from 'react'
 import { Link } from 'react-router-dom'
 import { AuthContext } from '../context/AuthContext'
 import useFetch from '../hooks/useFetch'
+import axiosClient from '../api/axiosClient'
 import { formatDate } from '../utils/dateUtils'
+import { ASSIGNMENT_STATUS_LABELS, getAssignmentStatusVariant } from '../utils/assignmentUtils'
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
 import AssignmentTimeline from '@/components/AssignmentTimeline'
@@ -14,6 +18,7 @@ import AssignmentTimeline from '@/components/AssignmentTimeline'
  * MyAssignmentsPage: Engineer's view of their current assignments
  * Route: /dashboard/assignments (for engineer role)
  * Displays current user's assignments with project details and timeline
+ * Proposed assignments can be accepted or declined here
  */
 const MyAssignmentsPage = () => {
   const { user } = useContext(AuthContext)
@@ -23,6 +28,34 @@ const MyAssignmentsPage = () => {
     user?._id ? `/assignments?engineerId=${user._id}` : null,
     [user?._id]
   )
+  // Leave and holidays over the span of the assignments, for the timeline
+  const timelineFrom = assignments?.length ? assignments.map(a => a.startDate).sort()[0].slice(0, 10) : null
+  const timelineTo = assignments?.length ? assignments.map(a => a.endDate).sort().reverse()[0].slice(0, 10) : null
+  const { data: timeOff } = useFetch(
+    timelineFrom ? `/engineers/${user._id}/time-off?from=${timelineFrom}&to=${timelineTo}` : null
+  )
+  const [actionError, setActionError] = useState(null)
+  const [updatingId, setUpdatingId] = useState(null)
+  const [decliningId, setDecliningId] = useState(null)
+  const [declineReason, setDeclineReason] = useState('')
+
+  // Accept or decline a proposed assignment
+  const respondToProposal = async (assignmentId, status, reason) => {
+    try {
+      setUpdatingId(assignmentId)
+      setActionError(null)
+      await axiosClient.patch(`/assignments/${assignmentId}/status`, { status, reason })
+      setDecliningId(null)
+      setDeclineReason('')
+      refetch()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to update assignment')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const pendingCount = assignments?.filter(assignment => assignment.status === 'proposed').length || 0
 
   // Status badge color mapping
   const getStatusBadgeVariant = (status) => {
@@ -40,17 +73,6 @@ const MyAssignmentsPage = () => {
     }
   }
 
-  // Calculate assignment status based on dates
-  const getAssignmentStatus = (startDate, endDate) => {
-    const now = new Date()
-    const start = new Date(startDate)
-    const end = new Date(endDate)
-    
-    if (now < start) return 'upcoming'
-    if (now > end) return 'completed'
-    return 'active'
-  }
-
   if (loading) {
     return <LoadingSpinner />
   }
@@ -70,6 +92,16 @@ const MyAssignmentsPage = () => {
         </div>
       </div>
 
+      {actionError && <ErrorAlert message={actionError} className="mb-4" />}
+
+      {pendingCount > 0 && (
+        <div className="bg-blue-50 border border-blue-200 rounded-md p-4 mb-6">
+          <p className="text-blue-800 text-sm">
+            {pendingCount} proposed assignment{pendingCount === 1 ? ' is' : 's are'} waiting for your response.
+          </p>
+        </div>
+      )}
+
       {/* Assignments Timeline */}
       {assignments && assignments.length > 0 && (
         <Card className="mb-6">
@@ -77,7 +109,7 @@ const MyAssignmentsPage = () => {
             <CardTitle>Assignment Timeline</CardTitle>
           </CardHeader>
           <CardContent>
-            <AssignmentTimeline assignments={assignments} />
+            <AssignmentTimeline assignments={assignments} timeOff={timeOff || []} />
           </CardContent>
         </Card>
       )}
@@ -133,14 +165,73 @@ const MyAssignmentsPage = () => {
                   <div className="flex justify-between">
                     <span className="text-sm text-gray-600">Status:</span>
                     <Badge 
-                      variant={getAssignmentStatus(assignment.startDate, assignment.endDate) === 'active' ? 'default' : 'secondary'}
+                      variant={getAssignmentStatusVariant(assignment.status)}
                       className="text-xs"
                     >
-                      {getAssignmentStatus(assignment.startDate, assignment.endDate)}
+                      {ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}
                     </Badge>
                   </div>
+
+                  {assignment.status === 'declined' && assignment.declineReason && (
+                    <p className="text-xs text-gray-500">Reason: {assignment.declineReason}</p>
+                  )}
+
+                  <Link
+                    to={`/dashboard/assignments/${assignment._id}`}
+                    className="text-sm text-blue-600 hover:underline"
+                  >
+                    View details
+                  </Link>
                 </div>
 
+                {/* Accept / Decline */}
+                {assignment.status === 'proposed' && (
+                  decliningId === assignment._id ? (
+                    <div className="space-y-2 pt-2 border-t">
+                      <Textarea
+                        value={declineReason}
+                        onChange={(e) => setDeclineReason(e.target.value)}
+                        placeholder="Reason for declining (optional)"
+                        rows={2}
+                      />
+                      <div className="flex gap-2">
+                        <Button
+                          size="sm"
+                          variant="destructive"
+                          disabled={updatingId === assignment._id}
+                          onClick={() => respondToProposal(assignment._id, 'declined', declineReason)}
+                        >
+                          Confirm Decline
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => setDecliningId(null)}>
+                          Back
+                        </Button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex gap-2 pt-2 border-t">
+                      <Button
+                        size="sm"
+                        disabled={updatingId === assignment._id}
+                        onClick={() => respondToProposal(assignment._id, 'confirmed')}
+                      >
+                        Accept
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={updatingId === assignment._id}
+                        onClick={() => {
+                          setDecliningId(assignment._id)
+                          setDeclineReason('')
+                        }}
+                      >
+                        Decline
+                      </Button>
+                    </div>
+                  )
+                )}
+
                 {/* Project Manager */}
                 {assignment.projectId?.managerId?.name ? (
                   <div className="flex justify-between">
@@ -14,10 +14,15 @@ import {
   SelectContent,
   SelectItem
 } from '@/components/ui/select'
-import { Badge } from '@/components/ui/badge'
-import { X } from 'lucide-react'
+import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
+import TagInput from '@/components/TagInput'
+import AuditHistory from '@/components/AuditHistory'
+import CalendarSubscription from '@/components/CalendarSubscription'
+import SecuritySettings from '@/components/SecuritySettings'
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
+import { formatDateForInput } from '../utils/dateUtils'
+import { formatCapacityPeriod } from '../utils/capacityUtils'
 
 /**
  * ProfilePage: User profile management page
@@ -31,18 +36,15 @@ const ProfilePage = () => {
   const [success, setSuccess] = useState(false)
   const [availableSkills, setAvailableSkills] = useState([])
   const [selectedSkills, setSelectedSkills] = useState([])
-  const [newSkill, setNewSkill] = useState('')
+  const [capacity, setCapacity] = useState(null)
 
   const {
     register,
     handleSubmit,
     setValue,
-    watch,
     formState: { errors, isSubmitting }
   } = useForm()
 
-  const watchedEmploymentType = watch('employmentType')
-
   // Fetch profile data and available skills on mount
   useEffect(() => {
     const fetchData = async () => {
@@ -62,8 +64,13 @@ setAvailableSkills(engineersRes.data)
         setValue('name', userData.name || '')
         setValue('department', userData.department || '')
         setValue('seniority', userData.seniority || '')
-        setValue('employmentType', userData.maxCapacity === 100 ? 'full-time' : 'part-time')
-        setSelectedSkills(userData.skills || [])
+        setCapacity({ maxCapacity: userData.maxCapacity, capacityPeriods: userData.capacityPeriods || [] })
+        setSelectedSkills((userData.skills || []).map(skill => ({
+          name: skill.name,
+          level: skill.level || 3,
+          yearsOfExperience: skill.yearsOfExperience || 0,
+          lastUsed: skill.lastUsed ? formatDateForInput(skill.lastUsed) : ''
+        })))
         
       } catch (err) {
         setError(err.response?.data?.message || 'Failed to load profile data')
@@ -75,17 +82,19 @@ setAvailableSkills(engineersRes.data)
     fetchData()
   }, [setValue])
 
-  // Add skill to selected skills
-  const addSkill = (skill) => {
-    if (skill && !selectedSkills.includes(skill)) {
-      setSelectedSkills([...selectedSkills, skill])
-    }
-    setNewSkill('')
+  // Sync selected skills with the tag input, keeping details of skills that stay
+  const handleSkillNamesChange = (names) => {
+    setSelectedSkills(names.map(name =>
+      selectedSkills.find(skill => skill.name === name) ||
+        { name, level: 3, yearsOfExperience: 0, lastUsed: '' }
+    ))
   }
 
-  // Remove skill from selected skills
-  const removeSkill = (skillToRemove) => {
-    setSelectedSkills(selectedSkills.filter(skill => skill !== skillToRemove))
+  // Update proficiency details of a single skill
+  const updateSkill = (name, changes) => {
+    setSelectedSkills(selectedSkills.map(skill =>
+      skill.name === name ? { ...skill, ...changes } : skill
+    ))
   }
 
   // Handle form submission
@@ -99,8 +108,12 @@ setAvailableSkills(engineersRes.data)
         name: data.name,
         department: data.department,
         seniority: data.seniority,
-        skills: selectedSkills,
-        maxCapacity: data.employmentType === 'full-time' ? 100 : 50
+        skills: selectedSkills.map(skill => ({
+          name: skill.name,
+          level: skill.level,
+          yearsOfExperience: Number(skill.yearsOfExperience) || 0,
+          lastUsed: skill.lastUsed || undefined
+        }))
       }
 
       // Update profile
@@ -123,170 +136,194 @@ setAvailableSkills(engineersRes.data)
 
   return (
     <div className="container mx-auto px-4 py-8 max-w-2xl">
-      <Card>
-        <CardHeader>
-          <CardTitle>My Profile</CardTitle>
-          <p className="text-gray-600">Update your profile information and skills</p>
-        </CardHeader>
-        <CardContent>
-          {error && <ErrorAlert message={error} className="mb-4" />}
-          
-          {success && (
-            <div className="bg-green-50 border border-green-200 rounded-md p-4 mb-4">
-              <p className="text-green-800 text-sm">Profile updated successfully!</p>
-            </div>
-          )}
+      <Tabs defaultValue="profile">
+        <TabsList>
+          <TabsTrigger value="profile">Profile</TabsTrigger>
+          <TabsTrigger value="calendar">Calendar</TabsTrigger>
+          <TabsTrigger value="security">Security</TabsTrigger>
+          <TabsTrigger value="history">History</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="profile">
+          <Card>
+            <CardHeader>
+              <CardTitle>My Profile</CardTitle>
+              <p className="text-gray-600">Update your profile information and skills</p>
+            </CardHeader>
+            <CardContent>
+              {error && <ErrorAlert message={error} className="mb-4" />}
           
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-            {/* Name */}
-            <div className="space-y-2">
-              <Label htmlFor="name">Full Name *</Label>
-              <Input
-                {...register('name', {
-                  required: 'Name is required'
-                })}
-                placeholder="Enter your full name"
-              />
-              {errors.name && (
-                <p className="text-sm text-red-600">{errors.name.message}</p>
+              {success && (
+                <div className="bg-green-50 border border-green-200 rounded-md p-4 mb-4">
+                  <p className="text-green-800 text-sm">Profile updated successfully!</p>
+                </div>
               )}
-            </div>
+          
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                {/* Name */}
+                <div className="space-y-2">
+                  <Label htmlFor="name">Full Name *</Label>
+                  <Input
+                    {...register('name', {
+                      required: 'Name is required'
+                    })}
+                    placeholder="Enter your full name"
+                  />
+                  {errors.name && (
+                    <p className="text-sm text-red-600">{errors.name.message}</p>
+                  )}
+                </div>
 
-            {/* Email (Read-only) */}
-            <div className="space-y-2">
-              <Label htmlFor="email">Email</Label>
-              <Input
-                value={user?.email || ''}
-                disabled
-                className="bg-gray-50"
-              />
-              <p className="text-xs text-gray-500">Email cannot be changed</p>
-            </div>
+                {/* Email (Read-only) */}
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email</Label>
+                  <Input
+                    value={user?.email || ''}
+                    disabled
+                    className="bg-gray-50"
+                  />
+                  <p className="text-xs text-gray-500">Email cannot be changed</p>
+                </div>
 
-            {/* Department */}
-            <div className="space-y-2">
-              <Label htmlFor="department">Department</Label>
-              <Input
-                {...register('department')}
-                placeholder="e.g., Engineering, Product, Design"
-              />
-            </div>
+                {/* Department */}
+                <div className="space-y-2">
+                  <Label htmlFor="department">Department</Label>
+                  <Input
+                    {...register('department')}
+                    placeholder="e.g., Engineering, Product, Design"
+                  />
+                </div>
 
-            {/* Seniority */}
-            <div className="space-y-2">
-              <Label htmlFor="seniority">Seniority Level</Label>
-              <Select onValueChange={(value) => setValue('seniority', value)}>
-                <SelectTrigger>
-                  <SelectValue placeholder="Select seniority level" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="junior">Junior</SelectItem>
-                  <SelectItem value="mid">Mid-level</SelectItem>
-                  <SelectItem value="senior">Senior</SelectItem>
-                </SelectContent>
-              </Select>
-            </div>
+                {/* Seniority */}
+                <div className="space-y-2">
+                  <Label htmlFor="seniority">Seniority Level</Label>
+                  <Select onValueChange={(value) => setValue('seniority', value)}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select seniority level" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="junior">Junior</SelectItem>
+                      <SelectItem value="mid">Mid-level</SelectItem>
+                      <SelectItem value="senior">Senior</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
 
-            {/* Employment Type */}
-            <div className="space-y-2">
-              <Label htmlFor="employmentType">Employment Type</Label>
-              <Select onValueChange={(value) => setValue('employmentType', value)}>
-                <SelectTrigger>
-                  <SelectValue placeholder="Select employment type" />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="full-time">Full-time (100% capacity)</SelectItem>
-                  <SelectItem value="part-time">Part-time (50% capacity)</SelectItem>
-                </SelectContent>
-              </Select>
-            </div>
+                {/* Capacity (Read-only, set by managers) */}
+                {capacity && (
+                  <div className="space-y-2">
+                    <Label>Capacity</Label>
+                    <div className="bg-gray-50 p-3 rounded text-sm text-gray-700">
+                      <p>{capacity.maxCapacity || 100}% by default</p>
+                      {capacity.capacityPeriods.map(period => (
+                        <p key={period.startDate}>{formatCapacityPeriod(period)}</p>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500">Ask your manager to change your capacity</p>
+                  </div>
+                )}
 
-            {/* Skills */}
-            <div className="space-y-2">
-              <Label>Skills</Label>
+                {/* Skills */}
+                <div className="space-y-2">
+                  <Label>Skills</Label>
               
-              {/* Current Skills Display */}
-              <div className="flex flex-wrap gap-2 mb-3">
-                {selectedSkills.map(skill => (
-                  <Badge key={skill} variant="secondary" className="flex items-center gap-1">
-                    {skill}
-                    <X 
-                      className="h-3 w-3 cursor-pointer hover:text-red-600" 
-                      onClick={() => removeSkill(skill)}
-                    />
-                  </Badge>
-                ))}
-              </div>
-
-              {/* Add New Skill */}
-              <div className="flex gap-2">
-                <Input
-                  value={newSkill}
-                  onChange={(e) => setNewSkill(e.target.value)}
-                  placeholder="Add a skill"
-                  onKeyPress={(e) => {
-                    if (e.key === 'Enter') {
-                      e.preventDefault()
-                      addSkill(newSkill)
-                    }
-                  }}
-                />
-                <Button
-                  type="button"
-                  variant="outline"
-                  onClick={() => addSkill(newSkill)}
-                  disabled={!newSkill}
-                >
-                  Add
-                </Button>
-              </div>
+                  <TagInput
+                    tags={selectedSkills.map(skill => skill.name)}
+                    onTagsChange={handleSkillNamesChange}
+                    suggestions={availableSkills}
+                    levels={Object.fromEntries(selectedSkills.map(skill => [skill.name, skill.level]))}
+                    onLevelChange={(name, level) => updateSkill(name, { level })}
+                    placeholder="Add a skill"
+                  />
+                  <p className="text-xs text-gray-500">
+                    Set a proficiency from 1 (Beginner) to 5 (Expert) for each skill
+                  </p>
 
-              {/* Available Skills Suggestions */}
-              {availableSkills.length > 0 && (
-                <div className="mt-2">
-                  <p className="text-sm text-gray-600 mb-2">Suggested skills:</p>
-                  <div className="flex flex-wrap gap-1">
-                    {availableSkills
-                      .filter(skill => !selectedSkills.includes(skill))
-                      .slice(0, 10)
-                      .map(skill => (
-                        <button
-                          key={skill}
-                          type="button"
-                          onClick={() => addSkill(skill)}
-                          className="text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded transition-colors"
-                        >
-                          + {skill}
-                        </button>
+                  {/* Experience per skill */}
+                  {selectedSkills.length > 0 && (
+                    <div className="space-y-2 mt-3">
+                      <div className="grid grid-cols-3 gap-2 text-xs font-medium text-gray-600">
+                        <span>Skill</span>
+                        <span>Years of experience</span>
+                        <span>Last used</span>
+                      </div>
+                      {selectedSkills.map(skill => (
+                        <div key={skill.name} className="grid grid-cols-3 gap-2 items-center">
+                          <span className="text-sm">{skill.name}</span>
+                          <Input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={skill.yearsOfExperience}
+                            onChange={(e) => updateSkill(skill.name, { yearsOfExperience: e.target.value })}
+                          />
+                          <Input
+                            type="date"
+                            value={skill.lastUsed}
+                            onChange={(e) => updateSkill(skill.name, { lastUsed: e.target.value })}
+                          />
+                        </div>
                       ))}
+                    </div>
+                  )}
+                </div>
+
+                {/* Current Role Display */}
+                <div className="space-y-2">
+                  <Label>Current Role</Label>
+                  <div className="bg-gray-50 p-3 rounded">
+                    <p className="text-sm text-gray-700">
+                      <span className="font-medium">Role:</span> {user?.role || 'Not specified'}
+                    </p>
                   </div>
                 </div>
-              )}
-            </div>
 
-            {/* Current Role Display */}
-            <div className="space-y-2">
-              <Label>Current Role</Label>
-              <div className="bg-gray-50 p-3 rounded">
-                <p className="text-sm text-gray-700">
-                  <span className="font-medium">Role:</span> {user?.role || 'Not specified'}
-                </p>
-              </div>
-            </div>
+                {/* Form Actions */}
+                <div className="flex gap-4 pt-4">
+                  <Button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="flex-1"
+                  >
+                    {isSubmitting ? 'Updating...' : 'Update Profile'}
+                  </Button>
+                </div>
+              </form>
+            </CardContent>
+          </Card>
+        </TabsContent>
+
+        {/* Assignments calendar feed */}
+        <TabsContent value="calendar">
+          <Card>
+            <CardHeader>
+              <CardTitle>Calendar</CardTitle>
+              <p className="text-gray-600">Subscribe to your assignments in your calendar app</p>
+            </CardHeader>
+            <CardContent>
+              <CalendarSubscription userId={user?._id} />
+            </CardContent>
+          </Card>
+        </TabsContent>
+
+        {/* Password and devices signed in to this account */}
+        <TabsContent value="security">
+          <SecuritySettings />
+        </TabsContent>
 
-            {/* Form Actions */}
-            <div className="flex gap-4 pt-4">
-              <Button
-                type="submit"
-                disabled={isSubmitting}
-                className="flex-1"
-              >
-                {isSubmitting ? 'Updating...' : 'Update Profile'}
-              </Button>
-            </div>
-          </form>
-        </CardContent>
-      </Card>
+        {/* Changes to this profile and its assignments */}
+        <TabsContent value="history">
+          <Card>
+            <CardHeader>
+              <CardTitle>History</CardTitle>
+              <p className="text-gray-600">Changes to your profile and assignments</p>
+            </CardHeader>
+            <CardContent>
+              <AuditHistory url={`/engineers/${user?._id}/history`} />
+            </CardContent>
+          </Card>
+        </TabsContent>
+      </Tabs>
     </div>
   )
 }
@@ -7,11 +7,19 @@ import React, { useState, useEffect, useContext } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter, DialogTrigger } from '@/components/ui/dialog'
+import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
+import { Label } from '@/components/ui/label'
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
 import SkillTag from '@/components/SkillTag'
+import AuditHistory from '@/components/AuditHistory'
 import { formatDate } from '../utils/dateUtils'
+import { getSkillName, formatRequirement } from '../utils/skillUtils'
+import { ASSIGNMENT_STATUS_LABELS, getAssignmentStatusVariant } from '../utils/assignmentUtils'
+import { PROJECT_STATUS_LABELS, PROJECT_STATUS_TRANSITIONS, getProjectStatusAction } from '../utils/projectUtils'
+import { isManagerRole } from '../utils/roleUtils'
 import { AuthContext } from '../context/AuthContext'
 import axiosClient from '../api/axiosClient'
 
@@ -24,6 +32,11 @@ const ProjectDetailPage = () => {
   const [error, setError] = useState(null)
   const [deleteAssignmentId, setDeleteAssignmentId] = useState(null)
   const [isDeleting, setIsDeleting] = useState(false)
+  const [showDeleteProject, setShowDeleteProject] = useState(false)
+  const [nextStatus, setNextStatus] = useState(null)
+  const [pauseAssignments, setPauseAssignments] = useState(true)
+  const [isChangingStatus, setIsChangingStatus] = useState(false)
+  const [statusNotice, setStatusNotice] = useState(null)
 
   // Fetch project details
   const fetchProject = async () => {
@@ -52,12 +65,58 @@ const ProjectDetailPage = () => {
       await fetchProject()
       setDeleteAssignmentId(null)
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to delete assignment')
+      setError(err.response?.data?.message || 'Failed to archive assignment')
     } finally {
       setIsDeleting(false)
     }
   }
 
+  // Handle project deletion (archives it); the API refuses while assignments remain
+  const handleDeleteProject = async () => {
+    setIsDeleting(true)
+    try {
+      await axiosClient.delete(`/projects/${id}`)
+      navigate('/dashboard/projects')
+    } catch (err) {
+      setShowDeleteProject(false)
+      setError(err.response?.data?.message || 'Failed to archive project')
+    } finally {
+      setIsDeleting(false)
+    }
+  }
+
+  // Move the project to a new status; the API applies the side effects on assignments
+  const handleStatusChange = async () => {
+    setIsChangingStatus(true)
+    try {
+      const response = await axiosClient.patch(`/projects/${id}/status`, {
+        status: nextStatus,
+        pauseAssignments: nextStatus === 'on-hold' && pauseAssignments
+      })
+      const { assignmentChanges = [], stillPaused = [] } = response.data
+      setStatusNotice(stillPaused.length > 0
+        ? `${stillPaused.length} assignment(s) stay paused because their engineers no longer have capacity`
+        : assignmentChanges.length > 0 ? `${assignmentChanges.length} assignment(s) updated` : null)
+      setNextStatus(null)
+      await fetchProject()
+    } catch (err) {
+      setNextStatus(null)
+      setError(err.response?.data?.message || 'Failed to change project status')
+    } finally {
+      setIsChangingStatus(false)
+    }
+  }
+
+  // Restore an archived project
+  const handleRestoreProject = async () => {
+    try {
+      await axiosClient.post(`/projects/${id}/restore`)
+      await fetchProject()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore project')
+    }
+  }
+
   // Get status badge styling
   const getStatusBadge = (status) => {
     const baseClasses = 'px-3 py-1 rounded-full text-sm font-medium'
@@ -75,8 +134,9 @@ const ProjectDetailPage = () => {
     }
   }
 
-  // Check if user is manager and can manage assignments
-  const canManageAssignments = user && user.role === 'manager'
+  // Check if user is manager and can manage assignments (archived projects are read-only)
+  const isManager = isManagerRole(user?.role)
+  const canManageAssignments = isManager && !project?.deletedAt
 
   if (loading) return <LoadingSpinner />
   if (error) return <ErrorAlert message={error} />
@@ -91,10 +151,29 @@ const ProjectDetailPage = () => {
         </Link>
         <h1 className="text-3xl font-bold">{project.name}</h1>
         <span className={getStatusBadge(project.status)}>
-          {project.status}
+          {PROJECT_STATUS_LABELS[project.status] || project.status}
         </span>
       </div>
 
+      {statusNotice && (
+        <div className="bg-blue-50 border border-blue-200 rounded-md p-4 mb-6 text-sm text-blue-800">
+          {statusNotice}
+        </div>
+      )}
+
+      {/* Archived Notice */}
+      {project.deletedAt && (
+        <div className="flex flex-wrap items-center justify-between gap-4 bg-gray-100 border rounded-md p-4 mb-6">
+          <p className="text-sm text-gray-700">
+            Archived on {formatDate(project.deletedAt)}
+            {project.deletedBy?.name && ` by ${project.deletedBy.name}`}
+          </p>
+          {isManager && (
+            <Button size="sm" onClick={handleRestoreProject}>Restore Project</Button>
+          )}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Project Information */}
         <div className="lg:col-span-2">
@@ -125,10 +204,13 @@ const ProjectDetailPage = () => {
                 {/* Required Skills */}
                 <div>
                   <h4 className="font-medium text-gray-900 mb-2">Required Skills</h4>
-                  <div className="flex flex-wrap gap-2">
+                  <div className="space-y-1">
                     {project.requiredSkills && project.requiredSkills.length > 0 ? (
                       project.requiredSkills.map(skill => (
-                        <SkillTag key={skill} skill={skill} />
+                        <div key={getSkillName(skill)} className="flex items-center gap-2">
+                          <SkillTag skill={getSkillName(skill)} />
+                          <span className="text-sm text-gray-600">{formatRequirement(skill)}</span>
+                        </div>
                       ))
                     ) : (
                       <span className="text-gray-500">No skills specified</span>
@@ -143,10 +225,10 @@ const ProjectDetailPage = () => {
                 </div>
 
                 {/* Manager Info */}
-                {project.manager && (
+                {project.managerId?.name && (
                   <div>
                     <h4 className="font-medium text-gray-900 mb-1">Project Manager</h4>
-                    <p className="text-gray-600">{project.manager.name} ({project.manager.email})</p>
+                    <p className="text-gray-600">{project.managerId.name} ({project.managerId.email})</p>
                   </div>
                 )}
               </div>
@@ -167,9 +249,88 @@ const ProjectDetailPage = () => {
                     <Link to={`/dashboard/projects/${project._id}/edit`} className="block">
                       <Button className="w-full">Edit Project</Button>
                     </Link>
-                    <Link to={`/dashboard/assignments/new?projectId=${project._id}`} className="block">
-                      <Button variant="outline" className="w-full">Add Assignment</Button>
-                    </Link>
+                    {['planning', 'active'].includes(project.status) && (
+                      <Link to={`/dashboard/assignments/new?projectId=${project._id}`} className="block">
+                        <Button variant="outline" className="w-full">Add Assignment</Button>
+                      </Link>
+                    )}
+                    {(PROJECT_STATUS_TRANSITIONS[project.status] || []).map(status => (
+                      <Button
+                        key={status}
+                        variant="outline"
+                        className="w-full"
+                        onClick={() => setNextStatus(status)}
+                      >
+                        {getProjectStatusAction(project.status, status)}
+                      </Button>
+                    ))}
+                    <Dialog open={!!nextStatus} onOpenChange={(open) => !open && setNextStatus(null)}>
+                      <DialogContent>
+                        <DialogHeader>
+                          <DialogTitle>{nextStatus && getProjectStatusAction(project.status, nextStatus)}</DialogTitle>
+                          <DialogDescription>
+                            {nextStatus === 'completed' &&
+                              'Open assignments end today: work that has started is marked completed and anything else is cancelled, freeing the engineers\' time.'}
+                            {nextStatus === 'on-hold' &&
+                              'New assignments can\'t be added while the project is on hold.'}
+                            {nextStatus === 'active' && project.status === 'on-hold' &&
+                              'Paused assignments resume where their engineers still have capacity.'}
+                            {nextStatus === 'active' && project.status === 'planning' &&
+                              `Mark ${project.name} as active?`}
+                          </DialogDescription>
+                        </DialogHeader>
+                        {nextStatus === 'on-hold' && (
+                          <div className="flex items-start gap-2">
+                            <input
+                              id="pauseAssignments"
+                              type="checkbox"
+                              className="mt-1"
+                              checked={pauseAssignments}
+                              onChange={(e) => setPauseAssignments(e.target.checked)}
+                            />
+                            <Label htmlFor="pauseAssignments" className="font-normal leading-snug">
+                              Pause assignments
+                              <span className="block text-xs text-gray-500">
+                                Confirmed and active assignments stop counting against capacity until the project resumes
+                              </span>
+                            </Label>
+                          </div>
+                        )}
+                        <DialogFooter>
+                          <Button variant="outline" onClick={() => setNextStatus(null)}>
+                            Cancel
+                          </Button>
+                          <Button onClick={handleStatusChange} disabled={isChangingStatus}>
+                            {isChangingStatus ? 'Saving...' : 'Confirm'}
+                          </Button>
+                        </DialogFooter>
+                      </DialogContent>
+                    </Dialog>
+                    <Dialog open={showDeleteProject} onOpenChange={setShowDeleteProject}>
+                      <DialogTrigger asChild>
+                        <Button variant="destructive" className="w-full">Archive Project</Button>
+                      </DialogTrigger>
+                      <DialogContent>
+                        <DialogHeader>
+                          <DialogTitle>Archive Project</DialogTitle>
+                          <DialogDescription>
+                            Are you sure you want to archive {project.name}? Projects with assignments can't be archived.
+                          </DialogDescription>
+                        </DialogHeader>
+                        <DialogFooter>
+                          <Button variant="outline" onClick={() => setShowDeleteProject(false)}>
+                            Cancel
+                          </Button>
+                          <Button
+                            variant="destructive"
+                            onClick={handleDeleteProject}
+                            disabled={isDeleting}
+                          >
+                            {isDeleting ? 'Archiving...' : 'Archive'}
+                          </Button>
+                        </DialogFooter>
+                      </DialogContent>
+                    </Dialog>
                   </>
                 )}
                 <Link to="/dashboard/projects" className="block">
@@ -181,102 +342,133 @@ const ProjectDetailPage = () => {
         </div>
       </div>
 
-      {/* Assignments Section */}
-      <Card className="mt-6">
-        <CardHeader>
-          <CardTitle className="flex items-center justify-between">
-            <span>Team Assignments</span>
-            {canManageAssignments && (
-              <Link to={`/dashboard/assignments/new?projectId=${project._id}`}>
-                <Button size="sm">Add Assignment</Button>
-              </Link>
-            )}
-          </CardTitle>
-        </CardHeader>
-        <CardContent>
-          {project.assignments && project.assignments.length > 0 ? (
-            <div className="space-y-4">
-              {project.assignments.map(assignment => (
-                <div key={assignment._id} className="border rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-4 mb-2">
-                        <h4 className="font-medium text-gray-900">
-                          {assignment.engineer ? assignment.engineer.name : 'Unknown Engineer'}
-                        </h4>
-                        <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded">
-                          {assignment.allocationPercentage}% allocated
-                        </span>
-                        {assignment.role && (
-                          <span className="text-sm bg-gray-100 text-gray-800 px-2 py-1 rounded">
-                            {assignment.role}
-                          </span>
-                        )}
-                      </div>
-                      <div className="text-sm text-gray-600">
-                        <span className="mr-4">
-                          {formatDate(assignment.startDate)} - {formatDate(assignment.endDate)}
-                        </span>
-                        {assignment.engineer && assignment.engineer.email && (
-                          <span>{assignment.engineer.email}</span>
-                        )}
-                      </div>
-                    </div>
+      <Tabs defaultValue="assignments" className="mt-6">
+        <TabsList>
+          <TabsTrigger value="assignments">Team Assignments</TabsTrigger>
+          {isManager && <TabsTrigger value="history">History</TabsTrigger>}
+        </TabsList>
+
+        <TabsContent value="assignments">
+          {/* Assignments Section */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between">
+                <span>Team Assignments</span>
+                {canManageAssignments && ['planning', 'active'].includes(project.status) && (
+                  <Link to={`/dashboard/assignments/new?projectId=${project._id}`}>
+                    <Button size="sm">Add Assignment</Button>
+                  </Link>
+                )}
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {project.assignments && project.assignments.length > 0 ? (
+                <div className="space-y-4">
+                  {project.assignments.map(assignment => (
+                    <div key={assignment._id} className="border rounded-lg p-4">
+                      <div className="flex items-center justify-between">
+                        <div className="flex-1">
+                          <div className="flex items-center gap-4 mb-2">
+                            <h4 className="font-medium text-gray-900">
+                              <Link to={`/dashboard/assignments/${assignment._id}`} className="hover:text-blue-600">
+                                {assignment.engineerId ? assignment.engineerId.name : 'Unknown Engineer'}
+                              </Link>
+                            </h4>
+                            <Badge variant={getAssignmentStatusVariant(assignment.status)}>
+                              {ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}
+                            </Badge>
+                            <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                              {assignment.allocationPercentage}% allocated
+                            </span>
+                            {assignment.role && (
+                              <span className="text-sm bg-gray-100 text-gray-800 px-2 py-1 rounded">
+                                {assignment.role}
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-sm text-gray-600">
+                            <span className="mr-4">
+                              {formatDate(assignment.startDate)} - {formatDate(assignment.endDate)}
+                            </span>
+                            {assignment.engineerId && assignment.engineerId.email && (
+                              <span>{assignment.engineerId.email}</span>
+                            )}
+                          </div>
+                        </div>
                     
-                    {canManageAssignments && (
-                      <div className="flex gap-2">
-                        <Link to={`/dashboard/assignments/${assignment._id}/edit`}>
-                          <Button size="sm" variant="outline">Edit</Button>
-                        </Link>
-                        <Dialog>
-                          <DialogTrigger asChild>
-                            <Button 
-                              size="sm" 
-                              variant="destructive"
-                              onClick={() => setDeleteAssignmentId(assignment._id)}
+                        {canManageAssignments && (
+                          <div className="flex gap-2">
+                            <Link to={`/dashboard/assignments/${assignment._id}/edit`}>
+                              <Button size="sm" variant="outline">Edit</Button>
+                            </Link>
+                            <Dialog
+                              open={deleteAssignmentId === assignment._id}
+                              onOpenChange={(open) => setDeleteAssignmentId(open ? assignment._id : null)}
                             >
-                              Delete
-                            </Button>
-                          </DialogTrigger>
-                          <DialogContent>
-                            <DialogHeader>
-                              <DialogTitle>Delete Assignment</DialogTitle>
-                              <DialogDescription>
-                                Are you sure you want to delete this assignment? This action cannot be undone.
-                              </DialogDescription>
-                            </DialogHeader>
-                            <DialogFooter>
-                              <Button variant="outline" onClick={() => setDeleteAssignmentId(null)}>
-                                Cancel
-                              </Button>
-                              <Button 
-                                variant="destructive" 
-                                onClick={() => handleDeleteAssignment(assignment._id)}
-                                disabled={isDeleting}
-                              >
-                                {isDeleting ? 'Deleting...' : 'Delete'}
-                              </Button>
-                            </DialogFooter>
-                          </DialogContent>
-                        </Dialog>
+                              <DialogTrigger asChild>
+                                <Button 
+                                  size="sm" 
+                                  variant="destructive"
+                                  onClick={() => setDeleteAssignmentId(assignment._id)}
+                                >
+                                  Archive
+                                </Button>
+                              </DialogTrigger>
+                              <DialogContent>
+                                <DialogHeader>
+                                  <DialogTitle>Archive Assignment</DialogTitle>
+                                  <DialogDescription>
+                                    Are you sure you want to archive this assignment? It will no longer count towards the engineer's capacity.
+                                  </DialogDescription>
+                                </DialogHeader>
+                                <DialogFooter>
+                                  <Button variant="outline" onClick={() => setDeleteAssignmentId(null)}>
+                                    Cancel
+                                  </Button>
+                                  <Button 
+                                    variant="destructive" 
+                                    onClick={() => handleDeleteAssignment(assignment._id)}
+                                    disabled={isDeleting}
+                                  >
+                                    {isDeleting ? 'Archiving...' : 'Archive'}
+                                  </Button>
+                                </DialogFooter>
+                              </DialogContent>
+                            </Dialog>
+                          </div>
+                        )}
                       </div>
-                    )}
-                  </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center py-8">
+                  <p className="text-gray-500 mb-4">No assignments yet</p>
+                  {canManageAssignments && (
+                    <Link to={`/dashboard/assignments/new?projectId=${project._id}`}>
+                      <Button>Create First Assignment</Button>
+                    </Link>
+                  )}
                 </div>
-              ))}
-            </div>
-          ) : (
-            <div className="text-center py-8">
-              <p className="text-gray-500 mb-4">No assignments yet</p>
-              {canManageAssignments && (
-                <Link to={`/dashboard/assignments/new?projectId=${project._id}`}>
-                  <Button>Create First Assignment</Button>
-                </Link>
               )}
-            </div>
-          )}
-        </CardContent>
-      </Card>
+            </CardContent>
+          </Card>
+        </TabsContent>
+
+        {/* Changes to the project and its assignments (audit log is manager-only) */}
+        {isManager && (
+          <TabsContent value="history">
+            <Card>
+              <CardHeader>
+                <CardTitle>History</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <AuditHistory url={`/audit?projectId=${project._id}`} />
+              </CardContent>
+            </Card>
+          </TabsContent>
+        )}
+      </Tabs>
     </div>
   )
 }
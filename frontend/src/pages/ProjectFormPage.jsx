@@ -8,15 +8,17 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useForm } from 'react-hook-form'
 import axiosClient from '../api/axiosClient'
 import { formatDateForInput } from '../utils/dateUtils'
+import { getSkillName, toRequirement, SKILL_LEVELS, SKILL_PRIORITIES } from '../utils/skillUtils'
+import { REFLOW_MODES } from '../utils/assignmentUtils'
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Button } from '@/components/ui/button'
 import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '@/components/ui/select'
 import { Textarea } from '@/components/ui/textarea'
-import { Badge } from '@/components/ui/badge'
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
+import ReflowPreview from '@/components/ReflowPreview'
 
 const ProjectFormPage = () => {
   const { id } = useParams()
@@ -29,6 +31,10 @@ const ProjectFormPage = () => {
   const [availableSkills, setAvailableSkills] = useState([])
   const [selectedSkills, setSelectedSkills] = useState([])
   const [newSkill, setNewSkill] = useState('')
+  const [savedDates, setSavedDates] = useState({ startDate: '', endDate: '' })
+  const [reflowMode, setReflowMode] = useState('none')
+  const [reflowPreview, setReflowPreview] = useState(null)
+  const [pendingData, setPendingData] = useState(null)
 
   const {
     register,
@@ -50,6 +56,7 @@ const ProjectFormPage = () => {
 
   const startDate = watch('startDate')
   const endDate = watch('endDate')
+  const datesChanged = isEdit && (startDate !== savedDates.startDate || endDate !== savedDates.endDate)
 
   // Fetch engineers to derive available skills
   useEffect(() => {
@@ -61,7 +68,7 @@ const ProjectFormPage = () => {
         // Extract unique skills from all engineers
         const skills = new Set()
         response.data.forEach(engineer => {
-          engineer.skills?.forEach(skill => skills.add(skill))
+          engineer.skills?.forEach(skill => skills.add(getSkillName(skill)))
         })
         setAvailableSkills(Array.from(skills))
       } catch (err) {
@@ -81,6 +88,10 @@ const ProjectFormPage = () => {
           const project = response.data
           
           // Populate form fields
+          setSavedDates({
+            startDate: formatDateForInput(project.startDate),
+            endDate: formatDateForInput(project.endDate)
+          })
           reset({
             name: project.name,
             description: project.description,
@@ -91,7 +102,7 @@ const ProjectFormPage = () => {
           })
           
           // Set selected skills
-          setSelectedSkills(project.requiredSkills || [])
+          setSelectedSkills((project.requiredSkills || []).map(toRequirement))
         } catch (err) {
           setError('Failed to load project data')
         } finally {
@@ -102,24 +113,32 @@ const ProjectFormPage = () => {
     }
   }, [id, isEdit, reset])
 
-  // Add skill to selected skills
+  const isSelected = (name) =>
+    selectedSkills.some(skill => skill.name.toLowerCase() === name.toLowerCase())
+
+  // Add skill to selected skills as a single must-have
   const addSkill = (skill) => {
-    if (skill && !selectedSkills.includes(skill)) {
-      setSelectedSkills([...selectedSkills, skill])
+    if (skill && !isSelected(skill)) {
+      setSelectedSkills([...selectedSkills, toRequirement(skill)])
     }
   }
 
   // Remove skill from selected skills
   const removeSkill = (skillToRemove) => {
-    setSelectedSkills(selectedSkills.filter(skill => skill !== skillToRemove))
+    setSelectedSkills(selectedSkills.filter(skill => skill.name !== skillToRemove))
+  }
+
+  // Update priority, minimum level or headcount of a selected skill
+  const updateSkill = (name, changes) => {
+    setSelectedSkills(selectedSkills.map(skill =>
+      skill.name === name ? { ...skill, ...changes } : skill
+    ))
   }
 
   // Add new custom skill
   const addNewSkill = () => {
-    if (newSkill.trim() && !selectedSkills.includes(newSkill.trim())) {
-      setSelectedSkills([...selectedSkills, newSkill.trim()])
-      setNewSkill('')
-    }
+    addSkill(newSkill.trim())
+    setNewSkill('')
   }
 
   // Form submission handler
@@ -136,11 +155,21 @@ const ProjectFormPage = () => {
     try {
       const projectData = {
         ...data,
-        requiredSkills: selectedSkills,
+        requiredSkills: selectedSkills.map(skill => ({
+          ...skill,
+          headcount: parseInt(skill.headcount) || 1
+        })),
         teamSize: parseInt(data.teamSize)
       }
+      // Status changes on existing projects go through the project page
+      if (isEdit) delete projectData.status
 
-      if (isEdit) {
+      if (isEdit && datesChanged && reflowMode !== 'none') {
+        // Preview how assignments move before saving anything
+        const response = await axiosClient.put(`/projects/${id}`, { ...projectData, reflow: reflowMode })
+        setPendingData(projectData)
+        setReflowPreview(response.data)
+      } else if (isEdit) {
         await axiosClient.put(`/projects/${id}`, projectData)
         navigate(`/dashboard/projects/${id}`)
       } else {
@@ -154,6 +183,47 @@ const ProjectFormPage = () => {
     }
   }
 
+  // Save the project and apply the previewed assignment moves
+  const applyReflow = async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      await axiosClient.put(`/projects/${id}?commit=true`, { ...pendingData, reflow: reflowPreview.mode })
+      navigate(`/dashboard/projects/${id}`)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save project')
+      if (err.response?.data?.conflicts) {
+        setReflowPreview({ ...reflowPreview, ...err.response.data })
+      }
+      setLoading(false)
+    }
+  }
+
+  if (reflowPreview) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Review Assignment Changes</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {error && <ErrorAlert message={error} className="mb-4" />}
+            <ReflowPreview
+              preview={reflowPreview}
+              onApply={applyReflow}
+              onBack={() => {
+                setReflowPreview(null)
+                setError(null)
+              }}
+              applying={loading}
+            />
+          </CardContent>
+        </Card>
+      </div>
+    )
+  }
+
   if (loading && isEdit) {
     return <LoadingSpinner />
   }
@@ -227,6 +297,31 @@ const ProjectFormPage = () => {
               </div>
             </div>
 
+            {/* Assignment Reflow */}
+            {datesChanged && (
+              <div>
+                <Label>Existing Assignments</Label>
+                <Select value={reflowMode} onValueChange={setReflowMode}>
+                  <SelectTrigger className="mt-2">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">Keep their dates</SelectItem>
+                    {REFLOW_MODES.map(option => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}: {option.description.toLowerCase()}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {reflowMode !== 'none' && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    You'll see the changes and any capacity conflicts before anything is saved.
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Required Skills */}
             <div>
               <Label>Required Skills</Label>
@@ -261,20 +356,70 @@ const ProjectFormPage = () => {
               </div>
 
               {/* Selected Skills */}
-              <div className="flex flex-wrap gap-2 mt-3">
-                {selectedSkills.map(skill => (
-                  <Badge key={skill} variant="secondary" className="cursor-pointer">
-                    {skill}
-                    <button
-                      type="button"
-                      onClick={() => removeSkill(skill)}
-                      className="ml-2 text-red-500 hover:text-red-700"
-                    >
-                      ×
-                    </button>
-                  </Badge>
-                ))}
-              </div>
+              {selectedSkills.length > 0 && (
+                <div className="space-y-2 mt-3">
+                  <div className="grid grid-cols-12 gap-2 text-xs font-medium text-gray-600">
+                    <span className="col-span-3">Skill</span>
+                    <span className="col-span-3">Priority</span>
+                    <span className="col-span-3">Minimum level</span>
+                    <span className="col-span-2">Engineers</span>
+                  </div>
+                  {selectedSkills.map(skill => (
+                    <div key={skill.name} className="grid grid-cols-12 gap-2 items-center">
+                      <span className="col-span-3 text-sm font-medium">{skill.name}</span>
+                      <div className="col-span-3">
+                        <Select
+                          value={skill.priority}
+                          onValueChange={(value) => updateSkill(skill.name, { priority: value })}
+                        >
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {SKILL_PRIORITIES.map(option => (
+                              <SelectItem key={option.value} value={option.value}>
+                                {option.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="col-span-3">
+                        <Select
+                          value={String(skill.minLevel)}
+                          onValueChange={(value) => updateSkill(skill.name, { minLevel: Number(value) })}
+                        >
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {SKILL_LEVELS.map(option => (
+                              <SelectItem key={option.value} value={String(option.value)}>
+                                {option.value} - {option.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <Input
+                        type="number"
+                        min="1"
+                        className="col-span-2"
+                        value={skill.headcount}
+                        onChange={(e) => updateSkill(skill.name, { headcount: e.target.value })}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeSkill(skill.name)}
+                        className="col-span-1 text-red-500 hover:text-red-700"
+                        title="Remove skill"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
 
             {/* Team Size and Status */}
@@ -296,26 +441,30 @@ const ProjectFormPage = () => {
                 )}
               </div>
 
-              <div>
-                <Label htmlFor="status">Status</Label>
-                <Select onValueChange={(value) => setValue('status', value)}>
-                  <SelectTrigger>
-                    <SelectValue placeholder="Select status..." />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="planning">Planning</SelectItem>
-                    <SelectItem value="active">Active</SelectItem>
-                    <SelectItem value="completed">Completed</SelectItem>
-                    <SelectItem value="on-hold">On Hold</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
+              {!isEdit && (
+                <div>
+                  <Label htmlFor="status">Status</Label>
+                  <Select onValueChange={(value) => setValue('status', value)}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select status..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="planning">Planning</SelectItem>
+                      <SelectItem value="active">Active</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
             </div>
 
             {/* Submit Buttons */}
             <div className="flex gap-4 pt-4">
               <Button type="submit" disabled={loading}>
-                {loading ? 'Saving...' : isEdit ? 'Update Project' : 'Create Project'}
+                {loading
+                  ? 'Saving...'
+                  : isEdit
+                    ? (datesChanged && reflowMode !== 'none' ? 'Preview Changes' : 'Update Project')
+                    : 'Create Project'}
               </Button>
               <Button 
                 type="button" 
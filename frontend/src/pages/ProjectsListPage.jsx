@@ -1,10 +1,11 @@
 // File: src/pages/ProjectsListPage.jsx
 /**
- * ProjectsListPage: Manager view to list and filter projects
- * with status and date range filters
+ * ProjectsListPage: List and filter projects with status and date range filters
+ * Managers see every project; engineers see the projects they're assigned to
  */
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useContext } from 'react'
 import { Link } from 'react-router-dom'
+import { AuthContext } from '../context/AuthContext'
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -13,25 +14,31 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
 import SkillTag from '@/components/SkillTag'
+import ExportButton from '@/components/ExportButton'
 import { formatDate, formatDateForInput } from '../utils/dateUtils'
+import { getSkillName } from '../utils/skillUtils'
+import { isManagerRole } from '../utils/roleUtils'
 import axiosClient from '../api/axiosClient'
 
 const ProjectsListPage = () => {
+  const { user } = useContext(AuthContext)
+  const isManager = isManagerRole(user?.role)
   const [projects, setProjects] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   
   // Filter states
-  const [statusFilter, setStatusFilter] = useState('')
+  const [statusFilter, setStatusFilter] = useState('all')
   const [startDateFilter, setStartDateFilter] = useState('')
   const [endDateFilter, setEndDateFilter] = useState('')
 
   const statusOptions = [
-    { value: '', label: 'All Statuses' },
+    { value: 'all', label: 'All Statuses' },
     { value: 'planning', label: 'Planning' },
     { value: 'active', label: 'Active' },
     { value: 'completed', label: 'Completed' },
-    { value: 'on-hold', label: 'On Hold' }
+    { value: 'on-hold', label: 'On Hold' },
+    { value: 'archived', label: 'Archived' }
   ]
 
   // Fetch projects with current filters
@@ -41,7 +48,8 @@ const ProjectsListPage = () => {
     try {
       // Build query parameters
       const params = new URLSearchParams()
-      if (statusFilter) params.append('status', statusFilter)
+      if (statusFilter === 'archived') params.append('archived', 'true')
+      else if (statusFilter !== 'all') params.append('status', statusFilter)
       if (startDateFilter) params.append('startDate', startDateFilter)
       if (endDateFilter) params.append('endDate', endDateFilter)
       
@@ -57,6 +65,16 @@ const ProjectsListPage = () => {
     }
   }
 
+  // Restore an archived project and drop it from the archived list
+  const handleRestore = async (projectId) => {
+    try {
+      await axiosClient.post(`/projects/${projectId}/restore`)
+      setProjects(projects.filter(project => project._id !== projectId))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore project')
+    }
+  }
+
   // Initial fetch and refetch when filters change
   useEffect(() => {
     fetchProjects()
@@ -85,10 +103,25 @@ const ProjectsListPage = () => {
   return (
     <div className="container mx-auto px-4 py-6">
       <div className="flex justify-between items-center mb-6">
-        <h1 className="text-3xl font-bold">Projects</h1>
-        <Link to="/dashboard/projects/new">
-          <Button>Create New Project</Button>
-        </Link>
+        <h1 className="text-3xl font-bold">{isManager ? 'Projects' : 'My Projects'}</h1>
+        <div className="flex gap-2">
+          <ExportButton
+            path="/export/projects"
+            name="projects"
+            params={{
+              archived: statusFilter === 'archived' ? 'true' : undefined,
+              status: statusFilter !== 'all' && statusFilter !== 'archived' ? statusFilter : undefined,
+              startDate: startDateFilter,
+              endDate: endDateFilter
+            }}
+            onError={setError}
+          />
+          {isManager && (
+            <Link to="/dashboard/projects/new">
+              <Button>Create New Project</Button>
+            </Link>
+          )}
+        </div>
       </div>
 
       {/* Filters Section */}
@@ -106,7 +139,7 @@ const ProjectsListPage = () => {
                   <SelectValue placeholder="Select status" />
                 </SelectTrigger>
                 <SelectContent>
-                  {statusOptions.map(option => (
+                  {statusOptions.filter(option => isManager || option.value !== 'archived').map(option => (
                     <SelectItem key={option.value} value={option.value}>
                       {option.label}
                     </SelectItem>
@@ -139,12 +172,12 @@ const ProjectsListPage = () => {
           </div>
 
           {/* Clear Filters Button */}
-          {(statusFilter || startDateFilter || endDateFilter) && (
+          {(statusFilter !== 'all' || startDateFilter || endDateFilter) && (
             <div className="mt-4">
               <Button 
                 variant="outline" 
                 onClick={() => {
-                  setStatusFilter('')
+                  setStatusFilter('all')
                   setStartDateFilter('')
                   setEndDateFilter('')
                 }}
@@ -190,7 +223,12 @@ const ProjectsListPage = () => {
                 <div className="flex flex-wrap gap-2">
                   {project.requiredSkills && project.requiredSkills.length > 0 ? (
                     project.requiredSkills.map(skill => (
-                      <SkillTag key={skill} skill={skill} />
+                      <SkillTag
+                        key={getSkillName(skill)}
+                        skill={getSkillName(skill)}
+                        level={skill.minLevel > 1 ? skill.minLevel : undefined}
+                        className={skill.priority === 'nice' ? 'opacity-60' : ''}
+                      />
                     ))
                   ) : (
                     <span className="text-gray-500 text-sm">No skills specified</span>
@@ -203,9 +241,9 @@ const ProjectsListPage = () => {
                 <div className="text-sm text-gray-600">
                   <span className="font-medium">Team Size:</span> {project.teamSize}
                 </div>
-                {project.manager && (
+                {project.managerId?.name && (
                   <div className="text-sm text-gray-600">
-                    <span className="font-medium">Manager:</span> {project.manager.name}
+                    <span className="font-medium">Manager:</span> {project.managerId.name}
                   </div>
                 )}
               </div>
@@ -217,11 +255,17 @@ const ProjectsListPage = () => {
                     View Details
                   </Button>
                 </Link>
-                <Link to={`/dashboard/projects/${project._id}/edit`} className="flex-1">
-                  <Button className="w-full">
-                    Edit
+                {isManager && (project.deletedAt ? (
+                  <Button className="flex-1" onClick={() => handleRestore(project._id)}>
+                    Restore
                   </Button>
-                </Link>
+                ) : (
+                  <Link to={`/dashboard/projects/${project._id}/edit`} className="flex-1">
+                    <Button className="w-full">
+                      Edit
+                    </Button>
+                  </Link>
+                ))}
               </div>
             </CardContent>
           </Card>
@@ -233,14 +277,16 @@ const ProjectsListPage = () => {
         <Card>
           <CardContent className="text-center py-8">
             <p className="text-gray-500 mb-4">
-              {statusFilter || startDateFilter || endDateFilter
+              {statusFilter !== 'all' || startDateFilter || endDateFilter
                 ? 'No projects found matching the current filters.'
-                : 'No projects found.'
+                : isManager ? 'No projects found.' : 'You are not assigned to any projects yet.'
               }
             </p>
-            <Link to="/dashboard/projects/new">
-              <Button>Create Your First Project</Button>
-            </Link>
+            {isManager && (
+              <Link to="/dashboard/projects/new">
+                <Button>Create Your First Project</Button>
+              </Link>
+            )}
           </CardContent>
         </Card>
       )}
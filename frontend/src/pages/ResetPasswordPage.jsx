@@ -0,0 +1,134 @@
+// src/pages/ResetPasswordPage.jsx
+import React, { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { Link, useSearchParams } from 'react-router-dom'
+import axiosClient from '../api/axiosClient'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Label } from '@/components/ui/label'
+import LoadingSpinner from '../components/LoadingSpinner'
+import ErrorAlert from '../components/ErrorAlert'
+
+/**
+ * ResetPasswordPage: Choose a new password from an emailed reset link
+ * Route: /reset-password?token=... (public)
+ */
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams()
+  const resetToken = searchParams.get('token')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [doneMessage, setDoneMessage] = useState('')
+
+  const {
+    register,
+    handleSubmit,
+    getValues,
+    formState: { errors }
+  } = useForm()
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await axiosClient.post('/auth/reset-password', {
+        token: resetToken,
+        password: data.password
+      })
+      setDoneMessage(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const renderContent = () => {
+    if (!resetToken) {
+      return <ErrorAlert message="This reset link is incomplete" />
+    }
+    if (doneMessage) {
+      return <p className="text-sm text-gray-700">{doneMessage}</p>
+    }
+
+    return (
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="password">New password</Label>
+          <Input
+            id="password"
+            type="password"
+            placeholder="Choose a password"
+            {...register('password', {
+              required: 'Password is required',
+              minLength: {
+                value: 8,
+                message: 'Password must be at least 8 characters'
+              }
+            })}
+            className={errors.password ? 'border-red-500' : ''}
+          />
+          {errors.password && (
+            <p className="text-sm text-red-600">{errors.password.message}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="confirmPassword">Confirm new password</Label>
+          <Input
+            id="confirmPassword"
+            type="password"
+            placeholder="Repeat the password"
+            {...register('confirmPassword', {
+              validate: (value) => value === getValues('password') || 'Passwords do not match'
+            })}
+            className={errors.confirmPassword ? 'border-red-500' : ''}
+          />
+          {errors.confirmPassword && (
+            <p className="text-sm text-red-600">{errors.confirmPassword.message}</p>
+          )}
+        </div>
+
+        {error && <ErrorAlert message={error} />}
+
+        <Button type="submit" className="w-full" disabled={loading}>
+          {loading ? (
+            <>
+              <LoadingSpinner size="sm" className="mr-2" />
+              Saving...
+            </>
+          ) : (
+            'Reset Password'
+          )}
+        </Button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <Card>
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl font-bold text-center">
+              Choose a new password
+            </CardTitle>
+            <CardDescription className="text-center">
+              You'll be signed out everywhere else
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {renderContent()}
+            <p className="mt-6 text-center text-sm text-gray-600">
+              <Link to="/login" className="text-blue-600 hover:underline">Back to sign in</Link>
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPasswordPage
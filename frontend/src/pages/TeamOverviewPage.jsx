@@ -12,7 +12,12 @@ import LoadingSpinner from '@/components/LoadingSpinner'
 import ErrorAlert from '@/components/ErrorAlert'
 import CapacityBar from '@/components/CapacityBar'
 import SkillTag from '@/components/SkillTag'
+import ExportButton from '@/components/ExportButton'
+import CapacityEditor from '@/components/CapacityEditor'
 import axiosClient from '../api/axiosClient'
+import { getSkillName } from '../utils/skillUtils'
+import { formatCapacityPeriod } from '../utils/capacityUtils'
+import { formatDate } from '../utils/dateUtils'
 
 const TeamOverviewPage = () => {
   const [engineers, setEngineers] = useState([])
@@ -20,6 +25,9 @@ const TeamOverviewPage = () => {
   const [selectedSkills, setSelectedSkills] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [editingEngineer, setEditingEngineer] = useState(null)
+  const [unlockingId, setUnlockingId] = useState(null)
+  const [actionError, setActionError] = useState(null)
 
   // Fetch engineers based on selected skills filter
   const fetchEngineers = async (skillsFilter = []) => {
@@ -36,12 +44,26 @@ const TeamOverviewPage = () => {
     }
   }
 
+  // Lift a sign-in lockout so the engineer can try again straight away
+  const handleUnlock = async (engineerId) => {
+    setUnlockingId(engineerId)
+    setActionError(null)
+    try {
+      await axiosClient.post(`/users/${engineerId}/unlock`)
+      fetchEngineers(selectedSkills)
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to unlock account')
+    } finally {
+      setUnlockingId(null)
+    }
+  }
+
   // Derive unique skills from all engineers for filter UI
   const deriveAllSkills = (engineersData) => {
     const skillsSet = new Set()
     engineersData.forEach(engineer => {
       if (engineer.skills && Array.isArray(engineer.skills)) {
-        engineer.skills.forEach(skill => skillsSet.add(skill))
+        engineer.skills.forEach(skill => skillsSet.add(getSkillName(skill)))
       }
     })
     return Array.from(skillsSet).sort()
@@ -86,7 +108,15 @@ const TeamOverviewPage = () => {
   return (
     <div className="container mx-auto px-4 py-6">
       <div className="mb-6">
-        <h1 className="text-3xl font-bold mb-4">Team Overview</h1>
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-3xl font-bold">Team Overview</h1>
+          <ExportButton
+            path="/export/utilization"
+            name="utilization"
+            params={{ skills: selectedSkills.join(',') }}
+            onError={setError}
+          />
+        </div>
         
         {/* Skills Filter Section */}
         <Card className="mb-6">
@@ -115,13 +145,22 @@ const TeamOverviewPage = () => {
         </Card>
       </div>
 
+      {actionError && <ErrorAlert message={actionError} className="mb-4" />}
+
       {/* Engineers Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {engineers.map(engineer => (
           <Card key={engineer._id} className="hover:shadow-lg transition-shadow">
             <CardHeader>
               <CardTitle className="flex items-center justify-between">
-                <span>{engineer.name}</span>
+                <span>
+                  {engineer.name}
+                  {engineer.status === 'invited' && (
+                    <span className="ml-2 text-xs font-normal bg-gray-100 text-gray-700 px-2 py-1 rounded">
+                      Invited
+                    </span>
+                  )}
+                </span>
                 {engineer.seniority && (
                   <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded">
                     {engineer.seniority}
@@ -131,6 +170,19 @@ const TeamOverviewPage = () => {
               {engineer.department && (
                 <p className="text-sm text-gray-600">{engineer.department}</p>
               )}
+              {engineer.lockedUntil && new Date(engineer.lockedUntil) > new Date() && (
+                <div className="flex items-center justify-between gap-2 mt-2 p-2 rounded bg-red-50 text-sm text-red-800">
+                  <span>Locked out until {formatDate(engineer.lockedUntil, 'HH:mm')}</span>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleUnlock(engineer._id)}
+                    disabled={unlockingId === engineer._id}
+                  >
+                    Unlock
+                  </Button>
+                </div>
+              )}
             </CardHeader>
             <CardContent>
               {/* Skills */}
@@ -139,7 +191,7 @@ const TeamOverviewPage = () => {
                 <div className="flex flex-wrap gap-2">
                   {engineer.skills && engineer.skills.length > 0 ? (
                     engineer.skills.map(skill => (
-                      <SkillTag key={skill} skill={skill} />
+                      <SkillTag key={getSkillName(skill)} skill={getSkillName(skill)} level={skill.level} />
                     ))
                   ) : (
                     <span className="text-gray-500 text-sm">No skills listed</span>
@@ -149,7 +201,12 @@ const TeamOverviewPage = () => {
 
               {/* Capacity Information */}
               <div className="mb-4">
-                <h4 className="text-sm font-medium mb-2">Capacity</h4>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-sm font-medium">Capacity</h4>
+                  <Button variant="outline" size="sm" onClick={() => setEditingEngineer(engineer)}>
+                    Edit Capacity
+                  </Button>
+                </div>
                 {engineer.capacity ? (
                   <>
                     <CapacityBar 
@@ -160,6 +217,16 @@ const TeamOverviewPage = () => {
                       {engineer.capacity.utilizationPercent}% allocated, {' '}
                       {100 - engineer.capacity.utilizationPercent}% available
                     </div>
+                    {engineer.capacityPeriods?.length > 0 && (
+                      <ul className="text-xs text-gray-500 mt-1">
+                        {engineer.capacityPeriods.map(period => (
+                          <li key={period.startDate}>{formatCapacityPeriod(period)}</li>
+                        ))}
+                      </ul>
+                    )}
+                    {engineer.capacity.timeOffDays > 0 && (
+                      <div className="text-sm text-orange-600 mt-1">Away today (leave or holiday)</div>
+                    )}
                   </>
                 ) : (
                   <span className="text-gray-500 text-sm">Capacity data unavailable</span>
@@ -175,6 +242,12 @@ const TeamOverviewPage = () => {
         ))}
       </div>
 
+      <CapacityEditor
+        engineer={editingEngineer}
+        onClose={() => setEditingEngineer(null)}
+        onSaved={() => fetchEngineers(selectedSkills)}
+      />
+
       {engineers.length === 0 && !loading && (
         <Card>
           <CardContent className="text-center py-8">
@@ -0,0 +1,326 @@
+// File: src/pages/UsersPage.jsx
+/**
+ * UsersPage: Invite people and, for admins, manage roles
+ * Route: /dashboard/users (manager only)
+ * Invited users activate their account from the link shown after inviting
+ */
+import React, { useState, useContext } from 'react'
+import axiosClient from '../api/axiosClient'
+import useFetch from '../hooks/useFetch'
+import { AuthContext } from '../context/AuthContext'
+import { formatDate } from '../utils/dateUtils'
+import { ROLE_LABELS } from '../utils/roleUtils'
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '@/components/ui/select'
+import LoadingSpinner from '@/components/LoadingSpinner'
+import ErrorAlert from '@/components/ErrorAlert'
+
+const EMPTY_INVITE = { email: '', name: '', role: 'engineer', department: '' }
+
+const buildInviteUrl = (inviteToken) => `${window.location.origin}/accept-invite?token=${inviteToken}`
+
+const UsersPage = () => {
+  const { user } = useContext(AuthContext)
+  const isAdmin = user?.role === 'admin'
+
+  const { data: invitations, loading, error, refetch } = useFetch('/invitations')
+  const { data: users, loading: usersLoading, error: usersError, refetch: refetchUsers } =
+    useFetch(isAdmin ? '/users' : null, [isAdmin])
+
+  const [invite, setInvite] = useState(EMPTY_INVITE)
+  const [inviteLink, setInviteLink] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [updatingId, setUpdatingId] = useState(null)
+  const [actionError, setActionError] = useState(null)
+
+  const showInviteLink = (name, inviteToken) => {
+    setInviteLink({ name, url: buildInviteUrl(inviteToken) })
+    setCopied(false)
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setActionError(null)
+    try {
+      const response = await axiosClient.post('/invitations', {
+        ...invite,
+        department: invite.department || undefined
+      })
+      showInviteLink(response.data.invitation.name, response.data.inviteToken)
+      setInvite(EMPTY_INVITE)
+      refetch()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to send invitation')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleResend = async (invitation) => {
+    setUpdatingId(invitation._id)
+    setActionError(null)
+    try {
+      const response = await axiosClient.post(`/invitations/${invitation._id}/resend`)
+      showInviteLink(invitation.name, response.data.inviteToken)
+      refetch()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to renew invitation')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleWithdraw = async (invitationId) => {
+    if (!window.confirm('Withdraw this invitation?')) {
+      return
+    }
+
+    setUpdatingId(invitationId)
+    setActionError(null)
+    try {
+      await axiosClient.delete(`/invitations/${invitationId}`)
+      refetch()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to withdraw invitation')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleRoleChange = async (userId, role) => {
+    setUpdatingId(userId)
+    setActionError(null)
+    try {
+      await axiosClient.put(`/users/${userId}/role`, { role })
+      refetchUsers()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to change role')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleUnlock = async (userId) => {
+    setUpdatingId(userId)
+    setActionError(null)
+    try {
+      await axiosClient.post(`/users/${userId}/unlock`)
+      refetchUsers()
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to unlock account')
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink.url)
+      setCopied(true)
+    } catch (err) {
+      console.error('Copy failed:', err)
+    }
+  }
+
+  // Managers invite engineers; admins can also invite managers and admins
+  const invitableRoles = isAdmin ? Object.keys(ROLE_LABELS) : ['engineer']
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold">Users</h1>
+        <p className="text-gray-600 mt-2">
+          Invite people to the team{isAdmin && ' and choose who has manager access'}
+        </p>
+      </div>
+
+      {actionError && <ErrorAlert message={actionError} className="mb-4" />}
+
+      <div className="grid gap-6">
+        {/* Invite */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Invite Someone</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+              <div className="space-y-2">
+                <Label htmlFor="invite-name">Name</Label>
+                <Input
+                  id="invite-name"
+                  value={invite.name}
+                  onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="invite-email">Email</Label>
+                <Input
+                  id="invite-email"
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Role</Label>
+                <Select value={invite.role} onValueChange={(role) => setInvite({ ...invite, role })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {invitableRoles.map(role => (
+                      <SelectItem key={role} value={role}>{ROLE_LABELS[role]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="invite-department">Department (optional)</Label>
+                <Input
+                  id="invite-department"
+                  value={invite.department}
+                  onChange={(e) => setInvite({ ...invite, department: e.target.value })}
+                />
+              </div>
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Inviting...' : 'Invite'}
+              </Button>
+            </form>
+
+            {inviteLink && (
+              <div className="p-4 border rounded-lg bg-gray-50 space-y-2">
+                <p className="text-sm">
+                  Send this link to <span className="font-medium">{inviteLink.name}</span>. It works once.
+                </p>
+                <div className="flex gap-2">
+                  <Input readOnly value={inviteLink.url} onFocus={(e) => e.target.select()} />
+                  <Button variant="outline" onClick={handleCopy}>
+                    {copied ? 'Copied' : 'Copy'}
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Pending Invitations */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Pending Invitations</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loading ? (
+              <LoadingSpinner />
+            ) : error ? (
+              <ErrorAlert message={error} />
+            ) : invitations?.length > 0 ? (
+              <div className="space-y-3">
+                {invitations.map(invitation => {
+                  const expired = new Date(invitation.inviteExpiresAt) < new Date()
+                  const canManage = isAdmin || invitation.role === 'engineer'
+                  return (
+                    <div key={invitation._id} className="flex items-center justify-between gap-4 p-3 border rounded-lg">
+                      <div className="flex-1">
+                        <p className="font-medium">{invitation.name}</p>
+                        <p className="text-sm text-gray-600">
+                          {invitation.email} · Invited by {invitation.invitedBy?.name || 'Unknown'} on {formatDate(invitation.createdAt)}
+                        </p>
+                      </div>
+                      <Badge variant="secondary">{ROLE_LABELS[invitation.role] || invitation.role}</Badge>
+                      <Badge variant={expired ? 'destructive' : 'outline'}>
+                        {expired ? 'Expired' : `Expires ${formatDate(invitation.inviteExpiresAt)}`}
+                      </Badge>
+                      {canManage && (
+                        <div className="flex gap-2">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleResend(invitation)}
+                            disabled={updatingId === invitation._id}
+                          >
+                            New Link
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleWithdraw(invitation._id)}
+                            disabled={updatingId === invitation._id}
+                          >
+                            Withdraw
+                          </Button>
+                        </div>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No pending invitations.</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Roles (admin only) */}
+        {isAdmin && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Roles</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {usersLoading ? (
+                <LoadingSpinner />
+              ) : usersError ? (
+                <ErrorAlert message={usersError} />
+              ) : (
+                <div className="space-y-3">
+                  {(users || []).map(member => (
+                    <div key={member._id} className="flex items-center justify-between gap-4 p-3 border rounded-lg">
+                      <div className="flex-1">
+                        <p className="font-medium">{member.name}</p>
+                        <p className="text-sm text-gray-600">{member.email}</p>
+                      </div>
+                      {member.lockedUntil && new Date(member.lockedUntil) > new Date() && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleUnlock(member._id)}
+                          disabled={updatingId === member._id}
+                        >
+                          Unlock (locked until {formatDate(member.lockedUntil, 'HH:mm')})
+                        </Button>
+                      )}
+                      <Select
+                        value={member.role}
+                        onValueChange={(role) => handleRoleChange(member._id, role)}
+                        disabled={member._id === user?._id || updatingId === member._id}
+                      >
+                        <SelectTrigger className="w-36">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                            <SelectItem key={value} value={value}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default UsersPage
@@ -0,0 +1,43 @@
+// src/utils/assignmentUtils.js
+
+/**
+ * ASSIGNMENT_STATUS_LABELS: Display labels for assignment lifecycle statuses
+ */
+export const ASSIGNMENT_STATUS_LABELS = {
+  proposed: 'Proposed',
+  confirmed: 'Confirmed',
+  active: 'Active',
+  paused: 'Paused',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  declined: 'Declined'
+}
+
+/**
+ * getAssignmentStatusVariant: Badge variant for an assignment status
+ * @param {string} status - Assignment status
+ * @returns {string} Badge variant
+ */
+export const getAssignmentStatusVariant = (status) => {
+  switch (status) {
+    case 'active':
+    case 'confirmed':
+      return 'default'
+    case 'completed':
+      return 'outline'
+    case 'cancelled':
+    case 'declined':
+      return 'destructive'
+    default:
+      return 'secondary'
+  }
+}
+
+/**
+ * REFLOW_MODES: Ways assignments can follow a change to their project's dates
+ */
+export const REFLOW_MODES = [
+  { value: 'shift', label: 'Shift', description: 'Move assignments by as many days as the start date moves' },
+  { value: 'clip', label: 'Clip', description: 'Trim assignments to fit the new dates' },
+  { value: 'scale', label: 'Scale', description: 'Stretch or squeeze assignments with the project' }
+]
@@ -0,0 +1,11 @@
+// src/utils/capacityUtils.js
+import { formatDate } from './dateUtils'
+
+/**
+ * formatCapacityPeriod: Describe a dated capacity period
+ * @param {Object} period - { startDate, endDate, capacity }; no endDate means open-ended
+ * @returns {string} e.g. "50% from Jan 1, 2026 to Mar 31, 2026"
+ */
+export const formatCapacityPeriod = (period) => period.endDate
+  ? `${period.capacity}% from ${formatDate(period.startDate)} to ${formatDate(period.endDate)}`
+  : `${period.capacity}% from ${formatDate(period.startDate)} onwards`
@@ -0,0 +1,58 @@
+// src/utils/csvUtils.js
+
+/**
+ * parseCsv: Parses CSV text into rows of cells
+ * Handles quoted cells with commas, newlines and doubled quotes; skips blank lines
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} Rows of trimmed cell values
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  const endCell = () => {
+    row.push(cell.trim())
+    cell = ''
+  }
+  const endRow = () => {
+    endCell()
+    if (row.some(value => value !== '')) rows.push(row)
+    row = []
+  }
+
+  const input = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      endCell()
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      endRow()
+    } else {
+      cell += char
+    }
+  }
+  endRow()
+
+  return rows
+}
+
+/**
+ * normalizeHeader: Reduces a column header to lowercase letters and digits
+ * @param {string} header - Column header
+ * @returns {string} Normalized header, e.g. 'Engineer Email' -> 'engineeremail'
+ */
+export const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '')
@@ -0,0 +1,38 @@
+// src/utils/leaveUtils.js
+
+/**
+ * LEAVE_TYPE_LABELS: Display labels for kinds of leave
+ */
+export const LEAVE_TYPE_LABELS = {
+  vacation: 'Vacation',
+  sick: 'Sick',
+  training: 'Training'
+}
+
+/**
+ * LEAVE_STATUS_LABELS: Display labels for leave request statuses
+ */
+export const LEAVE_STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled'
+}
+
+/**
+ * getLeaveStatusVariant: Badge variant for a leave status
+ * @param {string} status - Leave status
+ * @returns {string} Badge variant
+ */
+export const getLeaveStatusVariant = (status) => {
+  switch (status) {
+    case 'approved':
+      return 'default'
+    case 'rejected':
+      return 'destructive'
+    case 'cancelled':
+      return 'outline'
+    default:
+      return 'secondary'
+  }
+}
@@ -0,0 +1,40 @@
+// src/utils/projectUtils.js
+
+/**
+ * PROJECT_STATUS_LABELS: Display labels for project lifecycle statuses
+ */
+export const PROJECT_STATUS_LABELS = {
+  planning: 'Planning',
+  active: 'Active',
+  completed: 'Completed',
+  'on-hold': 'On Hold'
+}
+
+/**
+ * PROJECT_STATUS_TRANSITIONS: Statuses each project status may move to
+ */
+export const PROJECT_STATUS_TRANSITIONS = {
+  planning: ['active', 'on-hold'],
+  active: ['completed', 'on-hold'],
+  'on-hold': ['active'],
+  completed: []
+}
+
+/**
+ * getProjectStatusAction: Button label for moving a project to a status
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {string} Action label
+ */
+export const getProjectStatusAction = (from, to) => {
+  switch (to) {
+    case 'active':
+      return from === 'on-hold' ? 'Resume Project' : 'Start Project'
+    case 'completed':
+      return 'Complete Project'
+    case 'on-hold':
+      return 'Put On Hold'
+    default:
+      return PROJECT_STATUS_LABELS[to] || to
+  }
+}
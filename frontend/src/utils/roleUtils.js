@@ -0,0 +1,17 @@
+// src/utils/roleUtils.js
+
+/**
+ * ROLE_LABELS: Display labels for user roles
+ */
+export const ROLE_LABELS = {
+  engineer: 'Engineer',
+  manager: 'Manager',
+  admin: 'Admin'
+}
+
+/**
+ * isManagerRole: Whether a role has manager access (admins do too)
+ * @param {string} role - User role
+ * @returns {boolean} True for managers and admins
+ */
+export const isManagerRole = (role) => role === 'manager' || role === 'admin'
@@ -0,0 +1,59 @@
+// src/utils/skillUtils.js
+
+/**
+ * SKILL_LEVELS: Proficiency scale used for engineer skills and project minimums
+ */
+export const SKILL_LEVELS = [
+  { value: 1, label: 'Beginner' },
+  { value: 2, label: 'Novice' },
+  { value: 3, label: 'Intermediate' },
+  { value: 4, label: 'Advanced' },
+  { value: 5, label: 'Expert' }
+]
+
+/**
+ * getSkillName: Returns the display name of a skill
+ * @param {object|string} skill - Skill entry ({ name, level, ... }) or plain skill name
+ * @returns {string} Skill name
+ */
+export const getSkillName = (skill) => (typeof skill === 'string' ? skill : skill?.name || '')
+
+/**
+ * getSkillLevelLabel: Returns the label for a proficiency level
+ * @param {number} level - Level from 1 to 5
+ * @returns {string} Level label, e.g. 'Expert'
+ */
+export const getSkillLevelLabel = (level) =>
+  SKILL_LEVELS.find(option => option.value === Number(level))?.label || 'Unrated'
+
+/**
+ * SKILL_PRIORITIES: Importance of a project's required skill
+ */
+export const SKILL_PRIORITIES = [
+  { value: 'must', label: 'Must have' },
+  { value: 'nice', label: 'Nice to have' }
+]
+
+/**
+ * toRequirement: Fills in defaults for a project's required skill
+ * @param {object|string} skill - Required skill entry or plain skill name
+ * @returns {object} { name, priority, minLevel, headcount }
+ */
+export const toRequirement = (skill) => ({
+  name: getSkillName(skill),
+  priority: skill?.priority || 'must',
+  minLevel: skill?.minLevel || 1,
+  headcount: skill?.headcount || 1
+})
+
+/**
+ * formatRequirement: Describes a required skill, e.g. 'Must have, Advanced+, 2 engineers'
+ * @param {object|string} skill - Required skill entry or plain skill name
+ * @returns {string} Requirement summary
+ */
+export const formatRequirement = (skill) => {
+  const { priority, minLevel, headcount } = toRequirement(skill)
+  const priorityLabel = SKILL_PRIORITIES.find(option => option.value === priority)?.label
+  const levelLabel = minLevel > 1 ? `${getSkillLevelLabel(minLevel)}+` : 'Any level'
+  return `${priorityLabel}, ${levelLabel}, ${headcount} engineer${headcount === 1 ? '' : 's'}`
+}